@@ -5,67 +5,140 @@
  */
 
 /**
- * Format a number as Indian Rupees (INR)
+ * Format a number as Indian Rupees (INR), whatever the display format
  * @param {number} value
- * @returns {string} e.g. "Rs. 1,20,000"
+ * @param {boolean} [precise=false] - Show the paise, for amounts from precise mode
+ * @returns {string} e.g. "Rs. 1,20,000", or "Rs. 1,20,000.50" when precise
  */
-function formatINR(value) {
-  return "Rs. " + Math.round(value).toLocaleString("en-IN");
+function formatINR(value, precise) {
+  return formatMoney(value, Object.assign({}, DEFAULT_DISPLAY_FORMAT, { precise }));
 }
 
 /**
- * Format a number as a percentage string
+ * Format an amount of money in a display format
+ * Compact display abbreviates large amounts, e.g. "Rs. 11.62L" or "$1.16M",
+ * and takes precedence over showing the paise.
  * @param {number} value
- * @returns {string} e.g. "12%"
+ * @param {object} [format] - Display format { currency, grouping, compact } (see
+ *   normalizeDisplayFormat), defaulting to rupees with lakh grouping, and precise
+ *   to show the paise (see formatAmount)
+ * @returns {string} e.g. "Rs. 1,20,000", "$120,000" or "€120.000"
  */
-function formatPercent(value) {
-  return value + "%";
+function formatMoney(value, format) {
+  const { currency, grouping, compact } = normalizeDisplayFormat(format);
+  return CURRENCIES[currency].prefix +
+    (compact ? formatCompact(value, grouping) : formatAmount(value, { grouping, precise: format && format.precise }));
+}
+
+/**
+ * Format an amount of money without the currency, e.g. for table cells
+ * Whole units, or with two decimals when format.precise is true, for amounts
+ * worked out in precise mode (see roundMoney).
+ * @param {number} value
+ * @param {object} [format] - Display format; only its grouping and precise are used
+ * @returns {string} e.g. "1,20,000" or "1,20,000.50"
+ */
+function formatAmount(value, format) {
+  const grouping = normalizeDisplayFormat(format).grouping;
+  return format && format.precise
+    ? formatNumber(value, { minDecimals: 2, grouping })
+    : formatNumber(Math.round(value), { grouping });
+}
+
+/**
+ * Format a number as a percentage string, with up to two decimals
+ * @param {number|string} value
+ * @param {object} [format] - Display format; only its grouping is used
+ * @returns {string} e.g. "12%", "7.25%", or "7,25%" with european grouping
+ */
+function formatPercent(value, format) {
+  return formatNumber(Number(value), { maxDecimals: 2, grouping: normalizeDisplayFormat(format).grouping }) + "%";
 }
 
 /**
  * Calculate SIP Future Value
- * Formula: P x ((1 + r)^n - 1) / r x (1 + r)
+ * Formula: P x ((1 + r)^n - 1) / r x (1 + r), or P x n at a 0% return (see sipFactor)
+ * r is the monthly rate of the SIP's rate convention (see conventionFor); with
+ * instalments at the end of the month the last (1 + r) drops out.
  * @param {number} P - Monthly investment amount
  * @param {number} annualRate - Annual return rate in %
  * @param {number} years - Investment duration in years
- * @returns {object} { futureValue, totalInvested, estimatedReturns }
+ * @param {object} [costs] - Optional cost model { ter, exitLoad } (see calculateFundCosts)
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { futureValue, totalInvested, estimatedReturns, schedule }
+ *   schedule: monthly rows (see buildScheduleRow), before costs; in precise money
+ *   mode futureValue is its last closing balance
+ *   with costs, also { grossValue, netValue, totalCosts, expenseRatioCost, exitLoadCost }
  */
-function calculateSIP(P, annualRate, years) {
-  const r = annualRate / 100 / 12;
+function calculateSIP(P, annualRate, years, costs, options) {
+  const convention = conventionFor("sip", options && options.convention);
+  const precise = Boolean(options && options.precise);
+  const { timing } = convention;
+  const r = monthlyRate(annualRate, convention);
   const n = years * 12;
-  const futureValue = P * ((Math.pow(1 + r, n) - 1) / r) * (1 + r);
-  const totalInvested = P * n;
-  const estimatedReturns = futureValue - totalInvested;
-  return { futureValue, totalInvested, estimatedReturns };
+
+  const schedule = [];
+  let balance = 0;
+  for (let m = 1; m <= n; m++) {
+    const opening = balance;
+    balance = roundMoney(timing === "end" ? balance * (1 + r) + P : (balance + P) * (1 + r), precise);
+    schedule.push(buildScheduleRow(m, opening, P, 0, balance, precise));
+  }
+
+  const futureValue = precise ? balance : P * sipFactor(r, n, timing);
+  const totalInvested = roundMoney(P * n, precise);
+  const estimatedReturns = roundMoney(futureValue - totalInvested, precise);
+
+  const result = { futureValue, totalInvested, estimatedReturns, schedule };
+  if (costs) {
+    const instalments = [];
+    for (let k = 0; k < n; k++) instalments.push(P);
+    Object.assign(result, calculateFundCosts(instalments, r, costs, timing));
+  }
+  return result;
 }
 
 /**
  * Calculate Top-Up SIP Future Value (year-by-year simulation)
- * Each year the monthly SIP amount is increased by topUpRate %
+ * Each year the monthly SIP amount is increased by topUpRate %; money grows as in calculateSIP
  * @param {number} P - Initial monthly investment amount
  * @param {number} annualRate - Annual return rate in %
  * @param {number} years - Investment duration in years
  * @param {number} topUpRate - Annual top-up rate in %
- * @returns {object} { futureValue, totalInvested, estimatedReturns, yearlyBreakdown }
+ * @param {object} [costs] - Optional cost model { ter, exitLoad } (see calculateFundCosts)
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { futureValue, totalInvested, estimatedReturns, yearlyBreakdown, schedule }
  *   yearlyBreakdown: Array of { year, monthlySIP, yearlyInvested, corpusAtEndOfYear }
+ *   schedule: monthly rows (see buildScheduleRow), before costs; the year-end
+ *   rounding of the corpus lands in the returns of that year's last month.
+ *   In precise money mode the corpus is kept to the paisa instead.
+ *   with costs, also { grossValue, netValue, totalCosts, expenseRatioCost, exitLoadCost }
  */
-function calculateTopUpSIP(P, annualRate, years, topUpRate) {
-  const r = annualRate / 100 / 12;
+function calculateTopUpSIP(P, annualRate, years, topUpRate, costs, options) {
+  const convention = conventionFor("sip", options && options.convention);
+  const precise = Boolean(options && options.precise);
+  const { timing } = convention;
+  const r = monthlyRate(annualRate, convention);
   let corpus = 0;
   let totalInvested = 0;
   const yearlyBreakdown = [];
+  const schedule = [];
 
   for (let y = 1; y <= years; y++) {
     const monthlySIP = Math.round(P * Math.pow(1 + topUpRate / 100, y - 1));
     let yearlyInvested = 0;
 
-    for (let m = 0; m < 12; m++) {
-      corpus = (corpus + monthlySIP) * (1 + r);
+    for (let m = 1; m <= 12; m++) {
+      const opening = corpus;
+      corpus = roundMoney(timing === "end" ? corpus * (1 + r) + monthlySIP : (corpus + monthlySIP) * (1 + r), precise);
+      if (m === 12 && !precise) corpus = Math.round(corpus);
       yearlyInvested += monthlySIP;
+      schedule.push(buildScheduleRow((y - 1) * 12 + m, opening, monthlySIP, 0, corpus, precise));
     }
 
     totalInvested += yearlyInvested;
-    corpus = Math.round(corpus);
 
     yearlyBreakdown.push({
       year: y,
@@ -76,8 +149,18 @@ function calculateTopUpSIP(P, annualRate, years, topUpRate) {
   }
 
   const futureValue = corpus;
-  const estimatedReturns = futureValue - totalInvested;
-  return { futureValue, totalInvested, estimatedReturns, yearlyBreakdown };
+  const estimatedReturns = roundMoney(futureValue - totalInvested, precise);
+  const result = { futureValue, totalInvested, estimatedReturns, yearlyBreakdown, schedule };
+  if (costs) {
+    const instalments = [];
+    yearlyBreakdown.forEach(row => {
+      for (let m = 0; m < 12; m++) instalments.push(row.monthlySIP);
+    });
+    // Costs come from the unrounded path; net is taken off the rounded headline corpus
+    const c = calculateFundCosts(instalments, r, costs, timing);
+    Object.assign(result, c, { grossValue: futureValue, netValue: futureValue - c.totalCosts });
+  }
+  return result;
 }
 
 /**
@@ -96,17 +179,130 @@ function calculateInflationAdjusted(nominalValue, inflationRate, years) {
 
 /**
  * Calculate Lumpsum Future Value
- * Formula: P x (1 + r)^n
+ * Formula: P x (1 + r)^n, r being the effective annual rate of the lumpsum's
+ * rate convention (see conventionFor); the lumpsum goes in at the start
  * @param {number} P - One-time investment amount
  * @param {number} annualRate - Annual return rate in %
  * @param {number} years - Investment duration in years
- * @returns {object} { futureValue, totalInvested, estimatedReturns }
+ * @param {object} [costs] - Optional cost model { ter, exitLoad } (see calculateFundCosts)
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { futureValue, totalInvested, estimatedReturns, schedule }
+ *   schedule: monthly rows (see buildScheduleRow), before costs, grown at the
+ *   monthly rate equivalent to annualRate so every year end matches P x (1 + r)^year;
+ *   in precise money mode each month's returns are rounded to the paisa instead and
+ *   futureValue is the last closing balance
+ *   with costs, also { grossValue, netValue, totalCosts, expenseRatioCost, exitLoadCost }
  */
-function calculateLumpsum(P, annualRate, years) {
-  const r = annualRate / 100;
-  const futureValue = P * Math.pow(1 + r, years);
-  const estimatedReturns = futureValue - P;
-  return { futureValue, totalInvested: P, estimatedReturns };
+function calculateLumpsum(P, annualRate, years, costs, options) {
+  const r = effectiveAnnualRate(annualRate, conventionFor("lumpsum", options && options.convention)) / 100;
+  const precise = Boolean(options && options.precise);
+
+  const schedule = [];
+  const monthlyGrowth = Math.pow(1 + r, 1 / 12);
+  let balance = 0;
+  for (let m = 1; m <= Math.round(years * 12); m++) {
+    const opening = balance;
+    const contribution = m === 1 ? P : 0;
+    balance = m % 12 === 0 && !precise
+      ? P * Math.pow(1 + r, m / 12)
+      : roundMoney((balance + contribution) * monthlyGrowth, precise);
+    schedule.push(buildScheduleRow(m, opening, contribution, 0, balance, precise));
+  }
+
+  const futureValue = precise && schedule.length ? balance : P * Math.pow(1 + r, years);
+  const estimatedReturns = roundMoney(futureValue - P, precise);
+
+  const result = { futureValue, totalInvested: P, estimatedReturns, schedule };
+  if (costs) {
+    const months = years * 12;
+    const preLoadValue = futureValue * Math.pow(1 - (costs.ter || 0) / 100 / 12, months);
+    const exitLoadCost = preLoadValue * exitLoadRate(costs.exitLoad, months) / 100;
+    const netValue = preLoadValue - exitLoadCost;
+    Object.assign(result, {
+      grossValue: futureValue,
+      netValue,
+      totalCosts: futureValue - netValue,
+      expenseRatioCost: futureValue - preLoadValue,
+      exitLoadCost
+    });
+  }
+  return result;
+}
+
+/**
+ * Calculate a Lumpsum plus SIP plan: an initial amount and a regular or step-up monthly SIP
+ * Both parts compound at the monthly rate of the SIP's rate convention (annualRate / 12
+ * by default) and the SIP goes in when that convention says, so the SIP part matches
+ * calculateSIP (or, with a step-up, calculateTopUpSIP to within its year-end rounding)
+ * and the two parts add up. The lumpsum goes in at the start; by default it grows to
+ * P x (1 + r/12)^n, a little more than calculateLumpsum's P x (1 + r)^years.
+ * @param {object} plan
+ * @param {number} [plan.lumpSum=0] - Invested at the start
+ * @param {number} [plan.monthlySIP=0] - Monthly SIP in the first year
+ * @param {number} plan.annualRate - Annual return rate in %
+ * @param {number} plan.years - Investment duration in years
+ * @param {number} [plan.stepUpRate=0] - Yearly SIP increase in %; each year's SIP is rounded to the rupee
+ * @param {number} [plan.inflationRate=0] - Annual inflation rate in %, for the real values
+ * @param {object} [options] - { convention, precise, format }: rate convention overrides (see conventionFor),
+ *   whether to keep money to the paisa (see roundMoney) and the display format of
+ *   the error messages
+ * @returns {object} { ok, futureValue, totalInvested, estimatedReturns, inflationAdjustedValue, sources, schedule }
+ *   or { ok: false, errors } with errors as in validateInputs, on the plan's fields
+ *   sources: { lumpSum, sip }, each { invested, returns, value, realValue }, adding up to the totals
+ *   schedule: monthly rows (see buildScheduleRow) with lumpSumBalance and sipBalance; in
+ *   precise money mode futureValue is its last closing balance
+ */
+function calculateLumpsumSIP(plan, options) {
+  const precise = Boolean(options && options.precise);
+  const lumpSum = Number(plan.lumpSum) || 0;
+  const monthlySIP = Number(plan.monthlySIP) || 0;
+  const validation = validateInputs("lumpsumSIP", plan, options && options.format);
+  if (validation.ok && !(lumpSum > 0 || monthlySIP > 0)) {
+    validation.errors.push({ field: "monthlySIP", message: "Enter a lumpsum, a monthly SIP or both." });
+  }
+  if (validation.errors.length) return { ok: false, errors: validation.errors };
+
+  const convention = conventionFor("sip", options && options.convention);
+  const { timing } = convention;
+  const r = monthlyRate(plan.annualRate, convention);
+  const n = Math.round(plan.years * 12);
+  const stepUp = (plan.stepUpRate || 0) / 100;
+  const schedule = [];
+  let lumpBalance = 0;
+  let sipBalance = 0;
+  let sipInvested = 0;
+  for (let m = 1; m <= n; m++) {
+    const opening = roundMoney(lumpBalance + sipBalance, precise);
+    const sip = stepUp ? Math.round(monthlySIP * Math.pow(1 + stepUp, Math.ceil(m / 12) - 1)) : monthlySIP;
+    lumpBalance = roundMoney((lumpBalance + (m === 1 ? lumpSum : 0)) * (1 + r), precise);
+    sipBalance = roundMoney(timing === "end" ? sipBalance * (1 + r) + sip : (sipBalance + sip) * (1 + r), precise);
+    sipInvested = roundMoney(sipInvested + sip, precise);
+    const contribution = roundMoney(sip + (m === 1 ? lumpSum : 0), precise);
+    schedule.push(Object.assign(
+      buildScheduleRow(m, opening, contribution, 0, roundMoney(lumpBalance + sipBalance, precise), precise),
+      { lumpSumBalance: lumpBalance, sipBalance }
+    ));
+  }
+
+  const source = (invested, value) => ({
+    invested,
+    returns: roundMoney(value - invested, precise),
+    value,
+    realValue: calculateInflationAdjusted(value, plan.inflationRate || 0, plan.years).inflationAdjustedValue
+  });
+  const sources = { lumpSum: source(lumpSum, lumpBalance), sip: source(sipInvested, sipBalance) };
+  const futureValue = roundMoney(lumpBalance + sipBalance, precise);
+  const totalInvested = roundMoney(lumpSum + sipInvested, precise);
+  return {
+    ok: true,
+    futureValue,
+    totalInvested,
+    estimatedReturns: roundMoney(futureValue - totalInvested, precise),
+    inflationAdjustedValue: sources.lumpSum.realValue + sources.sip.realValue,
+    sources,
+    schedule
+  };
 }
 
 /**
@@ -115,73 +311,4311 @@ function calculateLumpsum(P, annualRate, years) {
  * @param {number} beginValue
  * @param {number} endValue
  * @param {number} years
- * @returns {number} CAGR in %
+ * @returns {number} CAGR in % (NaN or Infinity for a begin value or period that
+ *   isn't above 0, or a negative end value; check validateInputs("cagr") first)
  */
 function calculateCAGR(beginValue, endValue, years) {
   return (Math.pow(endValue / beginValue, 1 / years) - 1) * 100;
 }
 
+/**
+ * Parse a cash-flow date into a UTC timestamp (ms)
+ * @param {Date|string} value - Date object or "YYYY-MM-DD" string
+ * @returns {number} timestamp, NaN when the date is invalid
+ */
+function parseFlowDate(value) {
+  if (value instanceof Date) return value.getTime();
+  return Date.parse(String(value));
+}
+
+/**
+ * Calculate XIRR (annualised return for irregular, dated cash flows)
+ * Solves: sum( amount_i / (1 + rate)^(days_i / 365) ) = 0
+ * Money invested is negative; redemptions and the current value are positive.
+ * Every root in the range -99.99% to 1,00,000% is located, so the result can
+ * say when no rate or more than one rate fits the cash flows.
+ * @param {Array<{date: (Date|string), amount: number}>} cashFlows
+ * @returns {object} { xirr, status, roots, message }
+ *   xirr: annualised rate in %, null unless status is "ok"
+ *   status: "ok" | "no-solution" | "multiple-solutions"
+ *   roots: every rate in % that solves the equation (ascending)
+ */
+function calculateXIRR(cashFlows) {
+  const flows = cashFlows
+    .map(cf => ({ time: parseFlowDate(cf.date), amount: Number(cf.amount) }))
+    .filter(cf => cf.amount !== 0);
+
+  if (flows.some(cf => isNaN(cf.time) || isNaN(cf.amount))) {
+    return { xirr: null, status: "no-solution", roots: [], message: "Every cash flow needs a valid date and amount." };
+  }
+  if (!flows.some(cf => cf.amount < 0) || !flows.some(cf => cf.amount > 0)) {
+    return {
+      xirr: null, status: "no-solution", roots: [],
+      message: "Cash flows need at least one investment and one redemption or current value."
+    };
+  }
+
+  const start = Math.min.apply(null, flows.map(cf => cf.time));
+  if (flows.every(cf => cf.time === start)) {
+    return { xirr: null, status: "no-solution", roots: [], message: "Cash flows must span more than one date." };
+  }
+  const terms = flows.map(cf => ({ t: (cf.time - start) / 86400000 / 365, amount: cf.amount }));
+
+  // NPV written in terms of g = ln(1 + rate) stays smooth across the whole range
+  const npv = g => terms.reduce((sum, cf) => sum + cf.amount * Math.exp(-g * cf.t), 0);
+
+  const gMin = Math.log(1 - 0.9999);
+  const gMax = Math.log(1 + 1000);
+  const steps = 4000;
+  const roots = [];
+  let gPrev = gMin;
+  let vPrev = npv(gPrev);
+
+  for (let i = 1; i <= steps; i++) {
+    const g = gMin + (gMax - gMin) * i / steps;
+    const v = npv(g);
+    if (vPrev === 0) {
+      roots.push(gPrev);
+    } else if (vPrev * v < 0) {
+      let lo = gPrev;
+      let hi = g;
+      for (let k = 0; k < 200 && hi - lo > 1e-15; k++) {
+        const mid = (lo + hi) / 2;
+        if (npv(lo) * npv(mid) <= 0) hi = mid;
+        else lo = mid;
+      }
+      roots.push((lo + hi) / 2);
+    }
+    gPrev = g;
+    vPrev = v;
+  }
+
+  const rates = roots.map(g => (Math.exp(g) - 1) * 100);
+
+  if (rates.length === 0) {
+    return { xirr: null, status: "no-solution", roots: [], message: "No annualised rate fits these cash flows." };
+  }
+  if (rates.length > 1) {
+    return {
+      xirr: null, status: "multiple-solutions", roots: rates,
+      message: "These cash flows fit more than one rate: " + rates.map(r => r.toFixed(2) + "%").join(", ") + "."
+    };
+  }
+  return { xirr: rates[0], status: "ok", roots: rates, message: "" };
+}
+
 /**
  * Calculate SWP (Systematic Withdrawal Plan)
- * Uses annuity-depletion formula: n = -ln(1 - C*r/W) / ln(1+r)
+ * Uses annuity-depletion formula: n = -ln(1 - C*r/W) / ln(1+r), r being the monthly
+ * rate of the SWP's rate convention (see conventionFor), withdrawals at the month end.
+ * With a yearly escalation the withdrawal rises each year (see swpWithdrawalForMonth),
+ * and with withdrawals at the start of the month each one comes out before the
+ * month's growth; the closed form follows neither, so the plan is simulated month by month.
  * @param {number} corpus - Initial corpus amount
- * @param {number} monthlyWithdrawal - Monthly withdrawal amount
+ * @param {number} monthlyWithdrawal - Monthly withdrawal amount (in the first year)
  * @param {number} annualRate - Annual return rate in %
- * @returns {object} { months, years, remainingMonths, totalWithdrawn, isIndefinite }
- *   isIndefinite: true when monthly interest earned >= monthly withdrawal
+ * @param {object} [costs] - Optional cost model { ter, exitLoad } (see calculateFundCosts)
+ * @param {number} [escalationRate] - Yearly increase in the withdrawal in %, e.g. the inflation rate
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { months, years, remainingMonths, totalWithdrawn, isIndefinite, schedule, yearlySchedule }
+ *   isIndefinite: true when monthly interest earned >= monthly withdrawal, or, when
+ *   simulated, when the corpus still pays out after SCHEDULE_MAX_MONTHS
+ *   schedule: monthly rows (see buildScheduleRow), before costs, until the corpus
+ *   runs out (the last withdrawal is whatever is left) or for SCHEDULE_MAX_MONTHS
+ *   when it never does
+ *   totalWithdrawn: money actually paid out, the sum of the schedule's withdrawals:
+ *   full withdrawals until the last month, which pays only what is left, so it is
+ *   below monthlyWithdrawal × months unless the corpus runs out exactly; 0 when
+ *   isIndefinite (earlier versions counted every month as a full withdrawal)
+ *   yearlySchedule: schedule grouped by year (see groupScheduleByYear), each row
+ *   with the monthlyWithdrawal planned for that year
+ *   with costs, also { net, totalCosts, expenseRatioCost, exitLoadCost } where net is
+ *   { months, years, remainingMonths, totalWithdrawn, isIndefinite } after costs.
+ *   Exit load is paid on top of each withdrawal; cost totals cover the net life of
+ *   the plan, capped at 100 years.
  */
-function calculateSWP(corpus, monthlyWithdrawal, annualRate) {
-  const r = annualRate / 100 / 12;
-  if (monthlyWithdrawal <= corpus * r) {
-    return { months: 0, years: 0, remainingMonths: 0, totalWithdrawn: 0, isIndefinite: true };
+function calculateSWP(corpus, monthlyWithdrawal, annualRate, costs, escalationRate, options) {
+  const convention = conventionFor("swp", options && options.convention);
+  const precise = Boolean(options && options.precise);
+  const { timing } = convention;
+  const r = monthlyRate(annualRate, convention);
+  const simulated = escalationRate > 0 || timing === "start";
+  let months = 0;
+  if (!simulated && monthlyWithdrawal > corpus * r) {
+    const n = r === 0
+      ? corpus / monthlyWithdrawal
+      : -Math.log(1 - (corpus * r) / monthlyWithdrawal) / Math.log(1 + r);
+    months = Math.ceil(n);
   }
-  const n = r === 0
-    ? corpus / monthlyWithdrawal
-    : -Math.log(1 - (corpus * r) / monthlyWithdrawal) / Math.log(1 + r);
-  const months = Math.ceil(n);
-  const years = Math.floor(months / 12);
-  const remainingMonths = months % 12;
-  const totalWithdrawn = monthlyWithdrawal * months;
-  return { months, years, remainingMonths, totalWithdrawn, isIndefinite: false };
+
+  const schedule = [];
+  let balance = corpus;
+  let withdrawn = 0;
+  const scheduleMonths = months || SCHEDULE_MAX_MONTHS;
+  for (let m = 1; m <= scheduleMonths; m++) {
+    const opening = balance;
+    if (timing === "end") balance = roundMoney(balance * (1 + r), precise);
+    const planned = roundMoney(swpWithdrawalForMonth(monthlyWithdrawal, escalationRate, m), precise);
+    const isLast = simulated ? balance <= planned : m === months;
+    const withdrawal = isLast ? balance : Math.min(planned, balance);
+    balance = roundMoney(balance - withdrawal, precise);
+    if (timing === "start") balance = roundMoney(balance * (1 + r), precise);
+    withdrawn = roundMoney(withdrawn + withdrawal, precise);
+    schedule.push(buildScheduleRow(m, opening, 0, withdrawal, balance, precise));
+    if (isLast) {
+      months = m;
+      break;
+    }
+  }
+
+  const yearlySchedule = groupScheduleByYear(schedule, precise).map(row =>
+    Object.assign(row, { monthlyWithdrawal: swpWithdrawalForMonth(monthlyWithdrawal, escalationRate, row.months[0].month) })
+  );
+  const result = months === 0
+    ? { months: 0, years: 0, remainingMonths: 0, totalWithdrawn: 0, isIndefinite: true, schedule, yearlySchedule }
+    : {
+        months,
+        years: Math.floor(months / 12),
+        remainingMonths: months % 12,
+        totalWithdrawn: withdrawn,
+        isIndefinite: false,
+        schedule,
+        yearlySchedule
+      };
+  if (costs) Object.assign(result, calculateSWPCosts(corpus, monthlyWithdrawal, r, costs, escalationRate, timing));
+  return result;
 }
 
+/**
+ * Withdrawal planned for a given month of an SWP with a yearly escalation
+ * The amount steps up once a year, in months 13, 25, ..., and is rounded to the
+ * rupee as an SWP instruction would be.
+ * @param {number} monthlyWithdrawal - Monthly withdrawal in the first year
+ * @param {number} [escalationRate] - Yearly increase in %
+ * @param {number} month - Month number, starting at 1
+ * @returns {number}
+ */
+function swpWithdrawalForMonth(monthlyWithdrawal, escalationRate, month) {
+  if (!escalationRate) return monthlyWithdrawal;
+  return Math.round(monthlyWithdrawal * Math.pow(1 + escalationRate / 100, Math.floor((month - 1) / 12)));
+}
+
+/**
+ * STP transfer strategies
+ *   fixed          the transfer amount each time, while the debt fund lasts
+ *   appreciation   only the debt fund's gains over the lump sum, so the capital stays in debt
+ *   valueAveraging whatever takes the equity fund up to a target path: the value of
+ *                  transferring the amount each time and growing it at targetGrowth
+ */
+const STP_STRATEGIES = {
+  fixed:          { label: "Fixed Amount" },
+  appreciation:   { label: "Capital Appreciation" },
+  valueAveraging: { label: "Value Averaging" }
+};
+
+/**
+ * STP transfer frequencies
+ * The transfer amount is given per month; each transfer is its share of a
+ * year's worth, e.g. 3 months' worth every quarter (a weekly share is rounded
+ * to the rupee, as a transfer instruction would be).
+ */
+const STP_FREQUENCIES = {
+  weekly:    { label: "Weekly", perYear: 52 },
+  monthly:   { label: "Monthly", perYear: 12 },
+  quarterly: { label: "Quarterly", perYear: 4 }
+};
+
 /**
  * Calculate STP (Systematic Transfer Plan) from Debt to Equity
  * Each month: debt grows at debtRate, transfer moves to equity which grows at equityRate
+ * Both rates follow the STP's rate convention (see conventionFor); a transfer at the
+ * start of the month grows in equity that month, one at the end starts the next.
+ * The debt fund earns its month's return on the month's opening balance and the
+ * month's transfers come out of it after that; each transfer earns in equity from
+ * its date, so a weekly one made part-way through a month earns the part left.
+ * Transfers are dated from the start of the plan (or one interval in, with money
+ * moving at the end of the month) for as long as the STP runs.
  * @param {number} lumpSum - Initial lump sum amount placed in debt fund
  * @param {number} monthlyTransfer - Monthly transfer amount from debt to equity
  * @param {number} debtRate - Annual return rate of debt fund in %
  * @param {number} equityRate - Annual return rate of equity fund in %
  * @param {number} months - STP duration in months
- * @returns {object} { debtCorpus, equityCorpus, totalCorpus, totalTransferred,
- *                     breakdown, directEquityValue, debtOnlyValue }
- *   breakdown: Array of { month, debtCorpus, equityCorpus, totalCorpus }
+ * @param {object} [costs] - Optional cost model { ter, debtTer, exitLoad } (see calculateFundCosts);
+ *   ter applies to the equity fund, debtTer (defaults to ter) to the debt fund, and
+ *   exit load to each transfer's equity units on redemption at the end
+ * @param {object} [options] - { strategy = "fixed", frequency = "monthly", targetGrowth = equityRate, convention, precise }
+ *   strategy: a key of STP_STRATEGIES; frequency: a key of STP_FREQUENCIES;
+ *   targetGrowth: annual growth of the value-averaging path in %;
+ *   convention: rate convention overrides (see conventionFor);
+ *   precise: keep money to the paisa (see roundMoney)
+ * @returns {object} { debtCorpus, equityCorpus, totalCorpus, totalTransferred, transfers,
+ *                     transferAmount, breakdown, schedule, directEquityValue, debtOnlyValue }
+ *   transfers: number of transfers that moved money
+ *   transferAmount: each fixed transfer at the chosen frequency (the value-averaging path's step)
+ *   breakdown: Array of { month, debtCorpus, equityCorpus, totalCorpus, transferred } in whole
+ *   rupees, or to the paisa in precise money mode
+ *   schedule: monthly rows (see buildScheduleRow) for the whole portfolio, before
+ *   costs, with debtBalance, equityBalance and transferred (moved to equity that
+ *   month); transfers stay inside the portfolio
+ *   with costs, also { grossValue, netValue, totalCosts, expenseRatioCost, exitLoadCost }
+ *   or { ok: false, errors } with errors as in validateInputs, for a strategy or
+ *   frequency it does not know
  */
-function calculateSTP(lumpSum, monthlyTransfer, debtRate, equityRate, months) {
-  const dr = debtRate / 100 / 12;
-  const er = equityRate / 100 / 12;
+function calculateSTP(lumpSum, monthlyTransfer, debtRate, equityRate, months, costs, options) {
+  options = options || {};
+  const precise = Boolean(options.precise);
+  const strategy = options.strategy || "fixed";
+  const frequency = options.frequency || "monthly";
+  const errors = [];
+  if (!STP_STRATEGIES[strategy]) errors.push({ field: "strategy", message: "Unknown transfer strategy: " + strategy + "." });
+  if (!STP_FREQUENCIES[frequency]) errors.push({ field: "frequency", message: "Unknown frequency: " + frequency + "." });
+  if (errors.length) return { ok: false, errors };
+  const perYear = STP_FREQUENCIES[frequency].perYear;
+  const convention = conventionFor("stp", options.convention);
+  const { timing } = convention;
+  const dr = monthlyRate(debtRate, convention);
+  const er = monthlyRate(equityRate, convention);
+  const amount = perYear === 52 ? Math.round(monthlyTransfer * 12 / 52) : monthlyTransfer * 12 / perYear;
+  const targetGrowth = Math.pow(1 + monthlyRate(options.targetGrowth == null ? equityRate : options.targetGrowth, convention), 12 / perYear);
+
+  // Each month's transfer dates, as the share of the month gone (0 = its start, 1 = its end)
+  const dates = [];
+  for (let m = 0; m <= months; m++) dates.push([]);
+  for (let k = timing === "end" ? 1 : 0; ; k++) {
+    const t = k * 12 / perYear;
+    const month = timing === "end" ? Math.ceil(t) : Math.floor(t) + 1;
+    if (month > months) break;
+    dates[month].push(t - (month - 1));
+  }
+
   let debtCorpus = lumpSum;
   let equityCorpus = 0;
   let totalTransferred = 0;
+  let transfers = 0;
+  let target = 0;
+  const moved = [];
   const breakdown = [];
+  const schedule = [];
+
+  // Breakdown rows are whole rupees, or exact paise in precise money mode
+  const breakdownValue = value => precise ? value : Math.round(value);
 
   for (let m = 1; m <= months; m++) {
-    debtCorpus = debtCorpus * (1 + dr);
-    const transfer = Math.min(monthlyTransfer, debtCorpus);
-    debtCorpus -= transfer;
-    totalTransferred += transfer;
-    equityCorpus = (equityCorpus + transfer) * (1 + er);
+    const opening = m === 1 ? 0 : roundMoney(debtCorpus + equityCorpus, precise);
+    let available = roundMoney(debtCorpus * (1 + dr), precise);
+    let early = 0;
+    let late = 0;
+    let transferred = 0;
+    moved.push(dates[m].map(share => {
+      let wanted = amount;
+      if (strategy === "appreciation") {
+        wanted = debtCorpus * Math.pow(1 + dr, share) - transferred - lumpSum;
+      } else if (strategy === "valueAveraging") {
+        target = target * targetGrowth + amount;
+        const equityNow = (equityCorpus + early) * Math.pow(1 + er, share) + late / Math.pow(1 + er, 1 - share);
+        wanted = target - equityNow;
+      }
+      const transfer = strategy === "fixed" ? Math.min(wanted, available) : roundMoney(Math.min(Math.max(wanted, 0), available), precise);
+      available = roundMoney(available - transfer, precise);
+      transferred = roundMoney(transferred + transfer, precise);
+      if (share === 0) early += transfer;
+      else late += transfer * Math.pow(1 + er, 1 - share);
+      if (transfer > 0) transfers++;
+      return { share, transfer };
+    }));
+    debtCorpus = available;
+    equityCorpus = roundMoney((equityCorpus + early) * (1 + er) + late, precise);
+    totalTransferred = roundMoney(totalTransferred + transferred, precise);
     breakdown.push({
       month: m,
-      debtCorpus: Math.round(debtCorpus),
-      equityCorpus: Math.round(equityCorpus),
-      totalCorpus: Math.round(debtCorpus + equityCorpus)
+      debtCorpus: breakdownValue(debtCorpus),
+      equityCorpus: breakdownValue(equityCorpus),
+      totalCorpus: breakdownValue(roundMoney(debtCorpus + equityCorpus, precise)),
+      transferred: breakdownValue(transferred)
+    });
+    schedule.push(Object.assign(buildScheduleRow(m, opening, m === 1 ? lumpSum : 0, 0, roundMoney(debtCorpus + equityCorpus, precise), precise), {
+      debtBalance: debtCorpus,
+      equityBalance: equityCorpus,
+      transferred
+    }));
+  }
+
+  const totalCorpus = roundMoney(debtCorpus + equityCorpus, precise);
+  const directEquityValue = roundMoney(lumpSum * Math.pow(1 + er, months), precise);
+  const debtOnlyValue = roundMoney(lumpSum * Math.pow(1 + dr, months), precise);
+
+  const result = {
+    debtCorpus, equityCorpus, totalCorpus, totalTransferred, transfers, transferAmount: amount,
+    breakdown, schedule, directEquityValue, debtOnlyValue
+  };
+  if (costs) {
+    const debtFee = (costs.debtTer != null ? costs.debtTer : (costs.ter || 0)) / 100 / 12;
+    const equityFee = (costs.ter || 0) / 100 / 12;
+    const equityGrowth = (1 + er) * (1 - equityFee);
+    let netDebt = lumpSum;
+    let netEquity = 0;
+    const lots = [];
+    moved.forEach((monthTransfers, i) => {
+      netDebt = netDebt * (1 + dr) * (1 - debtFee);
+      let early = 0;
+      let late = 0;
+      monthTransfers.forEach(t => {
+        // The net debt fund may run out before the gross one
+        const transfer = Math.min(t.transfer, netDebt);
+        const held = months - i - t.share;
+        netDebt -= transfer;
+        if (t.share === 0) early += transfer;
+        else late += transfer * Math.pow(equityGrowth, 1 - t.share);
+        lots.push({ held, value: transfer * Math.pow(equityGrowth, held) });
+      });
+      netEquity = (netEquity + early) * equityGrowth + late;
     });
+    const exitLoadCost = lots.reduce((sum, lot) => sum + lot.value * exitLoadRate(costs.exitLoad, lot.held) / 100, 0);
+    const preLoadValue = netDebt + netEquity;
+    const netValue = preLoadValue - exitLoadCost;
+    Object.assign(result, {
+      grossValue: totalCorpus,
+      netValue,
+      totalCosts: totalCorpus - netValue,
+      expenseRatioCost: totalCorpus - preLoadValue,
+      exitLoadCost
+    });
+  }
+  return result;
+}
+
+// ─── SIP schedules ───────────────────────────────────────────────────────────
+// A dated SIP plan: instalments at a chosen frequency from a calendar start
+// date, pauses that skip the instalments falling inside them, and one-off or
+// yearly lumpsum top-ups. Money grows at the same monthly rate as calculateSIP,
+// with a part month counted as the share of its days that have passed, so a
+// monthly plan with no pauses or top-ups matches calculateSIP. The rate follows
+// the SIP's rate convention, but not its timing: money goes in on its dates.
+
+/**
+ * Instalment frequencies
+ * Daily SIPs run on weekdays only, as fund houses take them on business days.
+ * Monthly and quarterly instalments keep the start date's day of the month,
+ * capped at the end of shorter months.
+ */
+const SIP_FREQUENCIES = {
+  daily:       { label: "Daily", days: 1 },
+  weekly:      { label: "Weekly", days: 7 },
+  fortnightly: { label: "Fortnightly", days: 14 },
+  monthly:     { label: "Monthly", months: 1 },
+  quarterly:   { label: "Quarterly", months: 3 }
+};
+
+/**
+ * The same date a number of days later
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days
+ * @returns {string} "YYYY-MM-DD"
+ */
+function addDaysToDate(date, days) {
+  return new Date(Date.parse(date) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Instalment dates from the start date up to (not including) the end date
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @param {string} endDate - "YYYY-MM-DD"
+ * @param {string} frequency - A key of SIP_FREQUENCIES
+ * @returns {string[]} "YYYY-MM-DD" dates, oldest first
+ */
+function sipInstalmentDates(startDate, endDate, frequency) {
+  const step = SIP_FREQUENCIES[frequency];
+  const dates = [];
+  for (let k = 0; ; k++) {
+    const date = step.months ? addMonthsToDate(startDate, k * step.months) : addDaysToDate(startDate, k * step.days);
+    if (date >= endDate) break;
+    const weekday = new Date(date).getUTCDay();
+    if (frequency !== "daily" || (weekday !== 0 && weekday !== 6)) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Calculate a SIP on a dated schedule
+ * The SIP amount steps up on each anniversary of the start date (rounded to the
+ * rupee, as in calculateTopUpSIP); a yearly top-up repeats on the anniversaries
+ * of its date. The schedule has one row per month of the plan, counted from the
+ * start date, and the plan is valued at the end of its last month.
+ * @param {object} plan
+ * @param {number} plan.amount - SIP amount per instalment
+ * @param {number} plan.annualRate - Annual return rate in %
+ * @param {number} plan.years - Plan length in years
+ * @param {string} plan.startDate - First instalment, "YYYY-MM-DD"
+ * @param {string} [plan.frequency="monthly"] - A key of SIP_FREQUENCIES
+ * @param {number} [plan.stepUpRate=0] - Yearly increase in the SIP amount in %
+ * @param {Array<{from: string, to: string}>} [plan.pauses] - Instalments dated from..to (inclusive) are skipped
+ * @param {Array<{date: string, amount: number, yearly: boolean}>} [plan.topUps] - Extra lumpsums
+ * @param {object} [options] - { convention, precise, format }: rate convention overrides (see conventionFor),
+ *   whether to keep money to the paisa (see roundMoney) and the display format of
+ *   the error messages
+ * @returns {object} { ok, futureValue, totalInvested, estimatedReturns, sipInvested, topUpInvested,
+ *                     instalments, skipped, startDate, endDate, flows, schedule }
+ *   or { ok: false, errors } with errors as in validateInputs, on the plan's fields
+ *   instalments / skipped: SIP instalments made / skipped by pauses
+ *   flows: Array of { date, amount, type } where type is "sip" or "top-up"
+ *   schedule: monthly rows (see buildScheduleRow), each with the date its month ends
+ */
+function calculateSIPSchedule(plan, options) {
+  const precise = Boolean(options && options.precise);
+  const frequency = plan.frequency || "monthly";
+  const pauses = plan.pauses || [];
+  const topUps = plan.topUps || [];
+  const errors = validateInputs("sipSchedule", plan, options && options.format).errors;
+
+  const startDate = parseNAVDate(plan.startDate);
+  if (!startDate) errors.push({ field: "startDate", message: "Enter a valid start date." });
+  if (!SIP_FREQUENCIES[frequency]) errors.push({ field: "frequency", message: "Unknown frequency: " + frequency + "." });
+  if (pauses.some(p => !parseNAVDate(p.from) || !parseNAVDate(p.to) || parseNAVDate(p.from) > parseNAVDate(p.to))) {
+    errors.push({ field: "pauses", message: "Each pause needs a start date on or before its end date." });
+  }
+  const months = Math.round(plan.years * 12);
+  if (months < 1 && !errors.some(e => e.field === "years")) {
+    errors.push({ field: "years", message: "Time period must be at least a month." });
+  }
+  const endDate = startDate && months > 0 ? addMonthsToDate(startDate, months) : null;
+  if (topUps.some(t => !(t.amount > 0) || !parseNAVDate(t.date))) {
+    errors.push({ field: "topUps", message: "Each top-up needs a date and an amount above " + formatMoney(0, options && options.format) + "." });
+  } else if (endDate && topUps.some(t => parseNAVDate(t.date) < startDate || parseNAVDate(t.date) >= endDate)) {
+    errors.push({ field: "topUps", message: "Top-up dates must fall between " + startDate + " and " + endDate + "." });
+  }
+  if (errors.length) return { ok: false, errors };
+
+  const stepUp = plan.stepUpRate || 0;
+  const paused = date => pauses.some(p => date >= parseNAVDate(p.from) && date <= parseNAVDate(p.to));
+  const flows = [];
+  let skipped = 0;
+  sipInstalmentDates(startDate, endDate, frequency).forEach(date => {
+    if (paused(date)) {
+      skipped++;
+      return;
+    }
+    let year = 0;
+    while (addMonthsToDate(startDate, (year + 1) * 12) <= date) year++;
+    const amount = stepUp ? Math.round(plan.amount * Math.pow(1 + stepUp / 100, year)) : plan.amount;
+    flows.push({ date, amount, type: "sip" });
+  });
+  topUps.forEach(t => {
+    const first = parseNAVDate(t.date);
+    for (let k = 0; k === 0 || t.yearly; k++) {
+      const date = addMonthsToDate(first, 12 * k);
+      if (date >= endDate) break;
+      flows.push({ date, amount: t.amount, type: "top-up" });
+    }
+  });
+  flows.sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+  // Each month from b0 to b1: the balance grows a full month, and a flow on
+  // date d grows for the share of the month's days left after it
+  const r = monthlyRate(plan.annualRate, conventionFor("sip", options && options.convention));
+  const schedule = [];
+  let balance = 0;
+  let next = 0;
+  for (let m = 1; m <= months; m++) {
+    const b0 = addMonthsToDate(startDate, m - 1);
+    const b1 = addMonthsToDate(startDate, m);
+    const monthDays = (Date.parse(b1) - Date.parse(b0)) / 86400000;
+    const opening = balance;
+    let contribution = 0;
+    let grown = balance * (1 + r);
+    while (next < flows.length && flows[next].date < b1) {
+      const daysLeft = (Date.parse(b1) - Date.parse(flows[next].date)) / 86400000;
+      contribution = roundMoney(contribution + flows[next].amount, precise);
+      grown += flows[next].amount * Math.pow(1 + r, daysLeft / monthDays);
+      next++;
+    }
+    balance = roundMoney(grown, precise);
+    schedule.push(Object.assign(buildScheduleRow(m, opening, contribution, 0, balance, precise), { date: b1 }));
+  }
+
+  const sum = type => flows.filter(f => f.type === type).reduce((total, f) => roundMoney(total + f.amount, precise), 0);
+  const sipInvested = sum("sip");
+  const topUpInvested = sum("top-up");
+  const totalInvested = roundMoney(sipInvested + topUpInvested, precise);
+  return {
+    ok: true,
+    futureValue: balance,
+    totalInvested,
+    estimatedReturns: roundMoney(balance - totalInvested, precise),
+    sipInvested,
+    topUpInvested,
+    instalments: flows.length - flows.filter(f => f.type === "top-up").length,
+    skipped,
+    startDate,
+    endDate,
+    flows,
+    schedule
+  };
+}
+
+// ─── Asset allocation ────────────────────────────────────────────────────────
+// A portfolio of asset buckets (equity, debt, gold, ...), each growing at its
+// own expected annual return and held against a target weight. Money goes in
+// by the target weights: a lumpsum in the first month and the SIP every month.
+// As the buckets grow at different rates their weights drift, and the
+// rebalancing policy decides when to trade them back to target:
+//
+//   none       never, so the weights drift for the whole plan
+//   annual     at the end of every 12th month
+//   threshold  at the end of any month in which a bucket's weight is more than
+//              band percentage points away from its target
+//
+// A rebalance sells the buckets above target and buys those below; each bucket
+// bought or sold is one trade. A bucket held for a year earns exactly its
+// annual return (monthly growth is (1 + r)^(1/12), as in calculateLumpsum),
+// unless the rate convention says otherwise (see conventionFor); with money
+// moving at the end of the month, the SIP goes in after the month's growth.
+
+const REBALANCE_POLICIES = {
+  none: { label: "Never" },
+  annual: { label: "Every Year" },
+  threshold: { label: "Drift Band" }
+};
+
+const DEFAULT_ASSETS = [
+  { name: "Equity", annualRate: 12, weight: 60 },
+  { name: "Debt", annualRate: 7, weight: 30 },
+  { name: "Gold", annualRate: 9, weight: 10 }
+];
+
+/**
+ * Split an amount across target weights
+ * Any paisa left over by rounding goes to the largest bucket, so the parts add up to the amount.
+ * @param {number} amount
+ * @param {number[]} targets - Weights as fractions adding up to 1
+ * @param {boolean} [precise=false] - Precise mode (see roundMoney)
+ * @returns {number[]}
+ */
+function splitByWeights(amount, targets, precise) {
+  const parts = targets.map(t => roundMoney(amount * t, precise));
+  const largest = targets.indexOf(Math.max.apply(null, targets));
+  parts[largest] = roundMoney(parts[largest] + amount - parts.reduce((sum, p) => sum + p, 0), precise);
+  return parts;
+}
+
+/**
+ * Simulate a multi-asset portfolio with a rebalancing policy
+ * @param {object} plan
+ * @param {Array<{name: string, annualRate: number, weight: number}>} plan.assets - Target
+ *   weights in %, adding up to 100; annualRate in %
+ * @param {number} [plan.lumpSum=0] - Invested in the first month
+ * @param {number} [plan.monthlySIP=0] - Invested every month
+ * @param {number} plan.years - Plan length in years
+ * @param {string} [plan.rebalance="none"] - A key of REBALANCE_POLICIES
+ * @param {number} [plan.band=5] - Drift in percentage points that sets off a threshold rebalance
+ * @param {object} [options] - { convention, precise, format }: rate convention overrides (see conventionFor),
+ *   whether to keep money to the paisa (see roundMoney) and the display format of
+ *   the error messages
+ * @returns {object} { ok, futureValue, totalInvested, estimatedReturns, assets, rebalances,
+ *                     trades, turnover, maxDrift, drift, schedule }
+ *   or { ok: false, errors } with errors as in validateInputs, on the plan's fields
+ *   assets: each bucket at the end, { name, annualRate, target, invested, value, weight } (weights in %)
+ *   rebalances / trades: months with a rebalance / buckets bought or sold in them
+ *   turnover: total amount sold to rebalance
+ *   maxDrift: largest gap between a weight and its target at any month end, in percentage points
+ *   drift: monthly rows { month, weights, drift, rebalanced }, as at the month end before any rebalance
+ *   schedule: monthly rows for the whole portfolio (see buildScheduleRow)
+ */
+function calculateAllocation(plan, options) {
+  const precise = Boolean(options && options.precise);
+  const assets = Array.isArray(plan.assets) ? plan.assets : [];
+  const rebalance = plan.rebalance || "none";
+  const errors = validateInputs("allocation", plan, options && options.format).errors;
+
+  const totalWeight = assets.reduce((sum, a) => sum + Number(a.weight), 0);
+  if (!assets.length) {
+    errors.push({ field: "assets", message: "Add at least one asset." });
+  } else if (assets.some(a => !String(a.name || "").trim() || !INPUT_CHECKS.rate.test(Number(a.annualRate)) || !(Number(a.weight) >= 0))) {
+    errors.push({ field: "assets", message: "Each asset needs a name, a return between 0% and 100% and a weight of 0% or more." });
+  } else if (Math.abs(totalWeight - 100) > 0.01) {
+    errors.push({ field: "assets", message: "Target weights add up to " + formatPercent(Math.round(totalWeight * 100) / 100, options && options.format) + "; they need to add up to 100%." });
+  }
+  if (!REBALANCE_POLICIES[rebalance]) errors.push({ field: "rebalance", message: "Unknown rebalancing policy: " + rebalance + "." });
+  const lumpSum = Number(plan.lumpSum) || 0;
+  const monthlySIP = Number(plan.monthlySIP) || 0;
+  if (!errors.some(e => e.field === "lumpSum" || e.field === "monthlySIP") && !(lumpSum > 0 || monthlySIP > 0)) {
+    errors.push({ field: "monthlySIP", message: "Enter a lumpsum, a monthly SIP or both." });
+  }
+  const months = Math.round(plan.years * 12);
+  if (months < 1 && !errors.some(e => e.field === "years")) {
+    errors.push({ field: "years", message: "Time period must be at least a month." });
+  }
+  if (errors.length) return { ok: false, errors };
+
+  const band = plan.band == null ? 5 : Number(plan.band);
+  const targets = assets.map(a => Number(a.weight) / 100);
+  const convention = conventionFor("allocation", options && options.convention);
+  const late = convention.timing === "end";
+  const growth = assets.map(a => 1 + monthlyRate(Number(a.annualRate), convention));
+  const sipParts = splitByWeights(monthlySIP, targets, precise);
+  const noParts = targets.map(() => 0);
+  const invested = targets.map(() => 0);
+  let values = targets.map(() => 0);
+  let rebalances = 0;
+  let trades = 0;
+  let turnover = 0;
+  let maxDrift = 0;
+  const drift = [];
+  const schedule = [];
+
+  for (let m = 1; m <= months; m++) {
+    const opening = roundMoney(values.reduce((sum, v) => sum + v, 0), precise);
+    const first = m === 1 ? splitByWeights(roundMoney(lumpSum + (late ? 0 : monthlySIP), precise), targets, precise) : late ? noParts : sipParts;
+    const last = late ? sipParts : noParts;
+    values = values.map((v, i) => roundMoney((v + first[i]) * growth[i] + last[i], precise));
+    first.forEach((p, i) => { invested[i] = roundMoney(invested[i] + p + last[i], precise); });
+    const closing = roundMoney(values.reduce((sum, v) => sum + v, 0), precise);
+    schedule.push(buildScheduleRow(m, opening, m === 1 ? roundMoney(lumpSum + monthlySIP, precise) : monthlySIP, 0, closing, precise));
+
+    const weights = values.map(v => closing > 0 ? v / closing * 100 : 0);
+    const gap = Math.max.apply(null, weights.map((w, i) => Math.abs(w - targets[i] * 100)));
+    maxDrift = Math.max(maxDrift, gap);
+    const due = rebalance === "annual" ? m % 12 === 0 : rebalance === "threshold" && gap > band;
+    let traded = 0;
+    if (due) {
+      const target = splitByWeights(closing, targets, precise);
+      target.forEach((t, i) => {
+        if (Math.abs(t - values[i]) < 0.005) return;
+        traded++;
+        if (values[i] > t) turnover = roundMoney(turnover + values[i] - t, precise);
+      });
+      if (traded) {
+        values = target;
+        rebalances++;
+        trades += traded;
+      }
+    }
+    drift.push({ month: m, weights, drift: gap, rebalanced: traded > 0 });
+  }
+
+  const futureValue = schedule[schedule.length - 1].closingBalance;
+  const totalInvested = roundMoney(invested.reduce((sum, v) => sum + v, 0), precise);
+  return {
+    ok: true,
+    futureValue,
+    totalInvested,
+    estimatedReturns: roundMoney(futureValue - totalInvested, precise),
+    assets: assets.map((a, i) => ({
+      name: String(a.name).trim(),
+      annualRate: Number(a.annualRate),
+      target: Number(a.weight),
+      invested: invested[i],
+      value: values[i],
+      weight: futureValue > 0 ? values[i] / futureValue * 100 : 0
+    })),
+    rebalances,
+    trades,
+    turnover,
+    maxDrift,
+    drift,
+    schedule
+  };
+}
+
+// ─── Input validation ────────────────────────────────────────────────────────
+// The calculators above trust their inputs. validateInputs checks them first
+// and returns every problem as { field, message }, with field named after the
+// calculator's parameter, so a page can show each message next to its slider
+// instead of NaN or Infinity. Returns of 0% are valid everywhere.
+
+/**
+ * Checks an input can fail, with the message shown when it does
+ * Each message is completed by the field's label, e.g. "Monthly investment must be more than Rs. 0.";
+ * the amount message is a function of the display format so it names the page's currency.
+ */
+const INPUT_CHECKS = {
+  amount: { test: v => v > 0, message: format => "must be more than " + formatMoney(0, format) + "." },
+  value:  { test: v => v >= 0, message: "can't be negative." },
+  positive: { test: v => v > 0, message: "must be more than 0." },
+  rate:   { test: v => v >= 0 && v <= 100, message: "must be between 0% and 100%." },
+  years:  { test: v => v > 0, message: "must be more than 0 years." },
+  months: { test: v => v >= 1 && Number.isInteger(v), message: "must be a whole number of months, at least 1." },
+  age:    { test: v => v >= 0 && v <= 120 && Number.isInteger(v), message: "must be a whole number of years up to 120." }
+};
+
+/**
+ * Inputs of each calculator, keyed by calculator and named after its parameters
+ * check: one of INPUT_CHECKS; optional inputs are skipped when missing (null or undefined)
+ */
+const INPUT_RULES = {
+  sip: [
+    { field: "P", label: "Monthly investment", check: "amount" },
+    { field: "annualRate", label: "Expected return", check: "rate" },
+    { field: "years", label: "Time period", check: "years" },
+    { field: "topUpRate", label: "Annual top-up", check: "rate", optional: true },
+    { field: "inflationRate", label: "Inflation rate", check: "rate", optional: true }
+  ],
+  sipSchedule: [
+    { field: "amount", label: "SIP amount", check: "amount" },
+    { field: "annualRate", label: "Expected return", check: "rate" },
+    { field: "years", label: "Time period", check: "years" },
+    { field: "stepUpRate", label: "Annual top-up", check: "rate", optional: true }
+  ],
+  lumpsum: [
+    { field: "P", label: "Investment", check: "amount" },
+    { field: "annualRate", label: "Expected return", check: "rate" },
+    { field: "years", label: "Time period", check: "years" },
+    { field: "inflationRate", label: "Inflation rate", check: "rate", optional: true }
+  ],
+  lumpsumSIP: [
+    { field: "lumpSum", label: "Lumpsum", check: "value", optional: true },
+    { field: "monthlySIP", label: "Monthly SIP", check: "value", optional: true },
+    { field: "annualRate", label: "Expected return", check: "rate" },
+    { field: "years", label: "Time period", check: "years" },
+    { field: "stepUpRate", label: "Annual top-up", check: "rate", optional: true },
+    { field: "inflationRate", label: "Inflation rate", check: "rate", optional: true }
+  ],
+  cagr: [
+    { field: "beginValue", label: "Initial investment", check: "amount" },
+    { field: "endValue", label: "Final value", check: "value" },
+    { field: "years", label: "Time period", check: "years" }
+  ],
+  swp: [
+    { field: "corpus", label: "Corpus", check: "amount" },
+    { field: "monthlyWithdrawal", label: "Monthly withdrawal", check: "amount" },
+    { field: "annualRate", label: "Expected return", check: "rate" },
+    { field: "escalationRate", label: "Yearly step-up", check: "rate", optional: true }
+  ],
+  stp: [
+    { field: "lumpSum", label: "Lump sum", check: "amount" },
+    { field: "monthlyTransfer", label: "Monthly transfer", check: "amount" },
+    { field: "debtRate", label: "Debt fund return", check: "rate" },
+    { field: "equityRate", label: "Equity fund return", check: "rate" },
+    { field: "months", label: "STP duration", check: "months" },
+    { field: "targetGrowth", label: "Target growth", check: "rate", optional: true }
+  ],
+  allocation: [
+    { field: "lumpSum", label: "Lumpsum", check: "value", optional: true },
+    { field: "monthlySIP", label: "Monthly SIP", check: "value", optional: true },
+    { field: "years", label: "Time period", check: "years" },
+    { field: "band", label: "Drift band", check: "positive", optional: true }
+  ],
+  retirement: [
+    { field: "currentAge", label: "Current age", check: "age" },
+    { field: "retirementAge", label: "Retirement age", check: "age" },
+    { field: "targetAge", label: "Money to last until", check: "age" },
+    { field: "currentCorpus", label: "Current savings", check: "value", optional: true },
+    { field: "monthlySIP", label: "Monthly SIP", check: "value" },
+    { field: "stepUpRate", label: "Annual top-up", check: "rate", optional: true },
+    { field: "accumulationRate", label: "Return before retirement", check: "rate" },
+    { field: "monthlyWithdrawal", label: "Monthly withdrawal", check: "amount" },
+    { field: "withdrawalIncrease", label: "Yearly withdrawal increase", check: "rate", optional: true },
+    { field: "drawdownRate", label: "Return after retirement", check: "rate" }
+  ],
+  goal: [
+    { field: "target", label: "Goal amount", check: "amount" },
+    { field: "annualRate", label: "Expected return", check: "rate" },
+    { field: "years", label: "Time period", check: "years" },
+    { field: "inflationRate", label: "Inflation rate", check: "rate", optional: true },
+    { field: "topUpRate", label: "Annual top-up", check: "rate", optional: true },
+    { field: "amount", label: "Monthly budget", check: "amount", optional: true },
+    { field: "fxRate", label: "Exchange rate", check: "positive", optional: true }
+  ]
+};
+
+/**
+ * Validate a calculator's inputs before running it
+ * @param {string} calculator - A key of INPUT_RULES, e.g. "sip", "lumpsum", "cagr", "swp", "stp" or "goal"
+ * @param {object} inputs - Values keyed by parameter name, e.g. { P, annualRate, years }
+ * @param {object} [format] - Display format of the messages; defaults to rupees
+ * @returns {object} { ok, errors }
+ *   errors: Array of { field, message }, in the calculator's parameter order;
+ *   field is null when the calculator itself is unknown
+ */
+function validateInputs(calculator, inputs, format) {
+  const rules = INPUT_RULES[calculator];
+  if (!rules) return { ok: false, errors: [{ field: null, message: "Unknown calculator: " + calculator + "." }] };
+
+  const errors = [];
+  rules.forEach(rule => {
+    const raw = inputs ? inputs[rule.field] : undefined;
+    if (raw == null && rule.optional) return;
+    const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (typeof value !== "number" || !isFinite(value)) {
+      errors.push({ field: rule.field, message: "Enter a number for " + rule.label.toLowerCase() + "." });
+    } else if (!INPUT_CHECKS[rule.check].test(value)) {
+      const message = INPUT_CHECKS[rule.check].message;
+      errors.push({ field: rule.field, message: rule.label + " " + (typeof message === "function" ? message(format) : message) });
+    }
+  });
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Show validation messages under the inputs they belong to
+ * Each message goes in a line appended to the input's parent, created on first
+ * use; lines for inputs without an error are cleared.
+ * @param {object} validation - Result of validateInputs
+ * @param {object} inputIds - Element id of the input for each field, e.g. { P: "principal" }
+ * @returns {boolean} validation.ok, so a page can stop before calculating
+ */
+function showInputErrors(validation, inputIds) {
+  Object.keys(inputIds).forEach(field => {
+    const input = document.getElementById(inputIds[field]);
+    if (!input) return;
+    const error = validation.errors.find(e => e.field === field);
+    let line = input.parentElement.querySelector('[data-error-for="' + input.id + '"]');
+    if (!line && error) {
+      line = document.createElement("p");
+      line.dataset.errorFor = input.id;
+      line.setAttribute("role", "alert");
+      line.style.cssText = "color:#F87171;font-size:0.75rem;margin-top:6px;";
+      input.parentElement.appendChild(line);
+    }
+    if (line) line.textContent = error ? error.message : "";
+    input.setAttribute("aria-invalid", error ? "true" : "false");
+  });
+  return validation.ok;
+}
+
+// ─── Goal planning ───────────────────────────────────────────────────────────
+// Inverse solvers: start from a target corpus and work back to the SIP,
+// lumpsum, horizon or return needed to reach it. Each follows the rate
+// convention of the calculator it inverts (see conventionFor).
+
+/**
+ * SIP growth factor: future value of Rs. 1 invested at the start of each month
+ * Formula: ((1 + r)^n - 1) / r x (1 + r), or n when r = 0; without the last
+ * (1 + r) when the money goes in at the end of each month
+ * @param {number} r - Monthly rate as a decimal
+ * @param {number} n - Number of monthly instalments
+ * @param {string} [timing="start"] - "start" or "end" (see CONTRIBUTION_TIMINGS)
+ * @returns {number}
+ */
+function sipFactor(r, n, timing) {
+  if (r === 0) return n;
+  const factor = (Math.pow(1 + r, n) - 1) / r;
+  return timing === "end" ? factor : factor * (1 + r);
+}
+
+/**
+ * Calculate the Future Cost of a goal priced in today's money
+ * Inverse of calculateInflationAdjusted: presentValue x (1 + inflationRate/100)^years
+ * @param {number} presentValue - Goal amount in today's money
+ * @param {number} inflationRate - Annual inflation rate in %
+ * @param {number} years - Years until the goal
+ * @returns {object} { futureCost, inflationIncrease }
+ */
+function calculateFutureCost(presentValue, inflationRate, years) {
+  const futureCost = presentValue * Math.pow(1 + inflationRate / 100, years);
+  const inflationIncrease = futureCost - presentValue;
+  return { futureCost, inflationIncrease };
+}
+
+/**
+ * Calculate the Monthly SIP needed to reach a target corpus
+ * Formula: target / (((1 + r)^n - 1) / r x (1 + r))
+ * @param {number} target - Target corpus
+ * @param {number} annualRate - Annual return rate in %
+ * @param {number} years - Investment duration in years
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object} { monthlySIP, totalInvested, estimatedReturns }
+ */
+function calculateGoalSIP(target, annualRate, years, options) {
+  const convention = conventionFor("sip", options && options.convention);
+  const r = monthlyRate(annualRate, convention);
+  const n = years * 12;
+  const monthlySIP = target / sipFactor(r, n, convention.timing);
+  const totalInvested = monthlySIP * n;
+  const estimatedReturns = target - totalInvested;
+  return { monthlySIP, totalInvested, estimatedReturns };
+}
+
+/**
+ * Calculate the starting Monthly SIP of a Top-Up SIP needed to reach a target corpus
+ * Uses calculateTopUpSIP's model, which rounds the SIP and corpus to whole rupees,
+ * so the answer is the smallest whole-rupee starting SIP that reaches the target.
+ * @param {number} target - Target corpus
+ * @param {number} annualRate - Annual return rate in %
+ * @param {number} years - Investment duration in years
+ * @param {number} topUpRate - Annual top-up rate in %
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object} { monthlySIP, totalInvested, estimatedReturns, futureValue, yearlyBreakdown }
+ */
+function calculateGoalTopUpSIP(target, annualRate, years, topUpRate, options) {
+  const convention = conventionFor("sip", options && options.convention);
+  const r = monthlyRate(annualRate, convention);
+  let factor = 0;
+  for (let y = 1; y <= years; y++) {
+    factor = factor * Math.pow(1 + r, 12) + Math.pow(1 + topUpRate / 100, y - 1) * sipFactor(r, 12, convention.timing);
+  }
+
+  let monthlySIP = Math.max(1, Math.floor(target / factor));
+  let result = calculateTopUpSIP(monthlySIP, annualRate, years, topUpRate, null, options);
+  while (monthlySIP > 1 && result.futureValue >= target) {
+    monthlySIP--;
+    result = calculateTopUpSIP(monthlySIP, annualRate, years, topUpRate, null, options);
+  }
+  while (result.futureValue < target) {
+    monthlySIP++;
+    result = calculateTopUpSIP(monthlySIP, annualRate, years, topUpRate, null, options);
+  }
+
+  return {
+    monthlySIP,
+    totalInvested: result.totalInvested,
+    estimatedReturns: result.estimatedReturns,
+    futureValue: result.futureValue,
+    yearlyBreakdown: result.yearlyBreakdown
+  };
+}
+
+/**
+ * Calculate the Lumpsum needed today to reach a target corpus
+ * Formula: target / (1 + r)^n
+ * @param {number} target - Target corpus
+ * @param {number} annualRate - Annual return rate in %
+ * @param {number} years - Investment duration in years
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object} { lumpsum, estimatedReturns }
+ */
+function calculateGoalLumpsum(target, annualRate, years, options) {
+  const lumpsum = target / Math.pow(1 + effectiveAnnualRate(annualRate, conventionFor("lumpsum", options && options.convention)) / 100, years);
+  return { lumpsum, estimatedReturns: target - lumpsum };
+}
+
+/**
+ * Calculate how long a SIP or lumpsum takes to reach a target corpus
+ * Steps month by month; when inflationRate is given the target is in today's
+ * money and grows with inflation while the investment compounds.
+ * @param {number} target - Target corpus
+ * @param {number} amount - Monthly SIP or one-time lumpsum
+ * @param {number} annualRate - Annual return rate in %
+ * @param {string} type - "sip" or "lumpsum"
+ * @param {number} [inflationRate=0] - Annual inflation rate in %
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object} { months, years, remainingMonths, isReachable }
+ *   isReachable: false when the target is not met within 100 years
+ */
+function calculateGoalYears(target, amount, annualRate, type, inflationRate, options) {
+  const sip = conventionFor("sip", options && options.convention);
+  const r = monthlyRate(annualRate, sip);
+  const lumpsumRate = effectiveAnnualRate(annualRate, conventionFor("lumpsum", options && options.convention)) / 100;
+  const inflation = (inflationRate || 0) / 100;
+  const maxMonths = 100 * 12;
+
+  for (let m = 0; m <= maxMonths; m++) {
+    const value = type === "sip"
+      ? amount * sipFactor(r, m, sip.timing)
+      : amount * Math.pow(1 + lumpsumRate, m / 12);
+    if (value >= target * Math.pow(1 + inflation, m / 12)) {
+      return { months: m, years: Math.floor(m / 12), remainingMonths: m % 12, isReachable: true };
+    }
+  }
+  return { months: 0, years: 0, remainingMonths: 0, isReachable: false };
+}
+
+/**
+ * Calculate the Annual Return needed for a SIP or lumpsum to reach a target corpus
+ * Solved by bisection between -99% and 1000%.
+ * @param {number} target - Target corpus
+ * @param {number} amount - Monthly SIP or one-time lumpsum
+ * @param {number} years - Investment duration in years
+ * @param {string} type - "sip" or "lumpsum"
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object} { rate, isReachable }
+ *   rate: annual return in % under the SIP's or lumpsum's rate convention (null when not reachable)
+ */
+function calculateGoalRate(target, amount, years, type, options) {
+  const n = years * 12;
+  const convention = conventionFor(type === "sip" ? "sip" : "lumpsum", options && options.convention);
+  const fv = rate => type === "sip"
+    ? amount * sipFactor(monthlyRate(rate, convention), n, convention.timing)
+    : amount * Math.pow(1 + effectiveAnnualRate(rate, convention) / 100, years);
+
+  let lo = -99;
+  let hi = 1000;
+  if (target <= 0 || amount <= 0 || years <= 0 || fv(hi) < target || fv(lo) > target) {
+    return { rate: null, isReachable: false };
+  }
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (fv(mid) < target) lo = mid;
+    else hi = mid;
+  }
+  return { rate: (lo + hi) / 2, isReachable: true };
+}
+
+// ─── Retirement planning ─────────────────────────────────────────────────────
+// One plan from today to old age: a step-up SIP (on top of any corpus already
+// saved) until retirement, then a rising monthly withdrawal from the same
+// corpus. Each phase has its own expected return and follows the calculator
+// it extends: accumulation is calculateTopUpSIP's model and drawdown is
+// calculateSWP's, each with its calculator's rate convention (see
+// conventionFor), so a plan that starts at retirement matches the SWP page.
+
+/**
+ * Run a retirement plan month by month
+ * Stops when the corpus runs out, or after SCHEDULE_MAX_MONTHS of drawdown.
+ * @param {object} plan - See calculateRetirementPlan
+ * @param {number} monthlySIP - Monthly SIP in the first year
+ * @param {number} [drawdownMonths] - Stop after this many months of drawdown
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { corpusAtRetirement, totalInvested, totalWithdrawn, months, fullMonths, isIndefinite, schedule }
+ *   months: drawdown months with a withdrawal, the last one possibly short
+ *   fullMonths: drawdown months in which the whole planned withdrawal was paid
+ */
+function simulateRetirement(plan, monthlySIP, drawdownMonths, options) {
+  const precise = Boolean(options && options.precise);
+  const accumulationMonths = (plan.retirementAge - plan.currentAge) * 12;
+  const accumulation = conventionFor("sip", options && options.convention);
+  const drawdown = conventionFor("swp", options && options.convention);
+  const rA = monthlyRate(plan.accumulationRate, accumulation);
+  const rD = monthlyRate(plan.drawdownRate, drawdown);
+  const sipTiming = accumulation.timing;
+  const withdrawalTiming = drawdown.timing;
+  const stepUp = (plan.stepUpRate || 0) / 100;
+  const lastMonth = accumulationMonths + (drawdownMonths || SCHEDULE_MAX_MONTHS);
+  let balance = plan.currentCorpus || 0;
+  let corpusAtRetirement = balance;
+  let invested = 0;
+  let withdrawn = 0;
+  let months = 0;
+  let fullMonths = 0;
+  let depleted = false;
+  const schedule = [];
+
+  for (let m = 1; m <= lastMonth && !depleted; m++) {
+    const opening = balance;
+    if (m <= accumulationMonths) {
+      const sip = Math.round(monthlySIP * Math.pow(1 + stepUp, Math.ceil(m / 12) - 1));
+      balance = roundMoney(sipTiming === "end" ? balance * (1 + rA) + sip : (balance + sip) * (1 + rA), precise);
+      if (m % 12 === 0 && !precise) balance = Math.round(balance);
+      invested = roundMoney(invested + sip, precise);
+      schedule.push(Object.assign(buildScheduleRow(m, opening, sip, 0, balance, precise), { phase: "accumulation" }));
+      if (m === accumulationMonths) corpusAtRetirement = balance;
+      continue;
+    }
+    const available = withdrawalTiming === "end" ? roundMoney(balance * (1 + rD), precise) : balance;
+    const planned = roundMoney(swpWithdrawalForMonth(plan.monthlyWithdrawal, plan.withdrawalIncrease, m - accumulationMonths), precise);
+    const withdrawal = Math.min(planned, available);
+    depleted = available <= planned;
+    balance = roundMoney(available - withdrawal, precise);
+    if (withdrawalTiming === "start") balance = roundMoney(balance * (1 + rD), precise);
+    withdrawn = roundMoney(withdrawn + withdrawal, precise);
+    if (withdrawal > 0) months++;
+    if (withdrawal >= planned) fullMonths++;
+    schedule.push(Object.assign(buildScheduleRow(m, opening, 0, withdrawal, balance, precise), { phase: "drawdown" }));
+  }
+
+  return {
+    corpusAtRetirement,
+    totalInvested: invested,
+    totalWithdrawn: withdrawn,
+    months,
+    fullMonths,
+    isIndefinite: !depleted,
+    schedule
+  };
+}
+
+/**
+ * Check a retirement plan, for calculateRetirementPlan and calculateRetirementSIP
+ * @param {object} plan - See calculateRetirementPlan
+ * @param {boolean} [withSIP=true] - false when the SIP is what is being solved for
+ * @param {object} [format] - Display format of the messages (see validateInputs)
+ * @returns {object} { ok, errors } as from validateInputs
+ */
+function validateRetirementPlan(plan, withSIP, format) {
+  const inputs = Object.assign({ targetAge: 90 }, plan);
+  if (withSIP === false) inputs.monthlySIP = 0;
+  const errors = validateInputs("retirement", inputs, format).errors;
+  const bad = field => errors.some(e => e.field === field);
+  if (!bad("currentAge") && !bad("retirementAge") && inputs.retirementAge < inputs.currentAge) {
+    errors.push({ field: "retirementAge", message: "Retirement age can't be before your current age." });
+  }
+  if (!bad("retirementAge") && !bad("targetAge") && inputs.targetAge <= inputs.retirementAge) {
+    errors.push({ field: "targetAge", message: "The money has to last past your retirement age." });
+  }
+  const saving = Number(inputs.currentCorpus) > 0 || (Number(inputs.monthlySIP) > 0 && inputs.retirementAge > inputs.currentAge);
+  if (withSIP !== false && !saving && !errors.some(e => ["monthlySIP", "currentCorpus", "retirementAge"].includes(e.field))) {
+    errors.push({ field: "monthlySIP", message: "Enter a monthly SIP before retirement or the corpus you already have." });
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Plan a retirement: step-up SIP until retirement, then a rising monthly withdrawal
+ * Ages are whole years; the plan starts today at currentAge. The SIP goes in at the
+ * start of each month and steps up every 12 months; from retirement the corpus
+ * earns its drawdown return and pays the withdrawal at the end of each month,
+ * rising once a year by withdrawalIncrease.
+ * @param {object} plan
+ * @param {number} plan.currentAge
+ * @param {number} plan.retirementAge - SIP stops and withdrawals start at this age
+ * @param {number} [plan.targetAge=90] - Age the money should last to
+ * @param {number} [plan.currentCorpus=0] - Already saved for retirement
+ * @param {number} plan.monthlySIP - Monthly SIP in the first year
+ * @param {number} [plan.stepUpRate=0] - Yearly SIP increase in %
+ * @param {number} plan.accumulationRate - Annual return before retirement in %
+ * @param {number} plan.monthlyWithdrawal - Monthly withdrawal in the first year of retirement
+ * @param {number} [plan.withdrawalIncrease=0] - Yearly withdrawal increase in %, e.g. inflation
+ * @param {number} plan.drawdownRate - Annual return after retirement in %
+ * @param {object} [options] - { convention, precise, format }: rate convention overrides (see conventionFor),
+ *   whether to keep money to the paisa (see roundMoney) and the display format of
+ *   the error messages
+ * @returns {object} { ok, corpusAtRetirement, totalInvested, totalWithdrawn, months, years,
+ *                     remainingMonths, isIndefinite, depletionAge, lastsToTarget, schedule, yearlySchedule }
+ *   or { ok: false, errors } with errors as in validateInputs, on the plan's fields
+ *   months / years / remainingMonths: how long the withdrawals last, as in calculateSWP
+ *   isIndefinite: the corpus still pays out after SCHEDULE_MAX_MONTHS of drawdown
+ *   depletionAge: age when the money runs out, in years (null when indefinite)
+ *   lastsToTarget: every planned withdrawal up to targetAge is paid in full
+ *   schedule: monthly rows (see buildScheduleRow) from today until the money runs out,
+ *   each with phase "accumulation" or "drawdown"
+ *   yearlySchedule: schedule grouped by year (see groupScheduleByYear), each row with
+ *   the age at the end of that year and its phase
+ */
+function calculateRetirementPlan(plan, options) {
+  const precise = Boolean(options && options.precise);
+  const validation = validateRetirementPlan(plan, true, options && options.format);
+  if (!validation.ok) return validation;
+
+  const targetAge = plan.targetAge == null ? 90 : plan.targetAge;
+  const run = simulateRetirement(plan, plan.monthlySIP, undefined, options);
+  const yearlySchedule = groupScheduleByYear(run.schedule, precise).map(row =>
+    Object.assign(row, { age: plan.currentAge + row.year })
+  );
+  return {
+    ok: true,
+    corpusAtRetirement: run.corpusAtRetirement,
+    totalInvested: run.totalInvested,
+    totalWithdrawn: run.totalWithdrawn,
+    months: run.months,
+    years: Math.floor(run.months / 12),
+    remainingMonths: run.months % 12,
+    isIndefinite: run.isIndefinite,
+    depletionAge: run.isIndefinite ? null : plan.retirementAge + run.months / 12,
+    lastsToTarget: run.isIndefinite || run.fullMonths >= (targetAge - plan.retirementAge) * 12,
+    schedule: run.schedule,
+    yearlySchedule
+  };
+}
+
+/**
+ * Calculate the starting monthly SIP a retirement plan needs to last to targetAge
+ * The smallest whole-rupee SIP (with the plan's step-up) whose corpus pays every
+ * planned withdrawal up to targetAge, found by bisection on the simulated plan.
+ * @param {object} plan - As for calculateRetirementPlan; plan.monthlySIP is ignored
+ * @param {object} [options] - { convention, format }: rate convention overrides (see conventionFor) and
+ *   the display format of the error messages
+ * @returns {object} { ok, monthlySIP, isReachable, corpusAtRetirement, totalInvested }
+ *   or { ok: false, errors } as from calculateRetirementPlan
+ *   monthlySIP: 0 when the current corpus is already enough; null when no SIP
+ *   can help, i.e. retirement is today and the corpus falls short
+ */
+function calculateRetirementSIP(plan, options) {
+  const validation = validateRetirementPlan(plan, false, options && options.format);
+  if (!validation.ok) return validation;
+
+  const targetAge = plan.targetAge == null ? 90 : plan.targetAge;
+  const drawdownMonths = (targetAge - plan.retirementAge) * 12;
+  const lasts = sip => simulateRetirement(plan, sip, drawdownMonths, options).fullMonths >= drawdownMonths;
+  const answer = sip => {
+    const run = simulateRetirement(plan, sip, 0, options);
+    return { ok: true, monthlySIP: sip, isReachable: true, corpusAtRetirement: run.corpusAtRetirement, totalInvested: run.totalInvested };
+  };
+
+  if (lasts(0)) return answer(0);
+  if (plan.retirementAge === plan.currentAge) {
+    return { ok: true, monthlySIP: null, isReachable: false, corpusAtRetirement: plan.currentCorpus || 0, totalInvested: 0 };
+  }
+  let lo = 0;
+  let hi = 1000;
+  while (!lasts(hi)) {
+    lo = hi;
+    hi *= 2;
+  }
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (lasts(mid)) hi = mid;
+    else lo = mid;
+  }
+  return answer(hi);
+}
+
+// ─── Capital gains tax ───────────────────────────────────────────────────────
+// Units are tracked as purchase lots and redeemed first-in-first-out. Each
+// gain is short- or long-term by holding period, and tax is worked out per
+// 12-month block of the plan with the yearly LTCG exemption.
+
+/**
+ * Default capital gains rules by fund type (Indian rules, FY 2024-25)
+ * ltcgMonths: gains are long-term when units are held for more than this many months
+ * ltcgRate / stcgRate: tax rates in %
+ * ltcgExemption: long-term gains exempt from tax each year (Rs.)
+ * Debt fund units bought from 1 Apr 2023 are taxed at the investor's slab
+ * however long they are held (s.50AA), so debt has no long-term tier
+ * (ltcgMonths: Infinity); a 30% slab is used by default.
+ */
+const TAX_RULES = {
+  equity: { ltcgMonths: 12, ltcgRate: 12.5, stcgRate: 20, ltcgExemption: 125000 },
+  debt:   { ltcgMonths: Infinity, ltcgRate: 30, stcgRate: 30, ltcgExemption: 0 }
+};
+
+/**
+ * Resolve a fund type or partial rules object into a full set of tax rules
+ * @param {string|object} rules - "equity", "debt", or overrides of the equity rules
+ * @returns {object} { ltcgMonths, ltcgRate, stcgRate, ltcgExemption }
+ */
+function resolveTaxRules(rules) {
+  if (typeof rules === "string") return Object.assign({}, TAX_RULES[rules] || TAX_RULES.equity);
+  return Object.assign({}, TAX_RULES.equity, rules || {});
+}
+
+/**
+ * One-line summary of a set of tax rules, e.g. for a note under the fund type
+ * @param {string|object} rules - Fund type or tax rules (see TAX_RULES)
+ * @param {object} [format] - Display format of the exemption; defaults to rupees
+ * @returns {string} e.g. "STCG 20% · LTCG 12.5% after 12 months · Rs. 1,25,000/yr exempt"
+ */
+function describeTaxRules(rules, format) {
+  const taxRules = resolveTaxRules(rules);
+  if (!isFinite(taxRules.ltcgMonths)) return "Slab rate (" + taxRules.stcgRate + "% assumed) on all gains, however long held";
+  return "STCG " + taxRules.stcgRate + "% · LTCG " + taxRules.ltcgRate + "% after " + taxRules.ltcgMonths + " months" +
+    (taxRules.ltcgExemption > 0 ? " · " + formatMoney(taxRules.ltcgExemption, format) + "/yr exempt" : "");
+}
+
+/**
+ * Redeem units First-In-First-Out from a list of purchase lots
+ * Lots are updated in place: fully redeemed lots are removed.
+ * @param {Array<{month: number, units: number, nav: number}>} lots - Purchase lots, oldest first
+ * @param {number} units - Units to redeem
+ * @param {number} nav - NAV on the redemption date
+ * @param {number} month - Month of redemption (same scale as lot.month)
+ * @param {string|object} rules - Fund type or tax rules (see TAX_RULES)
+ * @returns {object} { unitsRedeemed, proceeds, costBasis, shortTermGain, longTermGain }
+ */
+function redeemLotsFIFO(lots, units, nav, month, rules) {
+  const taxRules = resolveTaxRules(rules);
+  let remaining = units;
+  let unitsRedeemed = 0;
+  let costBasis = 0;
+  let shortTermGain = 0;
+  let longTermGain = 0;
+
+  while (remaining > 1e-12 && lots.length > 0) {
+    const lot = lots[0];
+    const take = Math.min(lot.units, remaining);
+    const gain = take * (nav - lot.nav);
+    if (month - lot.month > taxRules.ltcgMonths) longTermGain += gain;
+    else shortTermGain += gain;
+    costBasis += take * lot.nav;
+    unitsRedeemed += take;
+    remaining -= take;
+    lot.units -= take;
+    if (lot.units <= 1e-12) lots.shift();
   }
 
-  const totalCorpus = debtCorpus + equityCorpus;
-  const directEquityValue = lumpSum * Math.pow(1 + equityRate / 100 / 12, months);
-  const debtOnlyValue = lumpSum * Math.pow(1 + debtRate / 100 / 12, months);
+  return { unitsRedeemed, proceeds: unitsRedeemed * nav, costBasis, shortTermGain, longTermGain };
+}
+
+/**
+ * Calculate Capital Gains Tax for one year of realised gains
+ * Short-term losses are set off against long-term gains; a long-term loss is
+ * set off only against long-term gains, never short-term ones. Loss left over
+ * is carried forward, and the LTCG exemption applies to what gain is left.
+ * Loss brought forward from earlier years is set off against long-term gains
+ * only, as it may be a long-term loss; the eight-year limit on carrying a loss
+ * forward is not modelled.
+ * @param {number} shortTermGain - Realised short-term gain (Rs.)
+ * @param {number} longTermGain - Realised long-term gain (Rs.)
+ * @param {string|object} rules - Fund type or tax rules (see TAX_RULES)
+ * @param {number} [lossBroughtForward=0] - Loss carried forward from earlier years (Rs., 0 or more)
+ * @returns {object} { tax, stcgTax, ltcgTax, taxableLTCG, exemptionUsed, lossCarriedForward }
+ *   lossCarriedForward: loss not set off this year, including what was brought forward (Rs., 0 or more)
+ */
+function calculateCapitalGainsTax(shortTermGain, longTermGain, rules, lossBroughtForward) {
+  const taxRules = resolveTaxRules(rules);
+  let stcg = shortTermGain;
+  let ltcg = longTermGain - (lossBroughtForward || 0);
+  let lossCarriedForward = 0;
+  if (stcg < 0) { ltcg += stcg; stcg = 0; }
+  if (ltcg < 0) { lossCarriedForward = -ltcg; ltcg = 0; }
+
+  const exemptionUsed = Math.min(ltcg, taxRules.ltcgExemption);
+  const taxableLTCG = ltcg - exemptionUsed;
+  const stcgTax = stcg * taxRules.stcgRate / 100;
+  const ltcgTax = taxableLTCG * taxRules.ltcgRate / 100;
+  return { tax: stcgTax + ltcgTax, stcgTax, ltcgTax, taxableLTCG, exemptionUsed, lossCarriedForward };
+}
 
-  return { debtCorpus, equityCorpus, totalCorpus, totalTransferred, breakdown, directEquityValue, debtOnlyValue };
-}
\ No newline at end of file
+/**
+ * Calculate Post-Tax Lumpsum value when the whole holding is redeemed at maturity
+ * @param {number} P - One-time investment amount
+ * @param {number} annualRate - Annual return rate in %
+ * @param {number} years - Investment duration in years
+ * @param {string|object} rules - Fund type or tax rules (see TAX_RULES)
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { futureValue, totalInvested, estimatedReturns, isLongTerm, tax, postTaxValue, postTaxReturns }
+ */
+function calculateLumpsumTax(P, annualRate, years, rules, options) {
+  const precise = Boolean(options && options.precise);
+  const taxRules = resolveTaxRules(rules);
+  const { futureValue, totalInvested, estimatedReturns } = calculateLumpsum(P, annualRate, years, null, options);
+  const isLongTerm = years * 12 > taxRules.ltcgMonths;
+  const tax = roundMoney((isLongTerm
+    ? calculateCapitalGainsTax(0, estimatedReturns, taxRules)
+    : calculateCapitalGainsTax(estimatedReturns, 0, taxRules)).tax, precise);
+  const postTaxValue = roundMoney(futureValue - tax, precise);
+  return { futureValue, totalInvested, estimatedReturns, isLongTerm, tax, postTaxValue, postTaxReturns: roundMoney(postTaxValue - P, precise) };
+}
+
+/**
+ * Calculate SWP withdrawals with capital gains tax, year by year
+ * The corpus is bought as one lot at NAV 1 and grows at the monthly rate;
+ * each withdrawal redeems units FIFO, at the NAV of the start or end of its month
+ * as the SWP's rate convention says, and tax is settled out of that year's withdrawals.
+ * A year's loss left after set-off is carried into the next year's (see calculateCapitalGainsTax).
+ * @param {number} corpus - Initial corpus amount
+ * @param {number} monthlyWithdrawal - Monthly withdrawal amount (gross, before tax)
+ * @param {number} annualRate - Annual return rate in %
+ * @param {string|object} rules - Fund type or tax rules (see TAX_RULES)
+ * @param {number} maxYears - Number of years to simulate
+ * @param {number} [escalationRate] - Yearly increase in the withdrawal in % (see calculateSWP)
+ * @param {object} [options] - { convention, precise }: rate convention overrides (see conventionFor) and
+ *   whether to keep money to the paisa (see roundMoney)
+ * @returns {object} { yearlyBreakdown, totalWithdrawn, totalTax, totalPostTaxIncome }
+ *   yearlyBreakdown: Array of { year, openingCorpus, interestEarned, withdrawn, shortTermGain,
+ *                               longTermGain, tax, lossCarriedForward, postTaxIncome, closingCorpus }
+ */
+function calculateSWPTax(corpus, monthlyWithdrawal, annualRate, rules, maxYears, escalationRate, options) {
+  const precise = Boolean(options && options.precise);
+  const taxRules = resolveTaxRules(rules);
+  const convention = conventionFor("swp", options && options.convention);
+  const r = monthlyRate(annualRate, convention);
+  const early = convention.timing === "start" ? 1 : 0;
+  const lots = [{ month: 0, units: corpus, nav: 1 }];
+  const years = calculateSWP(corpus, monthlyWithdrawal, annualRate, null, escalationRate, options).yearlySchedule;
+  const yearlyBreakdown = [];
+  let totalWithdrawn = 0;
+  let totalTax = 0;
+  let lossCarriedForward = 0;
+
+  years.slice(0, maxYears).forEach(row => {
+    let shortTermGain = 0;
+    let longTermGain = 0;
+
+    row.months.forEach(monthRow => {
+      const nav = Math.pow(1 + r, monthRow.month - early);
+      const sale = redeemLotsFIFO(lots, monthRow.withdrawal / nav, nav, monthRow.month, taxRules);
+      shortTermGain += sale.shortTermGain;
+      longTermGain += sale.longTermGain;
+    });
+
+    const gainsTax = calculateCapitalGainsTax(shortTermGain, longTermGain, taxRules, lossCarriedForward);
+    const tax = roundMoney(gainsTax.tax, precise);
+    lossCarriedForward = gainsTax.lossCarriedForward;
+    totalWithdrawn = roundMoney(totalWithdrawn + row.withdrawal, precise);
+    totalTax = roundMoney(totalTax + tax, precise);
+    yearlyBreakdown.push({
+      year: row.year,
+      openingCorpus: row.openingBalance,
+      interestEarned: row.returns,
+      withdrawn: row.withdrawal,
+      shortTermGain,
+      longTermGain,
+      tax,
+      lossCarriedForward,
+      postTaxIncome: roundMoney(row.withdrawal - tax, precise),
+      closingCorpus: row.closingBalance
+    });
+  });
+
+  return { yearlyBreakdown, totalWithdrawn, totalTax, totalPostTaxIncome: roundMoney(totalWithdrawn - totalTax, precise) };
+}
+
+// ─── Fund costs ──────────────────────────────────────────────────────────────
+// A cost model is { ter, exitLoad }: ter is the annual Total Expense Ratio in %,
+// charged monthly on the fund value; exitLoad is a list of slabs
+// [{ maxMonths, rate }] where rate % is deducted from units redeemed before
+// they have been held for maxMonths, e.g. [{ maxMonths: 12, rate: 1 }].
+
+/**
+ * Exit-load rate for units held a given number of months
+ * @param {Array<{maxMonths: number, rate: number}>} slabs - Exit-load slabs
+ * @param {number} holdingMonths - Months the units have been held
+ * @returns {number} exit load in % (0 when no slab applies)
+ */
+function exitLoadRate(slabs, holdingMonths) {
+  const slab = (slabs || [])
+    .slice()
+    .sort((a, b) => a.maxMonths - b.maxMonths)
+    .find(s => holdingMonths < s.maxMonths);
+  return slab ? slab.rate : 0;
+}
+
+/**
+ * Calculate the Cost Drag on a series of monthly instalments redeemed at the end
+ * Instalment k is invested at the start of month k+1 and held for (n - k) months,
+ * or at its end and held a month less.
+ * @param {number[]} instalments - Amount invested each month
+ * @param {number} r - Monthly return rate as a decimal
+ * @param {object} costs - Cost model { ter, exitLoad }
+ * @param {string} [timing="start"] - "start" or "end" (see CONTRIBUTION_TIMINGS)
+ * @returns {object} { grossValue, netValue, totalCosts, expenseRatioCost, exitLoadCost }
+ */
+function calculateFundCosts(instalments, r, costs, timing) {
+  const fee = (costs.ter || 0) / 100 / 12;
+  const n = instalments.length;
+  let grossValue = 0;
+  let preLoadValue = 0;
+  let exitLoadCost = 0;
+
+  instalments.forEach((amount, k) => {
+    const held = timing === "end" ? n - k - 1 : n - k;
+    const net = amount * Math.pow((1 + r) * (1 - fee), held);
+    grossValue += amount * Math.pow(1 + r, held);
+    preLoadValue += net;
+    exitLoadCost += net * exitLoadRate(costs.exitLoad, held) / 100;
+  });
+
+  const netValue = preLoadValue - exitLoadCost;
+  return {
+    grossValue,
+    netValue,
+    totalCosts: grossValue - netValue,
+    expenseRatioCost: grossValue - preLoadValue,
+    exitLoadCost
+  };
+}
+
+/**
+ * Simulate an SWP month by month with fund costs
+ * The corpus is one lot bought at month 0, so every withdrawal in month m has
+ * been held for m months when its exit load is looked up (m - 1 when it is
+ * taken at the start of the month).
+ * @param {number} corpus - Initial corpus amount
+ * @param {number} monthlyWithdrawal - Amount received each month (in the first year)
+ * @param {number} r - Monthly return rate as a decimal
+ * @param {object} costs - Cost model { ter, exitLoad }
+ * @param {number} [escalationRate] - Yearly increase in the withdrawal in %
+ * @param {string} [timing="end"] - "start" or "end" (see CONTRIBUTION_TIMINGS)
+ * @returns {object} { net, totalCosts, expenseRatioCost, exitLoadCost }
+ */
+function calculateSWPCosts(corpus, monthlyWithdrawal, r, costs, escalationRate, timing) {
+  const fee = (costs.ter || 0) / 100 / 12;
+  let current = corpus;
+  let months = 0;
+  let totalWithdrawn = 0;
+  let expenseRatioCost = 0;
+  let exitLoadCost = 0;
+
+  const grow = () => {
+    const grown = current * (1 + r);
+    expenseRatioCost += grown * fee;
+    current = grown * (1 - fee);
+  };
+  while (current > 0 && months < SCHEDULE_MAX_MONTHS) {
+    months++;
+    if (timing !== "start") grow();
+    const load = exitLoadRate(costs.exitLoad, timing === "start" ? months - 1 : months) / 100;
+    const redeemed = Math.min(swpWithdrawalForMonth(monthlyWithdrawal, escalationRate, months) / (1 - load), current);
+    current -= redeemed;
+    exitLoadCost += redeemed * load;
+    totalWithdrawn += redeemed * (1 - load);
+    if (timing === "start") grow();
+  }
+
+  const isIndefinite = current > 0;
+  const net = isIndefinite
+    ? { months: 0, years: 0, remainingMonths: 0, totalWithdrawn: 0, isIndefinite: true }
+    : { months, years: Math.floor(months / 12), remainingMonths: months % 12, totalWithdrawn, isIndefinite: false };
+  return { net, totalCosts: expenseRatioCost + exitLoadCost, expenseRatioCost, exitLoadCost };
+}
+
+// ─── Monte Carlo simulation ──────────────────────────────────────────────────
+// Each month's growth is (1 + r) x e^(sZ - s²/2), with Z standard normal and
+// s the annual volatility scaled to a month (volatility / √12). The expected
+// growth is exactly the calculator's deterministic (1 + r), with r and the
+// timing from its rate convention, so at 0% volatility every path reproduces
+// calculateSIP, calculateLumpsum or calculateSWP.
+
+/**
+ * Seeded pseudo-random generator (mulberry32), or Math.random without a seed
+ * @param {number} [seed] - Any integer; the same seed gives the same sequence
+ * @returns {function(): number} uniform random numbers in [0, 1)
+ */
+function createRandom(seed) {
+  if (seed == null) return Math.random;
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal random number (Box-Muller)
+ * @param {function(): number} random - Uniform generator from createRandom
+ * @returns {number}
+ */
+function randomNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Percentile of an ascending list, interpolating between neighbours
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile, 0–100
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Run Monte Carlo paths of a monthly plan
+ * Each month: add the contribution, grow by a random return, then take the
+ * withdrawal (capped at the balance). A path survives while every withdrawal
+ * is paid in full. A timing of "start" takes the withdrawal before the growth
+ * too, and "end" adds the contribution after it.
+ * @param {number} initial - Balance at the start
+ * @param {number[]} contributions - Amount added each month; its length sets the months
+ * @param {number|number[]} withdrawal - Amount taken each month, or one per month
+ * @param {number} r - Expected monthly return as a decimal
+ * @param {number} volatility - Annual volatility (standard deviation) in %
+ * @param {object} [options] - { paths = 2000, seed, timing }
+ * @returns {object} { p10, p50, p90, survivalByYear, paths }
+ *   p10/p50/p90: balance at the end of each year (index 0 = start)
+ *   survivalByYear: share of paths (0–1) still paying in full at each year end
+ */
+function runMonteCarlo(initial, contributions, withdrawal, r, volatility, options) {
+  options = options || {};
+  const paths = options.paths || 2000;
+  const random = createRandom(options.seed);
+  const s = volatility / 100 / Math.sqrt(12);
+  const months = contributions.length;
+  const years = Math.ceil(months / 12);
+  const balances = [];
+  const alive = [];
+  for (let y = 0; y <= years; y++) {
+    balances.push(new Array(paths));
+    alive.push(0);
+  }
+
+  for (let path = 0; path < paths; path++) {
+    let balance = initial;
+    let survived = true;
+    balances[0][path] = balance;
+    alive[0]++;
+    for (let m = 1; m <= months; m++) {
+      const take = Array.isArray(withdrawal) ? withdrawal[m - 1] : withdrawal;
+      const withdraw = () => {
+        if (take > 0) {
+          if (balance < take) survived = false;
+          balance = Math.max(0, balance - take);
+        }
+      };
+      if (options.timing === "start") withdraw();
+      const growth = (1 + r) * Math.exp(s * randomNormal(random) - s * s / 2);
+      balance = options.timing === "end"
+        ? balance * growth + contributions[m - 1]
+        : (balance + contributions[m - 1]) * growth;
+      if (options.timing !== "start") withdraw();
+      if (m % 12 === 0 || m === months) {
+        const y = Math.ceil(m / 12);
+        balances[y][path] = balance;
+        if (survived) alive[y]++;
+      }
+    }
+  }
+
+  const sorted = balances.map(values => values.sort((a, b) => a - b));
+  return {
+    p10: sorted.map(values => percentile(values, 10)),
+    p50: sorted.map(values => percentile(values, 50)),
+    p90: sorted.map(values => percentile(values, 90)),
+    survivalByYear: alive.map(count => count / paths),
+    paths
+  };
+}
+
+/**
+ * Monte Carlo bands for a monthly SIP (optionally stepped up each year)
+ * @param {number} P - Monthly investment amount
+ * @param {number} annualRate - Expected annual return in %
+ * @param {number} years - Investment duration in years
+ * @param {number} volatility - Annual volatility in %
+ * @param {object} [options] - { topUpRate, paths, seed, convention } (convention: see conventionFor)
+ * @returns {object} { p10, p50, p90, survivalByYear, paths } (see runMonteCarlo)
+ */
+function calculateSIPMonteCarlo(P, annualRate, years, volatility, options) {
+  const topUpRate = (options && options.topUpRate) || 0;
+  const contributions = [];
+  for (let y = 1; y <= years; y++) {
+    const monthlySIP = topUpRate ? Math.round(P * Math.pow(1 + topUpRate / 100, y - 1)) : P;
+    for (let m = 0; m < 12; m++) contributions.push(monthlySIP);
+  }
+  const convention = conventionFor("sip", options && options.convention);
+  return runMonteCarlo(0, contributions, 0, monthlyRate(annualRate, convention), volatility,
+    Object.assign({}, options, { timing: convention.timing }));
+}
+
+/**
+ * Monte Carlo bands for a lumpsum
+ * @param {number} P - One-time investment amount
+ * @param {number} annualRate - Expected annual return in % (under the lumpsum's rate convention, as calculateLumpsum)
+ * @param {number} years - Investment duration in years
+ * @param {number} volatility - Annual volatility in %
+ * @param {object} [options] - { paths, seed, convention } (convention: see conventionFor)
+ * @returns {object} { p10, p50, p90, survivalByYear, paths } (see runMonteCarlo)
+ */
+function calculateLumpsumMonteCarlo(P, annualRate, years, volatility, options) {
+  const contributions = new Array(years * 12).fill(0);
+  return runMonteCarlo(P, contributions, 0, monthlyRate(annualRate, conventionFor("lumpsum", options && options.convention)), volatility, options);
+}
+
+/**
+ * Monte Carlo bands for an SWP and the chance the corpus lasts
+ * @param {number} corpus - Initial corpus amount
+ * @param {number} monthlyWithdrawal - Monthly withdrawal amount (in the first year)
+ * @param {number} annualRate - Expected annual return in %
+ * @param {number} years - Horizon N in years
+ * @param {number} volatility - Annual volatility in %
+ * @param {object} [options] - { escalationRate, paths, seed, convention } (convention: see conventionFor)
+ * @returns {object} { p10, p50, p90, survivalByYear, survivalProbability, paths }
+ *   survivalProbability: share of paths (0–1) that pay every withdrawal for N years
+ */
+function calculateSWPMonteCarlo(corpus, monthlyWithdrawal, annualRate, years, volatility, options) {
+  const escalationRate = options && options.escalationRate;
+  const contributions = new Array(years * 12).fill(0);
+  const withdrawals = contributions.map((_, i) => swpWithdrawalForMonth(monthlyWithdrawal, escalationRate, i + 1));
+  const convention = conventionFor("swp", options && options.convention);
+  const result = runMonteCarlo(corpus, contributions, withdrawals, monthlyRate(annualRate, convention), volatility,
+    Object.assign({}, options, { timing: convention.timing }));
+  result.survivalProbability = result.survivalByYear[years];
+  return result;
+}
+
+// ─── Historical NAV backtest ─────────────────────────────────────────────────
+// A NAV history is a list of { date: "YYYY-MM-DD", nav } sorted by date. Plans
+// run on monthly dates counted from the start date (the 31st falls back to the
+// last day of shorter months). A date with no NAV (a holiday, a weekend or a
+// gap in the file) uses the next available NAV, as a fund house processes the
+// order on the next business day.
+
+// Month abbreviations in AMFI dates such as 01-Apr-2024
+const NAV_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Parse a NAV date into "YYYY-MM-DD"
+ * Accepts YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY and AMFI's DD-Mon-YYYY.
+ * @param {string} value
+ * @returns {string|null} null when it isn't a real calendar date
+ */
+function parseNAVDate(value) {
+  const text = String(value == null ? "" : value).trim();
+  let year, month, day;
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (match) {
+    year = Number(match[1]);
+    month = Number(match[2]);
+    day = Number(match[3]);
+  } else if ((match = /^(\d{1,2})[-/](\d{1,2}|[A-Za-z]{3})[-/](\d{4})$/.exec(text))) {
+    day = Number(match[1]);
+    month = /^\d+$/.test(match[2]) ? Number(match[2]) : NAV_MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The same day a number of months later, capped at the end of that month
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} months
+ * @returns {string} "YYYY-MM-DD"
+ */
+function addMonthsToDate(date, months) {
+  const [year, month, day] = date.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Read a NAV history from a CSV or JSON file
+ * CSV needs a header with a date column and a NAV column ("NAV", "Net Asset
+ * Value", "Close" or "Price"), or no header and date, NAV as the first two
+ * columns; commas, semicolons (AMFI downloads) and tabs all work. JSON can be a
+ * list of { date, nav } objects or { data: [...] } as returned by NAV APIs.
+ * Rows without a valid date and a NAV above 0 (AMFI section headings, "N.A."
+ * NAVs) are skipped; a repeated date keeps its last NAV.
+ * @param {string} text - File contents
+ * @returns {object} { ok: true, navs, fund, skipped } or { ok: false, error }
+ *   navs: Array of { date, nav } sorted by date
+ *   fund: scheme name when the file has one, otherwise ""
+ */
+function parseNAVHistory(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return { ok: false, error: "The file is empty." };
+
+  const isDateColumn = name => /date/i.test(name);
+  const isNAVColumn = name => /^(nav|net asset value|close|adj close|price)$/i.test(String(name).trim());
+  let records;
+  if (trimmed[0] === "[" || trimmed[0] === "{") {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      return { ok: false, error: "This file isn't valid JSON." };
+    }
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.data) ? data.data : null;
+    if (!list) return { ok: false, error: "The JSON should be a list of { date, nav } entries." };
+    const fund = data.meta && data.meta.scheme_name ? String(data.meta.scheme_name) : "";
+    records = list.map(item => {
+      const keys = item && typeof item === "object" ? Object.keys(item) : [];
+      const dateKey = keys.find(isDateColumn);
+      const navKey = keys.find(isNAVColumn);
+      return { date: dateKey && item[dateKey], nav: navKey && item[navKey], fund };
+    });
+  } else {
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.indexOf(";") !== -1 ? ";" : firstLine.indexOf("\t") !== -1 ? "\t" : ",";
+    const rows = parseCSV(trimmed, delimiter);
+    const headerIndex = rows.findIndex(row => row.some(isDateColumn) && row.some(isNAVColumn));
+    let columns = { date: 0, nav: 1, scheme: -1, fund: -1 };
+    if (headerIndex !== -1) {
+      const header = rows[headerIndex];
+      columns = {
+        date: header.findIndex(isDateColumn),
+        nav: header.findIndex(isNAVColumn),
+        scheme: header.findIndex(name => /^scheme code$/i.test(name.trim())),
+        fund: header.findIndex(name => /^scheme name$/i.test(name.trim()))
+      };
+    } else if (!parseNAVDate(rows[0][0])) {
+      return { ok: false, error: "No date and NAV columns found. Name them \"Date\" and \"NAV\" in the first row." };
+    }
+    records = rows.slice(headerIndex + 1)
+      .filter(row => row.some(cell => cell.trim() !== ""))
+      .map(row => ({
+        date: row[columns.date],
+        nav: row[columns.nav],
+        scheme: columns.scheme === -1 ? "" : (row[columns.scheme] || "").trim(),
+        fund: columns.fund === -1 ? "" : (row[columns.fund] || "").trim()
+      }));
+  }
+
+  const byDate = new Map();
+  let skipped = 0;
+  const schemes = new Set();
+  records.forEach(record => {
+    const date = parseNAVDate(record.date);
+    const nav = Number(String(record.nav == null ? "" : record.nav).replace(/,/g, ""));
+    if (!date || !(nav > 0)) {
+      skipped++;
+      return;
+    }
+    if (record.scheme) schemes.add(record.scheme);
+    byDate.set(date, nav);
+  });
+  if (schemes.size > 1) {
+    return { ok: false, error: "This file has NAVs for " + schemes.size + " schemes. Download the history of one scheme at a time." };
+  }
+  const navs = Array.from(byDate, ([date, nav]) => ({ date, nav })).sort((a, b) => (a.date < b.date ? -1 : 1));
+  if (navs.length < 2) return { ok: false, error: "The file needs at least two dated NAVs." };
+  const named = records.find(record => record.fund);
+  return { ok: true, navs, fund: named ? named.fund : "", skipped };
+}
+
+/**
+ * Index of the first NAV on or after a date
+ * @param {object[]} navs - From parseNAVHistory
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {number} -1 when the history ends before the date
+ */
+function navIndexOnOrAfter(navs, date) {
+  let low = 0;
+  let high = navs.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (navs[mid].date < date) low = mid + 1;
+    else high = mid;
+  }
+  return low < navs.length ? low : -1;
+}
+
+/**
+ * Longest plan, in whole months, that a NAV history can value from a start date
+ * @param {object[]} navs - From parseNAVHistory
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @returns {number} 0 when not even one month fits
+ */
+function backtestMaxMonths(navs, startDate) {
+  if (!navs.length || !parseNAVDate(startDate)) return 0;
+  const last = navs[navs.length - 1].date;
+  let months = 0;
+  while (addMonthsToDate(startDate, months + 1) <= last) months++;
+  return months;
+}
+
+/**
+ * Largest peak-to-trough fall in a NAV series
+ * @param {object[]} navs - Array of { date, nav } sorted by date
+ * @returns {object} { percent, peakDate, troughDate }
+ *   percent: fall from the peak as a positive %, 0 when the NAV never fell
+ */
+function calculateMaxDrawdown(navs) {
+  let peak = navs[0];
+  let worst = { percent: 0, peakDate: peak ? peak.date : null, troughDate: peak ? peak.date : null };
+  navs.forEach(point => {
+    if (point.nav > peak.nav) peak = point;
+    const percent = (1 - point.nav / peak.nav) * 100;
+    if (percent > worst.percent) worst = { percent, peakDate: peak.date, troughDate: point.date };
+  });
+  return worst;
+}
+
+/**
+ * Schedule of the same plan at an assumed fixed return, for comparison
+ * @param {string} calculator - "sip" | "lumpsum" | "stp" | "swp"
+ * @param {object} inputs - As for runBacktest, with annualRate
+ * @param {number} months
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object} { annualRate, corpus, withdrawn, schedule }
+ *   schedule: the calculator's first `months` rows (fewer if an SWP runs out)
+ */
+function backtestAssumedRate(calculator, inputs, months, options) {
+  const rate = inputs.annualRate;
+  const schedule = (
+    calculator === "sip" ? calculateSIP(inputs.P, rate, months / 12, null, options).schedule
+      : calculator === "lumpsum" ? calculateLumpsum(inputs.P, rate, months / 12, null, options).schedule
+      : calculator === "stp" ? calculateSTP(inputs.lumpSum, inputs.monthlyTransfer, inputs.debtRate, rate, months, null, options).schedule
+      : calculateSWP(inputs.corpus, inputs.monthlyWithdrawal, rate, null, inputs.escalationRate, options).schedule
+  ).slice(0, months);
+  const last = schedule[schedule.length - 1];
+  return {
+    annualRate: rate,
+    corpus: last && last.month === months ? last.closingBalance : 0,
+    withdrawn: schedule.reduce((sum, row) => sum + row.withdrawal, 0),
+    schedule
+  };
+}
+
+/**
+ * Backtest a SIP, lumpsum, STP or SWP on a fund's historical NAVs
+ * SIP instalments buy units at the start of each month; SWP withdrawals sell
+ * units at the end of each month. An STP parks the lumpsum in a debt fund
+ * growing at debtRate (under the STP's rate convention, see conventionFor) and
+ * moves each transfer into the fund at the end of the month. Month n is valued at the NAV on (or after) the start date plus n months.
+ * @param {object[]} navs - From parseNAVHistory
+ * @param {string} calculator - "sip" | "lumpsum" | "stp" | "swp"
+ * @param {object} inputs - sip/lumpsum { P }, stp { lumpSum, monthlyTransfer, debtRate },
+ *   swp { corpus, monthlyWithdrawal, escalationRate }; with annualRate, the
+ *   result also has the assumed-rate plan (see backtestAssumedRate)
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @param {number} months - Length of the plan
+ * @param {object} [options] - { convention }: rate convention overrides for the
+ *   assumed-rate plan and an STP's debt fund (see conventionFor)
+ * @returns {object} { ok: true, calculator, startDate, endDate, months, invested,
+ *                     withdrawn, units, nav, corpus, gain, xirr, xirrStatus,
+ *                     maxDrawdown, depletedMonth, schedule, assumed } or { ok: false, error }
+ *   startDate/endDate: dates of the first and the valuation NAV actually used
+ *   units/nav/corpus: fund units held, and their NAV and value on endDate (for
+ *   an STP, corpus includes the debt fund)
+ *   gain: corpus + withdrawn − invested
+ *   maxDrawdown: of the fund's NAV over the plan (see calculateMaxDrawdown)
+ *   depletedMonth: SWP month in which the corpus ran out, otherwise null
+ *   schedule: monthly rows (see buildScheduleRow) valued on `date` at `nav`, with
+ *   tradeDate, tradeNAV and units for that month's purchase (+) or sale (−),
+ *   totalUnits, and for an STP debtBalance and equityBalance
+ */
+function runBacktest(navs, calculator, inputs, startDate, months, options) {
+  if (!navs || navs.length < 2) return { ok: false, error: "Load a NAV history first." };
+  const start = parseNAVDate(startDate);
+  if (!start) return { ok: false, error: "Enter a valid start date." };
+  if (!(months >= 1)) return { ok: false, error: "The plan needs to run for at least one month." };
+  const first = navs[0].date;
+  const last = navs[navs.length - 1].date;
+  if (start < first) return { ok: false, error: "The NAV history starts on " + first + ". Pick a later start date." };
+
+  const points = [];
+  for (let m = 0; m <= months; m++) {
+    const index = navIndexOnOrAfter(navs, addMonthsToDate(start, m));
+    if (index === -1) {
+      return { ok: false, error: "The NAV history ends on " + last + ", before month " + m + " of the plan. Pick an earlier start date or a shorter period." };
+    }
+    points.push(navs[index]);
+  }
+
+  const schedule = [];
+  const flows = [];
+  let units = 0;
+  let invested = 0;
+  let withdrawn = 0;
+  let debt = 0;
+  let depletedMonth = null;
+  const row = (m, opening, contribution, withdrawal, closing, trade, traded) =>
+    Object.assign(buildScheduleRow(m, opening, contribution, withdrawal, closing), {
+      date: points[m].date,
+      nav: points[m].nav,
+      tradeDate: trade ? trade.date : "",
+      tradeNAV: trade ? trade.nav : "",
+      units: traded,
+      totalUnits: units
+    });
+
+  if (calculator === "sip") {
+    for (let m = 1; m <= months; m++) {
+      const trade = points[m - 1];
+      const opening = units * trade.nav;
+      const bought = inputs.P / trade.nav;
+      units += bought;
+      invested += inputs.P;
+      flows.push({ date: trade.date, amount: -inputs.P });
+      schedule.push(row(m, opening, inputs.P, 0, units * points[m].nav, trade, bought));
+    }
+  } else if (calculator === "lumpsum") {
+    units = inputs.P / points[0].nav;
+    invested = inputs.P;
+    flows.push({ date: points[0].date, amount: -inputs.P });
+    for (let m = 1; m <= months; m++) {
+      schedule.push(row(m, m === 1 ? 0 : units * points[m - 1].nav, m === 1 ? inputs.P : 0, 0, units * points[m].nav,
+        m === 1 ? points[0] : null, m === 1 ? units : 0));
+    }
+  } else if (calculator === "stp") {
+    const dr = monthlyRate(inputs.debtRate, conventionFor("stp", options && options.convention));
+    debt = inputs.lumpSum;
+    invested = inputs.lumpSum;
+    flows.push({ date: points[0].date, amount: -inputs.lumpSum });
+    for (let m = 1; m <= months; m++) {
+      const opening = m === 1 ? 0 : debt + units * points[m - 1].nav;
+      debt *= 1 + dr;
+      const transfer = Math.min(inputs.monthlyTransfer, debt);
+      debt -= transfer;
+      const bought = transfer / points[m].nav;
+      units += bought;
+      schedule.push(Object.assign(row(m, opening, m === 1 ? inputs.lumpSum : 0, 0, debt + units * points[m].nav, points[m], bought), {
+        debtBalance: debt,
+        equityBalance: units * points[m].nav
+      }));
+    }
+  } else if (calculator === "swp") {
+    units = inputs.corpus / points[0].nav;
+    invested = inputs.corpus;
+    flows.push({ date: points[0].date, amount: -inputs.corpus });
+    for (let m = 1; m <= months && units > 0; m++) {
+      const trade = points[m];
+      const opening = units * points[m - 1].nav;
+      const value = units * trade.nav;
+      const planned = swpWithdrawalForMonth(inputs.monthlyWithdrawal, inputs.escalationRate, m);
+      const withdrawal = Math.min(planned, value);
+      const sold = planned >= value ? units : withdrawal / trade.nav;
+      units -= sold;
+      withdrawn += withdrawal;
+      flows.push({ date: trade.date, amount: withdrawal });
+      if (planned >= value) depletedMonth = m;
+      schedule.push(row(m, opening, 0, withdrawal, units * trade.nav, trade, -sold));
+    }
+  } else {
+    return { ok: false, error: "Unknown plan type: " + calculator };
+  }
+
+  const end = points[months];
+  const corpus = units * end.nav + debt;
+  flows.push({ date: end.date, amount: corpus });
+  const xirr = calculateXIRR(flows);
+  const result = {
+    ok: true,
+    calculator,
+    startDate: points[0].date,
+    endDate: end.date,
+    months,
+    invested,
+    withdrawn,
+    units,
+    nav: end.nav,
+    corpus,
+    gain: corpus + withdrawn - invested,
+    xirr: xirr.xirr,
+    xirrStatus: xirr.status,
+    maxDrawdown: calculateMaxDrawdown(navs.slice(navIndexOnOrAfter(navs, points[0].date), navIndexOnOrAfter(navs, end.date) + 1)),
+    depletedMonth,
+    schedule
+  };
+  if (inputs.annualRate != null) result.assumed = backtestAssumedRate(calculator, inputs, months, options);
+  return result;
+}
+
+// ─── Rolling returns ─────────────────────────────────────────────────────────
+// A rolling return starts on every date of a price history (NAVs or index
+// levels, read with parseNAVHistory) and ends the window length later, on the
+// next available price as in a backtest. Overlapping windows show the range of
+// outcomes an investor could have had, not just the one between two dates.
+
+// Window lengths offered by the rolling-returns page, in years
+const ROLLING_WINDOWS = [1, 3, 5, 10];
+
+/**
+ * Every rolling CAGR of one window length in a price history
+ * @param {object[]} navs - From parseNAVHistory
+ * @param {number} years - Window length in whole years
+ * @param {number} [hurdle] - Annual return in % to beat (default 0)
+ * @returns {object} { years, periods, count, min, max, median, beatHurdle }
+ *   periods: Array of { start, end, cagr } in start-date order, cagr in % (see calculateCAGR)
+ *   min/max: the worst and best period, null when the history is shorter than the window
+ *   median: median CAGR in %, null without periods
+ *   beatHurdle: % of periods with a CAGR above the hurdle, null without periods
+ */
+function calculateRollingReturns(navs, years, hurdle) {
+  const periods = [];
+  for (let i = 0; i < navs.length; i++) {
+    const end = navIndexOnOrAfter(navs, addMonthsToDate(navs[i].date, years * 12));
+    if (end === -1) break;
+    periods.push({ start: navs[i].date, end: navs[end].date, cagr: calculateCAGR(navs[i].nav, navs[end].nav, years) });
+  }
+  if (!periods.length) return { years, periods, count: 0, min: null, max: null, median: null, beatHurdle: null };
+
+  let min = periods[0];
+  let max = periods[0];
+  periods.forEach(period => {
+    if (period.cagr < min.cagr) min = period;
+    if (period.cagr > max.cagr) max = period;
+  });
+  const sorted = periods.map(period => period.cagr).sort((a, b) => a - b);
+  const beaten = periods.filter(period => period.cagr > (hurdle || 0)).length;
+  return {
+    years,
+    periods,
+    count: periods.length,
+    min,
+    max,
+    median: percentile(sorted, 50),
+    beatHurdle: beaten / periods.length * 100
+  };
+}
+
+/**
+ * Group values into equal-width bins for a histogram
+ * The width is a round number (see niceCeil) and bin edges are multiples of it.
+ * @param {number[]} values
+ * @param {number} [binCount] - Roughly how many bins to use (default 12)
+ * @returns {object[]} Array of { from, to, count }, lowest first; a value on an
+ *   edge counts in the bin it starts
+ */
+function histogramBins(values, binCount) {
+  if (!values.length) return [];
+  const low = values.reduce((a, b) => Math.min(a, b));
+  const high = values.reduce((a, b) => Math.max(a, b));
+  const width = high > low ? niceCeil((high - low) / (binCount || 12)) : 1;
+  const first = Math.floor(low / width);
+  const count = Math.floor(high / width) - first + 1;
+  const edge = i => Math.round((first + i) * width * 1e9) / 1e9;
+  const bins = [];
+  for (let i = 0; i < count; i++) bins.push({ from: edge(i), to: edge(i + 1), count: 0 });
+  values.forEach(value => {
+    bins[Math.min(count - 1, Math.floor(value / width + 1e-9) - first)].count++;
+  });
+  return bins;
+}
+
+// ─── Transaction ledger ──────────────────────────────────────────────────────
+// A ledger is a registrar statement exported as CSV: one row per purchase, SIP
+// instalment, switch or redemption, with its date, folio, scheme, amount, units
+// and NAV. Units are kept per folio and scheme as purchase lots at what was
+// actually paid (stamp duty makes that differ from units × NAV), and redemptions
+// and switches out use up the oldest lots first, as for capital gains.
+
+/**
+ * Ledger transaction types, matched in this order against the whole type column
+ * as registrars (CAMS, KFintech) write it
+ * units: +1 when the transaction adds units to the folio, -1 when it removes them
+ */
+const LEDGER_TYPES = {
+  switchIn:   { label: "Switch In", units: 1, pattern: /^(switch|stp)[\s-]*(over[\s-]*)?in$/i },
+  switchOut:  { label: "Switch Out", units: -1, pattern: /^(switch|stp)[\s-]*(over[\s-]*)?out$/i },
+  redemption: { label: "Redemption", units: -1, pattern: /^((partial|full) )?redemption$|^swp$|^systematic withdrawal( plan)?$/i },
+  sip:        { label: "SIP Instalment", units: 1, pattern: /^sip( purchase| instal(l)?ment)?$|^systematic investment( plan)?$|^purchase[\s-]*(sip|systematic)$/i },
+  purchase:   { label: "Purchase", units: 1, pattern: /^((fresh|additional|new) )?(purchase|subscription)$|^nfo$|^new fund offer$/i }
+};
+
+// Rows that move no units (charges, payouts, folio updates), skipped when they have none
+const LEDGER_SKIPPED_TYPES = /^(stamp duty|stt( paid)?|securities transaction tax|tds( deducted)?|(dividend|idcw)( payout| paid)?|(address|bank|nominee|contact details?) (change|update|registration)|change of (address|bank|nominee))$/i;
+
+// Ledger columns and the header names they are found under
+const LEDGER_COLUMNS = {
+  date: /date/i,
+  folio: /folio/i,
+  scheme: /^(scheme|scheme name|fund|fund name)$/i,
+  type: /^(type|transaction|transaction type|description)$/i,
+  amount: /^amount/i,
+  units: /^units?$/i,
+  nav: /^(nav|price)/i
+};
+
+// Units left below this are rounding in the statement, not a holding
+const LEDGER_UNIT_TOLERANCE = 0.0005;
+
+/**
+ * Read a transaction ledger from CSV
+ * The first non-blank row is the header and needs Date, Scheme, Type and Units
+ * columns and an Amount or NAV column (the other follows from units); Folio is
+ * optional. Commas, semicolons and tabs all work, and amounts may use digit
+ * grouping. Units are read without their sign: the type says which way they go.
+ * Rows such as stamp duty or a dividend payout that carry no units are skipped
+ * (see LEDGER_SKIPPED_TYPES). Any other malformed row fails the import, as a
+ * ledger with a row missing would get every later unit balance wrong.
+ * @param {string} text - File contents
+ * @returns {object} { ok: true, transactions, skipped } or { ok: false, errors }
+ *   transactions: Array of { line, date, folio, scheme, type, units, amount, nav } in file order
+ *   skipped: Array of { line, type } for the rows left out, type as written in the file
+ *   errors: Array of { line, message }, line being the file's line number (0 for the whole file)
+ */
+function parseLedger(text) {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "");
+  if (!trimmed.trim()) return { ok: false, errors: [{ line: 0, message: "The file is empty." }] };
+
+  const firstLine = trimmed.trim().split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.indexOf(";") !== -1 ? ";" : firstLine.indexOf("\t") !== -1 ? "\t" : ",";
+  // A quoted cell can span lines, so count each row's line breaks to number the next
+  let line = 1;
+  const rows = parseCSV(trimmed, delimiter).map(cells => {
+    const row = { line, cells };
+    line += 1 + cells.reduce((sum, cell) => sum + (cell.match(/\n|\r(?!\n)/g) || []).length, 0);
+    return row;
+  }).filter(row => row.cells.some(cell => cell.trim() !== ""));
+
+  const header = rows[0];
+  const columns = {};
+  Object.keys(LEDGER_COLUMNS).forEach(name => {
+    columns[name] = header.cells.findIndex(cell => LEDGER_COLUMNS[name].test(cell.trim()));
+  });
+  const missing = ["Date", "Scheme", "Type", "Units"].filter(name => columns[name.toLowerCase()] === -1);
+  if (columns.amount === -1 && columns.nav === -1) missing.push("Amount or NAV");
+  if (missing.length) {
+    return { ok: false, errors: missing.map(name => ({ line: header.line, message: "No " + name + " column in the header." })) };
+  }
+
+  const number = value => {
+    const text = String(value == null ? "" : value).replace(/[,\s]/g, "").replace(/^\((.*)\)$/, "-$1");
+    return text === "" ? NaN : Number(text);
+  };
+  const errors = [];
+  const transactions = [];
+  const skipped = [];
+  rows.slice(1).forEach(row => {
+    const cell = name => (columns[name] === -1 ? "" : (row.cells[columns[name]] || "").trim());
+    const fail = message => errors.push({ line: row.line, message });
+    const typeText = cell("type").replace(/\s+/g, " ");
+    const units = Math.abs(number(cell("units")));
+    if (LEDGER_SKIPPED_TYPES.test(typeText) && !(units > 0)) return skipped.push({ line: row.line, type: typeText });
+    const date = parseNAVDate(cell("date"));
+    const scheme = cell("scheme");
+    const type = Object.keys(LEDGER_TYPES).find(key => LEDGER_TYPES[key].pattern.test(typeText));
+    let amount = Math.abs(number(cell("amount")));
+    let nav = number(cell("nav"));
+    if (!date) return fail("\"" + cell("date") + "\" isn't a date.");
+    if (!scheme) return fail("The scheme is missing.");
+    if (!type) return fail("\"" + typeText + "\" isn't a purchase, SIP, switch or redemption.");
+    if (!(units > 0)) return fail("Units should be a number other than 0, not \"" + cell("units") + "\".");
+    if (isNaN(amount) && !(nav > 0)) return fail("The row needs an amount or a NAV above 0.");
+    if (isNaN(amount)) amount = units * nav;
+    if (!(nav > 0)) nav = amount / units;
+    transactions.push({ line: row.line, date, folio: cell("folio"), scheme, type, units, amount, nav });
+  });
+  if (!transactions.length && !errors.length) {
+    errors.push({ line: header.line, message: "The file has a header but no transactions." });
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, transactions, skipped };
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((parseFlowDate(to) - parseFlowDate(from)) / 86400000);
+}
+
+/**
+ * Holdings, invested cost and gains from a ledger's transactions
+ * Transactions run in date order (file order within a day). What is left of
+ * each purchase lot is valued at the NAV given for its scheme; the annualised
+ * return is the XIRR of those lots against today's value, and the holding
+ * period is the lots' age weighted by their cost.
+ * @param {object[]} transactions - From parseLedger
+ * @param {object} navs - Current NAV by scheme name, e.g. { "Nifty 50 Index Fund": 245.1 }
+ * @param {string} asOf - Valuation date "YYYY-MM-DD"
+ * @param {object} [format] - Display format of the unit counts in errors
+ * @returns {object} { ok: true, holdings, closed, totals } or { ok: false, errors }
+ *   holdings: Array of { folio, scheme, units, invested, averageCost, nav, currentValue,
+ *     gain, gainPercent, annualisedReturn, since, holdingDays, lots } for folios with
+ *     units left, by folio then scheme; without a NAV for the scheme, nav and
+ *     everything valued from it are null
+ *   lots: Array of { date, units, cost, days } still held, oldest first
+ *   closed: number of folio and scheme pairs fully redeemed
+ *   totals: { invested, currentValue, gain, gainPercent, annualisedReturn, unvalued };
+ *     invested covers every holding, the rest only the valued ones, and
+ *     unvalued counts the holdings without a NAV
+ *   errors: Array of { line, message } for redemptions of units that aren't
+ *     held and transactions after the valuation date
+ */
+function summarizeLedger(transactions, navs, asOf, format) {
+  const grouping = normalizeDisplayFormat(format).grouping;
+  const positions = new Map();
+  const errors = [];
+  const ordered = transactions.map((t, i) => ({ t, i }))
+    .sort((a, b) => (a.t.date < b.t.date ? -1 : a.t.date > b.t.date ? 1 : a.i - b.i))
+    .map(entry => entry.t);
+
+  ordered.forEach(t => {
+    if (t.date > asOf) {
+      errors.push({ line: t.line, message: "This transaction is after the valuation date." });
+      return;
+    }
+    const key = t.folio + "\u0000" + t.scheme;
+    if (!positions.has(key)) positions.set(key, { folio: t.folio, scheme: t.scheme, lots: [] });
+    const lots = positions.get(key).lots;
+    if (LEDGER_TYPES[t.type].units > 0) {
+      lots.push({ date: t.date, units: t.units, cost: t.amount });
+      return;
+    }
+    const held = lots.reduce((sum, lot) => sum + lot.units, 0);
+    if (t.units > held + LEDGER_UNIT_TOLERANCE) {
+      errors.push({
+        line: t.line,
+        message: "Redeems " + formatNumber(t.units, { maxDecimals: 4, grouping }) + " units of " + t.scheme +
+          (t.folio ? " in folio " + t.folio : "") + " but only " + formatNumber(held, { maxDecimals: 4, grouping }) + " are held."
+      });
+      return;
+    }
+    let remaining = t.units;
+    while (remaining > 0 && lots.length) {
+      const lot = lots[0];
+      const take = Math.min(lot.units, remaining);
+      lot.cost -= lot.cost * take / lot.units;
+      lot.units -= take;
+      remaining -= take;
+      if (lot.units <= LEDGER_UNIT_TOLERANCE) lots.shift();
+    }
+  });
+  if (errors.length) return { ok: false, errors: errors.sort((a, b) => a.line - b.line) };
+
+  // XIRR of the lots still held, redeemed at value on the valuation date
+  const annualised = (lots, value) => {
+    const result = calculateXIRR(lots.map(lot => ({ date: lot.date, amount: -lot.cost }))
+      .concat([{ date: asOf, amount: value }]));
+    return result.status === "ok" ? result.xirr : null;
+  };
+  const holdings = [];
+  let closed = 0;
+  Array.from(positions.values())
+    .sort((a, b) => a.folio.localeCompare(b.folio) || a.scheme.localeCompare(b.scheme))
+    .forEach(position => {
+      const units = position.lots.reduce((sum, lot) => sum + lot.units, 0);
+      if (units <= LEDGER_UNIT_TOLERANCE) {
+        closed++;
+        return;
+      }
+      const nav = navs && navs[position.scheme] > 0 ? Number(navs[position.scheme]) : null;
+      const lots = position.lots.map(lot => ({
+        date: lot.date,
+        units: lot.units,
+        cost: lot.cost,
+        days: daysBetween(lot.date, asOf)
+      }));
+      const invested = lots.reduce((sum, lot) => sum + lot.cost, 0);
+      const currentValue = nav === null ? null : units * nav;
+      const gain = nav === null ? null : currentValue - invested;
+      holdings.push({
+        folio: position.folio,
+        scheme: position.scheme,
+        units,
+        invested,
+        averageCost: invested / units,
+        nav,
+        currentValue,
+        gain,
+        gainPercent: nav === null || !(invested > 0) ? null : gain / invested * 100,
+        annualisedReturn: nav === null ? null : annualised(lots, currentValue),
+        since: lots[0].date,
+        holdingDays: invested > 0 ? lots.reduce((sum, lot) => sum + lot.days * lot.cost, 0) / invested : 0,
+        lots
+      });
+    });
+
+  const valued = holdings.filter(h => h.nav !== null);
+  const valuedCost = valued.reduce((sum, h) => sum + h.invested, 0);
+  const currentValue = valued.reduce((sum, h) => sum + h.currentValue, 0);
+  const totals = {
+    invested: holdings.reduce((sum, h) => sum + h.invested, 0),
+    currentValue,
+    gain: currentValue - valuedCost,
+    gainPercent: valuedCost > 0 ? (currentValue - valuedCost) / valuedCost * 100 : null,
+    annualisedReturn: valued.length ? annualised([].concat.apply([], valued.map(h => h.lots)), currentValue) : null,
+    unvalued: holdings.length - valued.length
+  };
+  return { ok: true, holdings, closed, totals };
+}
+
+// ─── Precise money ───────────────────────────────────────────────────────────
+// Calculators work in floating point by default, which leaves fractions of a
+// paisa in every balance, so rows rounded for display need not add up to the
+// totals. In precise mode every amount of money is kept as a whole number of
+// paise under one rounding policy:
+//
+//   Each amount is rounded to the nearest paisa, halves away from zero, as
+//   soon as it is worked out from a rate (a month's returns, a transfer's
+//   growth, a stepped-up withdrawal, the tax on a year's gains). Sums and
+//   differences of paise are then exact, so every schedule row, yearly
+//   roll-up and headline total agrees to the paisa, and money is shown with
+//   its paise.
+//
+// Headline figures come from the month-by-month path in this mode rather than
+// the closed-form formulas, so they can differ from float mode by a few paise.
+// Fund-cost and Monte Carlo estimates are not affected by the mode.
+//
+// The mode is chosen per call: a calculator runs in it when its options say
+// { precise: true }, and formatMoney / formatAmount show the paise when the
+// display format they are given has precise: true.
+
+/**
+ * Round an amount of money under a calculation's mode
+ * In precise mode the value is snapped to the nearest paisa, halves away from
+ * zero; toPrecision(15) first drops binary noise such as 100.49999999999999 so
+ * a true half is not rounded down. In float mode the value is returned as it is.
+ * @param {number} value - Amount in rupees
+ * @param {boolean} [precise=false] - Precise mode, e.g. a calculator's options.precise
+ * @returns {number}
+ */
+function roundMoney(value, precise) {
+  if (!precise) return value;
+  return Math.sign(value) * Math.round(Number((Math.abs(value) * 100).toPrecision(15))) / 100;
+}
+
+/**
+ * Convert rupees to a whole number of paise, e.g. to check that totals reconcile
+ * @param {number} value - Amount in rupees
+ * @returns {number} integer paise
+ */
+function toPaise(value) {
+  return Math.sign(value) * Math.round(Number((Math.abs(value) * 100).toPrecision(15)));
+}
+
+// ─── Rate conventions ────────────────────────────────────────────────────────
+// Every calculator works month by month, but fund houses and other calculators
+// turn an annual return into a month's growth in different ways. A rate
+// convention { rateType, compounding, timing } says how:
+//
+//   rateType     "nominal": the annual rate is compounded `compounding` times
+//                a year, e.g. 12% monthly grows 1% a month (12.68% a year);
+//                "effective": the annual rate is what a year actually earns
+//   compounding  a key of COMPOUNDING_FREQUENCIES, for nominal rates only
+//   timing       "start" or "end": whether SIP instalments, withdrawals and
+//                transfers move at the start or the end of each month
+//
+// Each calculator has its own convention (CALCULATOR_CONVENTIONS), which is what
+// it has always used. Overrides of any of the three come in through each
+// calculator's options ({ convention }) and apply to that call only; the page
+// keeps the user's overrides, a preference of this browser saved like the
+// display format (see bindRateConvention). The month's rate is the one equivalent to the annual
+// rate, so a nominal rate compounded quarterly earns a third of its quarter's
+// growth each month. A lumpsum goes in at the start whatever the timing, dated
+// SIP schedules follow their dates, and CAGR and XIRR are always effective.
+
+const COMPOUNDING_FREQUENCIES = {
+  daily:      { label: "Daily", perYear: 365 },
+  monthly:    { label: "Monthly", perYear: 12 },
+  quarterly:  { label: "Quarterly", perYear: 4 },
+  halfYearly: { label: "Half-Yearly", perYear: 2 },
+  yearly:     { label: "Yearly", perYear: 1 }
+};
+
+const RATE_TYPES = {
+  nominal:   { label: "Nominal Rate" },
+  effective: { label: "Effective Annual Rate" }
+};
+
+const CONTRIBUTION_TIMINGS = {
+  start: { label: "Start of Month" },
+  end:   { label: "End of Month" }
+};
+
+/**
+ * Each calculator's own convention, used for whatever the overrides leave unset
+ * sip also covers top-up SIPs, lumpsum + SIP plans, goals and the saving years of a
+ * retirement plan; swp covers its drawdown years. A lumpsum has no timing, as all
+ * of it goes in at the start.
+ */
+const CALCULATOR_CONVENTIONS = {
+  sip:        { label: "SIP", rateType: "nominal", compounding: "monthly", timing: "start" },
+  lumpsum:    { label: "Lumpsum", rateType: "nominal", compounding: "yearly", timing: null },
+  swp:        { label: "SWP", rateType: "nominal", compounding: "monthly", timing: "end" },
+  stp:        { label: "STP", rateType: "nominal", compounding: "monthly", timing: "start" },
+  allocation: { label: "Asset Allocation", rateType: "nominal", compounding: "yearly", timing: "start" }
+};
+
+const RATE_CONVENTION_KEY = "wealthBuilder.convention";
+
+/**
+ * Check a rate convention override
+ * Unknown or missing values become null, meaning each calculator's own.
+ * @param {object} [convention] - Any of { rateType, compounding, timing }
+ * @returns {object} { rateType, compounding, timing }
+ */
+function normalizeRateConvention(convention) {
+  convention = convention && typeof convention === "object" ? convention : {};
+  return {
+    rateType: RATE_TYPES[convention.rateType] ? convention.rateType : null,
+    compounding: COMPOUNDING_FREQUENCIES[convention.compounding] ? convention.compounding : null,
+    timing: CONTRIBUTION_TIMINGS[convention.timing] ? convention.timing : null
+  };
+}
+
+/**
+ * The convention a calculator works to: its own, under any overrides
+ * @param {string} calculator - A key of CALCULATOR_CONVENTIONS
+ * @param {object} [overrides] - Any of { rateType, compounding, timing }; unknown or
+ *   null values leave the calculator's own
+ * @returns {object} { rateType, compounding, timing }; timing stays null for a lumpsum
+ */
+function conventionFor(calculator, overrides) {
+  const own = CALCULATOR_CONVENTIONS[calculator];
+  const override = normalizeRateConvention(overrides);
+  return {
+    rateType: override.rateType || own.rateType,
+    compounding: override.compounding || own.compounding,
+    timing: own.timing && (override.timing || own.timing)
+  };
+}
+
+/**
+ * Effective annual rate of an annual rate under a convention
+ * Formula: (1 + rate / f)^f - 1 for a nominal rate compounded f times a year
+ * @param {number} annualRate - Annual rate in %
+ * @param {object} convention - { rateType, compounding } (see conventionFor)
+ * @returns {number} in %; annualRate itself when it is effective or compounded yearly
+ */
+function effectiveAnnualRate(annualRate, convention) {
+  const perYear = COMPOUNDING_FREQUENCIES[convention.compounding].perYear;
+  if (convention.rateType === "effective" || perYear === 1) return annualRate;
+  return (Math.pow(1 + annualRate / 100 / perYear, perYear) - 1) * 100;
+}
+
+/**
+ * Nominal annual rate, compounded f times a year, that earns an effective annual rate
+ * Inverse of effectiveAnnualRate: f x ((1 + rate)^(1/f) - 1)
+ * @param {number} effectiveRate - Effective annual rate in %
+ * @param {string} compounding - A key of COMPOUNDING_FREQUENCIES
+ * @returns {number} in %
+ */
+function nominalAnnualRate(effectiveRate, compounding) {
+  const perYear = COMPOUNDING_FREQUENCIES[compounding].perYear;
+  if (perYear === 1) return effectiveRate;
+  return perYear * (Math.pow(1 + effectiveRate / 100, 1 / perYear) - 1) * 100;
+}
+
+/**
+ * Monthly growth rate equivalent to an annual rate under a convention
+ * A nominal rate compounded monthly is simply annualRate / 12.
+ * @param {number} annualRate - Annual rate in %
+ * @param {object} convention - { rateType, compounding } (see conventionFor)
+ * @returns {number} Monthly rate as a decimal
+ */
+function monthlyRate(annualRate, convention) {
+  if (convention.rateType === "nominal" && convention.compounding === "monthly") return annualRate / 100 / 12;
+  return Math.pow(1 + effectiveAnnualRate(annualRate, convention) / 100, 1 / 12) - 1;
+}
+
+/**
+ * Describe a convention in words, e.g. for a note under the results
+ * @param {object} convention - { rateType, compounding, timing } (see conventionFor); without
+ *   a timing only the rate is described
+ * @param {number} [annualRate] - Adds the rate and, for a nominal rate, its effective rate
+ * @param {object} [format] - Display format of the rates
+ * @returns {string} e.g. "12% nominal, compounded monthly (12.68% effective), with money
+ *   moving at the start of each month"
+ */
+function describeConvention(convention, annualRate, format) {
+  const rate = annualRate == null ? "" : formatPercent(Math.round(annualRate * 100) / 100, format) + " ";
+  const compounding = COMPOUNDING_FREQUENCIES[convention.compounding].label.toLowerCase();
+  const effective = convention.rateType === "effective" || convention.compounding === "yearly";
+  let text = effective
+    ? rate + (annualRate == null ? "Effective annual rate" : "a year effective")
+    : rate + (annualRate == null ? "Nominal annual rate" : "nominal") + ", compounded " + compounding;
+  if (!effective && annualRate != null) {
+    text += " (" + formatPercent(Math.round(effectiveAnnualRate(annualRate, convention) * 100) / 100, format) + " effective)";
+  }
+  return convention.timing ? text + ", with money moving at the " + convention.timing + " of each month" : text;
+}
+
+/**
+ * The rate convention overrides saved in this browser
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object} { rateType, compounding, timing }; all null when nothing is saved
+ */
+function loadRateConvention(storage) {
+  const store = browserStorage(storage);
+  try {
+    return normalizeRateConvention(store ? JSON.parse(store.getItem(RATE_CONVENTION_KEY)) : null);
+  } catch (e) {
+    return normalizeRateConvention(null);
+  }
+}
+
+/**
+ * Save rate convention overrides for every page in this browser
+ * @param {object} convention - { rateType, compounding, timing }
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {boolean} false when nothing can be stored
+ */
+function saveRateConvention(convention, storage) {
+  const store = browserStorage(storage);
+  if (!store) return false;
+  try {
+    store.setItem(RATE_CONVENTION_KEY, JSON.stringify(normalizeRateConvention(convention)));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wire up the rate convention picker (browser only)
+ * Fills #rateConvention with a select for each part of the convention, showing
+ * the one the page's calculators work to. Where they differ and nothing is
+ * overridden, e.g. a retirement plan's SIP and SWP timing, both are shown; a
+ * part none of them uses (compounding for effective rates, a lumpsum's timing)
+ * is greyed out.
+ * The saved overrides are loaded straight away; the page passes overrides() to
+ * its calculators as options.convention.
+ * @param {string|string[]} calculators - Keys of CALCULATOR_CONVENTIONS used on the page
+ * @param {function(): void} onChange - Recalculates the page
+ * @returns {object} { overrides, show }
+ *   overrides(): the user's { rateType, compounding, timing }, null where not overridden
+ *   show(calculators): switches the calculators shown, e.g. on a mode tab
+ */
+function bindRateConvention(calculators, onChange) {
+  const container = document.getElementById("rateConvention");
+  const fields = [
+    { key: "rateType", options: RATE_TYPES, label: "Rate type" },
+    { key: "compounding", options: COMPOUNDING_FREQUENCIES, label: "Compounding", prefix: "Compounded " },
+    { key: "timing", options: CONTRIBUTION_TIMINGS, label: "Money moves at" }
+  ];
+  container.innerHTML = '<i class="ph ph-percent" style="font-size:1rem;color:#D4AF37;"></i>' +
+    fields.map(f => '<select data-convention="' + f.key + '" aria-label="' + f.label + '"></select>').join("") +
+    '<button type="button" data-convention-reset>Reset</button>';
+  const reset = container.querySelector("[data-convention-reset]");
+  let overrides = loadRateConvention();
+
+  const show = () => {
+    const conventions = [].concat(calculators).map(c => conventionFor(c, overrides));
+    fields.forEach(f => {
+      const select = container.querySelector('[data-convention="' + f.key + '"]');
+      const values = conventions.map(c => c[f.key]).filter((v, i, all) => v && all.indexOf(v) === i);
+      const label = key => (f.prefix || "") + f.options[key].label;
+      select.innerHTML = (values.length > 1 ? '<option value="">' + escapeHTML(values.map(label).join(" / ")) + "</option>" : "") +
+        Object.keys(f.options).map(key => '<option value="' + key + '">' + escapeHTML(label(key)) + "</option>").join("");
+      select.value = values.length > 1 ? "" : values[0] || "start";
+      select.disabled = f.key === "compounding" ? conventions.every(c => c.rateType === "effective") : !values.length;
+    });
+    reset.style.display = Object.keys(overrides).some(key => overrides[key]) ? "" : "none";
+    container.title = [].concat(calculators)
+      .map(c => CALCULATOR_CONVENTIONS[c].label + ": " + describeConvention(conventionFor(c, overrides))).join("\n");
+  };
+  show();
+
+  // Fields left out keep their override; null clears them all
+  const update = convention => {
+    overrides = normalizeRateConvention(convention ? Object.assign({}, overrides, convention) : null);
+    saveRateConvention(overrides);
+    show();
+    onChange();
+  };
+  container.querySelectorAll("[data-convention]").forEach(select => {
+    select.addEventListener("change", () => {
+      if (select.value) update({ [select.dataset.convention]: select.value });
+    });
+  });
+  reset.addEventListener("click", () => update(null));
+
+  return {
+    overrides: () => Object.assign({}, overrides),
+    show: next => {
+      calculators = next;
+      show();
+    }
+  };
+}
+
+// ─── Currency & number formatting ────────────────────────────────────────────
+// Amounts on every page go through formatMoney / formatAmount and rates through
+// formatPercent, each given the display format { currency, grouping, compact }
+// the user picked (see bindDisplayFormat); without one they show rupees.
+// The currency only changes the symbol: the calculators never convert, so
+// amounts are entered and shown in the same currency. convertCurrency is for
+// the places that do need a rate, e.g. a goal priced in dollars that is funded
+// with rupee SIPs, and it takes the rate the user enters; nothing is fetched.
+// The format is a preference of this browser, saved under its own key rather
+// than in the store of scenarios and holdings.
+
+const CURRENCIES = {
+  INR: { name: "Indian Rupee", symbol: "Rs.", prefix: "Rs. ", grouping: "indian" },
+  USD: { name: "US Dollar", symbol: "$", prefix: "$", grouping: "international" },
+  GBP: { name: "British Pound", symbol: "£", prefix: "£", grouping: "international" },
+  EUR: { name: "Euro", symbol: "€", prefix: "€", grouping: "european" },
+  AED: { name: "UAE Dirham", symbol: "AED", prefix: "AED ", grouping: "international" },
+  SGD: { name: "Singapore Dollar", symbol: "S$", prefix: "S$", grouping: "international" }
+};
+
+/**
+ * Ways of grouping digits, with the units compact display abbreviates to
+ * compact: largest unit first, each { value, suffix }
+ */
+const NUMBER_GROUPINGS = {
+  indian: {
+    label: "1,00,000 (lakh, crore)",
+    locale: "en-IN",
+    compact: [{ value: 1e7, suffix: "Cr" }, { value: 1e5, suffix: "L" }, { value: 1e3, suffix: "K" }]
+  },
+  international: {
+    label: "100,000 (million, billion)",
+    locale: "en-US",
+    compact: [{ value: 1e9, suffix: "B" }, { value: 1e6, suffix: "M" }, { value: 1e3, suffix: "K" }]
+  },
+  european: {
+    label: "100.000,00",
+    locale: "de-DE",
+    compact: [{ value: 1e9, suffix: "B" }, { value: 1e6, suffix: "M" }, { value: 1e3, suffix: "K" }]
+  }
+};
+
+const DISPLAY_FORMAT_KEY = "wealthBuilder.display";
+
+// Rupees with lakh grouping, written out in full
+const DEFAULT_DISPLAY_FORMAT = Object.freeze({ currency: "INR", grouping: "indian", compact: false });
+
+/**
+ * Check and complete a display format
+ * An unknown currency falls back to INR and an unknown grouping to the currency's own.
+ * @param {object} [format] - { currency, grouping, compact }
+ * @returns {object} { currency, grouping, compact }
+ */
+function normalizeDisplayFormat(format) {
+  format = format && typeof format === "object" ? format : {};
+  const currency = CURRENCIES[format.currency] ? format.currency : "INR";
+  const grouping = NUMBER_GROUPINGS[format.grouping] ? format.grouping : CURRENCIES[currency].grouping;
+  return { currency, grouping, compact: format.compact === true };
+}
+
+/**
+ * A display format with some of its settings changed
+ * Picking a currency without a grouping switches to that currency's usual grouping.
+ * @param {object} format - The display format to start from
+ * @param {object} changes - Any of { currency, grouping, compact }
+ * @returns {object} { currency, grouping, compact }
+ */
+function changeDisplayFormat(format, changes) {
+  const next = Object.assign({}, format, changes);
+  if (changes && changes.currency && !changes.grouping) delete next.grouping;
+  return normalizeDisplayFormat(next);
+}
+
+/**
+ * Format a number with a grouping's separators
+ * @param {number} value
+ * @param {object} [options] - { minDecimals = 0, maxDecimals = minDecimals, grouping }; grouping
+ *   defaults to "indian"
+ * @returns {string} e.g. "12,34,567", "1,234,567" or "1.234.567"
+ */
+function formatNumber(value, options) {
+  options = options || {};
+  const minDecimals = options.minDecimals || 0;
+  const maxDecimals = options.maxDecimals === undefined ? minDecimals : Math.max(options.maxDecimals, minDecimals);
+  const grouping = NUMBER_GROUPINGS[options.grouping] || NUMBER_GROUPINGS[DEFAULT_DISPLAY_FORMAT.grouping];
+  return value.toLocaleString(grouping.locale, { minimumFractionDigits: minDecimals, maximumFractionDigits: maxDecimals });
+}
+
+/**
+ * Abbreviate a number to the largest unit it reaches, with up to two decimals
+ * A value that rounds up to a unit takes it, so 99,99,999 is "1Cr", not "100L".
+ * @param {number} value
+ * @param {string} [grouping] - A key of NUMBER_GROUPINGS; defaults to "indian"
+ * @returns {string} e.g. "11.62L" and "1.23Cr", or "1.16M" and "2.5B"; "999" below 1,000
+ */
+function formatCompact(value, grouping) {
+  grouping = NUMBER_GROUPINGS[grouping] ? grouping : DEFAULT_DISPLAY_FORMAT.grouping;
+  const units = NUMBER_GROUPINGS[grouping].compact;
+  if (Math.abs(value) >= units[units.length - 1].value) {
+    for (const unit of units) {
+      const scaled = Math.round(Math.abs(value) / unit.value * 100) / 100;
+      if (scaled >= 1) return (value < 0 ? "-" : "") + formatNumber(scaled, { maxDecimals: 2, grouping }) + unit.suffix;
+    }
+  }
+  return formatNumber(Math.round(value), { grouping });
+}
+
+/**
+ * Symbol of a currency, e.g. for "(Rs.)" after a label
+ * @param {string} [currency] - A key of CURRENCIES; defaults to INR
+ * @returns {string}
+ */
+function currencySymbol(currency) {
+  return CURRENCIES[CURRENCIES[currency] ? currency : DEFAULT_DISPLAY_FORMAT.currency].symbol;
+}
+
+/**
+ * A label for an amount, with the display currency's symbol
+ * @param {string} label - e.g. "Monthly Investment"
+ * @param {object} [format] - Display format; defaults to rupees
+ * @returns {string} e.g. "Monthly Investment (Rs.)" or "Monthly Investment ($)"
+ */
+function moneyLabel(label, format) {
+  return label + " (" + currencySymbol(normalizeDisplayFormat(format).currency) + ")";
+}
+
+/**
+ * Convert an amount between currencies at a rate the user gives
+ * @param {number} amount - In the from currency
+ * @param {string} from - A key of CURRENCIES
+ * @param {string} to - A key of CURRENCIES
+ * @param {number} rate - Units of to for one unit of from, e.g. 83.5 for USD → INR
+ * @param {boolean} [precise=false] - Round the result to the paisa (see roundMoney)
+ * @returns {number|null} The amount in the to currency (unchanged when from and
+ *   to are the same), or null when a rate above 0 is needed and missing
+ */
+function convertCurrency(amount, from, to, rate, precise) {
+  if (from === to) return amount;
+  if (!(rate > 0) || !isFinite(rate)) return null;
+  return roundMoney(amount * rate, precise);
+}
+
+/**
+ * The display format saved in this browser
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object} { currency, grouping, compact }; the rupee defaults when nothing is saved
+ */
+function loadDisplayFormat(storage) {
+  const store = browserStorage(storage);
+  try {
+    return normalizeDisplayFormat(store ? JSON.parse(store.getItem(DISPLAY_FORMAT_KEY)) : null);
+  } catch (e) {
+    return normalizeDisplayFormat(null);
+  }
+}
+
+/**
+ * Save a display format for every page in this browser
+ * @param {object} format - { currency, grouping, compact }
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {boolean} false when nothing can be stored
+ */
+function saveDisplayFormat(format, storage) {
+  const store = browserStorage(storage);
+  if (!store) return false;
+  try {
+    store.setItem(DISPLAY_FORMAT_KEY, JSON.stringify(normalizeDisplayFormat(format)));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Redraw the currency in a page's fixed text (browser only)
+ * Elements marked data-currency show the currency symbol; elements with
+ * data-amount, such as a slider's range ends, show that amount, never with paise.
+ * @param {object} format - Display format
+ * @param {Element|Document} [root=document]
+ */
+function applyDisplayFormat(format, root) {
+  root = root || document;
+  root.querySelectorAll("[data-currency]").forEach(el => { el.textContent = currencySymbol(format.currency); });
+  root.querySelectorAll("[data-amount]").forEach(el => { el.textContent = formatMoney(Number(el.dataset.amount), normalizeDisplayFormat(format)); });
+}
+
+/**
+ * Wire up the display format picker (browser only)
+ * Expects #displayCurrency and #displayGrouping (selects, filled here) and
+ * #displayCompact (checkbox). The saved format is applied to the page's fixed
+ * text straight away; the page passes the returned format to the formatters.
+ * @param {function(): void} onChange - Redraws the page's figures
+ * @returns {object} The display format { currency, grouping, compact }, kept up
+ *   to date as the user changes it; a page with a money mode sets its precise
+ *   (see formatAmount), which the picker leaves alone and does not save
+ */
+function bindDisplayFormat(onChange) {
+  const currencySelect = document.getElementById("displayCurrency");
+  const groupingSelect = document.getElementById("displayGrouping");
+  const compactToggle = document.getElementById("displayCompact");
+  currencySelect.innerHTML = Object.keys(CURRENCIES)
+    .map(code => '<option value="' + code + '">' + code + " · " + escapeHTML(CURRENCIES[code].name) + "</option>").join("");
+  groupingSelect.innerHTML = Object.keys(NUMBER_GROUPINGS)
+    .map(key => '<option value="' + key + '">' + escapeHTML(NUMBER_GROUPINGS[key].label) + "</option>").join("");
+
+  const format = loadDisplayFormat();
+  const show = () => {
+    currencySelect.value = format.currency;
+    groupingSelect.value = format.grouping;
+    compactToggle.checked = format.compact;
+    applyDisplayFormat(format, document);
+  };
+  show();
+
+  const update = changes => {
+    Object.assign(format, changeDisplayFormat(format, changes));
+    saveDisplayFormat(format);
+    show();
+    onChange();
+  };
+  currencySelect.addEventListener("change", () => update({ currency: currencySelect.value }));
+  groupingSelect.addEventListener("change", () => update({ grouping: groupingSelect.value }));
+  compactToggle.addEventListener("change", () => update({ compact: compactToggle.checked }));
+  return format;
+}
+
+// ─── Schedules ───────────────────────────────────────────────────────────────
+// Every calculator returns a monthly schedule of buildScheduleRow rows so page
+// tables render the same numbers as the headline figures. Returns are derived
+// from the balances, so opening + contribution + returns − withdrawal = closing
+// holds for every row and every yearly roll-up.
+
+// Longest schedule produced for plans that never end, e.g. a self-sustaining SWP
+const SCHEDULE_MAX_MONTHS = 100 * 12;
+
+/**
+ * Build one month of a schedule
+ * @param {number} month - Month number, starting at 1
+ * @param {number} openingBalance - Balance at the start of the month
+ * @param {number} contribution - Amount invested during the month
+ * @param {number} withdrawal - Amount withdrawn during the month
+ * @param {number} closingBalance - Balance at the end of the month
+ * @param {boolean} [precise=false] - Precise mode (see roundMoney)
+ * @returns {object} { month, openingBalance, contribution, withdrawal, returns, closingBalance }
+ */
+function buildScheduleRow(month, openingBalance, contribution, withdrawal, closingBalance, precise) {
+  return {
+    month,
+    openingBalance,
+    contribution,
+    withdrawal,
+    returns: roundMoney(closingBalance - openingBalance - contribution + withdrawal, precise),
+    closingBalance
+  };
+}
+
+/**
+ * Roll a monthly schedule up into years
+ * Flows are summed; balances (and any other fields, e.g. debtBalance) are taken
+ * from the first and last month of each year.
+ * @param {object[]} schedule - Monthly rows from a calculator
+ * @param {boolean} [precise=false] - The schedule is from precise mode (see roundMoney)
+ * @returns {object[]} Array of { year, openingBalance, contribution, withdrawal,
+ *                     returns, closingBalance, months, ...last month's other fields }
+ */
+function groupScheduleByYear(schedule, precise) {
+  const years = [];
+  schedule.forEach(row => {
+    const year = Math.ceil(row.month / 12);
+    let entry = years[years.length - 1];
+    if (!entry || entry.year !== year) {
+      entry = { year, openingBalance: row.openingBalance, contribution: 0, withdrawal: 0, returns: 0, months: [] };
+      years.push(entry);
+    }
+    const { month, ...fields } = row;
+    Object.assign(entry, fields, {
+      openingBalance: entry.openingBalance,
+      contribution: roundMoney(entry.contribution + row.contribution, precise),
+      withdrawal: roundMoney(entry.withdrawal + row.withdrawal, precise),
+      returns: roundMoney(entry.returns + row.returns, precise),
+      months: entry.months
+    });
+    entry.months.push(row);
+  });
+  return years;
+}
+
+// ─── Charts ──────────────────────────────────────────────────────────────────
+// Small dependency-free SVG line charts. A chart is { series, xLabel } where each
+// series is { label, color, points: [{ x, y }], dashed }. buildLineChartSVG returns
+// the markup (so it can be checked under Node); renderLineChart draws it into an
+// <svg> and adds a hover tooltip with exact values. Amounts on the y axis and in
+// the tooltip use formatMoney unless the chart gives its own yFormat.
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 300;
+const CHART_MARGIN = { top: 36, right: 16, bottom: 28, left: 100 };
+const CHART_COLORS = {
+  invested: "#93C5FD",
+  corpus: "#D4AF37",
+  real: "#F87171",
+  withdrawn: "#34D399",
+  debt: "#A78BFA",
+  equity: "#34D399"
+};
+
+/**
+ * Smallest "round" number (1, 2, 2.5 or 5 × a power of ten) at or above value
+ * @param {number} value
+ * @returns {number}
+ */
+function niceCeil(value) {
+  if (!(value > 0)) return 1;
+  const power = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(f => f * power >= value * (1 - 1e-12));
+  return step * power;
+}
+
+/**
+ * Scales and ticks for a chart
+ * @param {object} chart - { series }
+ * @returns {object} { xs, xMin, xMax, yMax, yTicks, xTicks, x(value), y(value) }
+ *   xs: every x value in any series, ascending
+ */
+function lineChartLayout(chart) {
+  const xs = Array.from(new Set([].concat.apply([], chart.series.map(s => s.points.map(p => p.x))))).sort((a, b) => a - b);
+  const xMin = xs.length ? xs[0] : 0;
+  const xMax = xs.length ? xs[xs.length - 1] : 1;
+  const yMax = niceCeil(Math.max.apply(null, [0].concat.apply([], chart.series.map(s => s.points.map(p => p.y)))));
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const xStep = Math.max(1, Math.ceil((xMax - xMin) / 6));
+  const xTicks = [];
+  for (let v = xMin; v <= xMax; v += xStep) xTicks.push(v);
+  return {
+    xs,
+    xMin,
+    xMax,
+    yMax,
+    yTicks: [0, 0.25, 0.5, 0.75, 1].map(f => yMax * f),
+    xTicks,
+    x: value => CHART_MARGIN.left + (xMax > xMin ? (value - xMin) / (xMax - xMin) : 0) * plotWidth,
+    y: value => CHART_MARGIN.top + (1 - value / yMax) * plotHeight
+  };
+}
+
+/**
+ * SVG markup for a line chart: grid, y axis, x axis, legend and lines
+ * @param {object} chart - { series, xLabel, yFormat, format, legend }
+ *   xLabel: function turning an x value into its axis/tooltip label (default "Year n")
+ *   yFormat: function turning a y value into its axis/tooltip label (default formatMoney
+ *   in the display format given as format)
+ *   legend: false to leave the legend to the page, e.g. for long series names
+ * @returns {string} Inner markup for an <svg viewBox="0 0 CHART_WIDTH CHART_HEIGHT">
+ */
+function buildLineChartSVG(chart) {
+  const layout = lineChartLayout(chart);
+  const xLabel = chart.xLabel || (x => "Year " + x);
+  const yFormat = chart.yFormat || (value => formatMoney(value, chart.format));
+  const text = (x, y, content, anchor) =>
+    '<text x="' + x.toFixed(1) + '" y="' + y.toFixed(1) + '" fill="rgba(255,255,255,0.5)" font-size="11"' +
+    (anchor ? ' text-anchor="' + anchor + '"' : "") + ">" + escapeHTML(content) + "</text>";
+  let svg = "";
+
+  layout.yTicks.forEach(value => {
+    const y = layout.y(value);
+    svg += '<line x1="' + CHART_MARGIN.left + '" x2="' + (CHART_WIDTH - CHART_MARGIN.right) + '" y1="' + y.toFixed(1) +
+      '" y2="' + y.toFixed(1) + '" stroke="rgba(255,255,255,0.08)" />' +
+      text(CHART_MARGIN.left - 8, y + 4, yFormat(value), "end");
+  });
+  layout.xTicks.forEach(value => {
+    svg += text(layout.x(value), CHART_HEIGHT - 8, xLabel(value), "middle");
+  });
+
+  let legendX = CHART_MARGIN.left;
+  if (chart.legend !== false) chart.series.forEach(series => {
+    svg += '<line x1="' + legendX + '" x2="' + (legendX + 16) + '" y1="12" y2="12" stroke="' + series.color +
+      '" stroke-width="3"' + (series.dashed ? ' stroke-dasharray="4 3"' : "") + " />" +
+      '<text x="' + (legendX + 22) + '" y="16" fill="rgba(255,255,255,0.8)" font-size="11">' + escapeHTML(series.label) + "</text>";
+    legendX += 34 + series.label.length * 6.5;
+  });
+
+  chart.series.forEach(series => {
+    const points = series.points.map(p => layout.x(p.x).toFixed(1) + "," + layout.y(p.y).toFixed(1)).join(" ");
+    svg += '<polyline points="' + points + '" fill="none" stroke="' + series.color + '" stroke-width="2.5" stroke-linejoin="round"' +
+      (series.dashed ? ' stroke-dasharray="6 4"' : "") + " />";
+  });
+
+  svg += '<g data-chart-tooltip style="display:none;pointer-events:none;"></g>' +
+    '<rect data-chart-overlay x="' + CHART_MARGIN.left + '" y="' + CHART_MARGIN.top + '" width="' +
+    (CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right) + '" height="' +
+    (CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom) + '" fill="transparent" />';
+  return svg;
+}
+
+/**
+ * Values of every series at one x, for the tooltip
+ * @param {object} chart - { series }
+ * @param {number} x
+ * @returns {object[]} Array of { label, color, y } for the series that have a point at x
+ */
+function chartValuesAt(chart, x) {
+  const values = [];
+  chart.series.forEach(series => {
+    const point = series.points.find(p => p.x === x);
+    if (point) values.push({ label: series.label, color: series.color, y: point.y });
+  });
+  return values;
+}
+
+/**
+ * Draw a line chart into an <svg> element with a hover tooltip (browser only)
+ * Calling it again redraws the same element.
+ * @param {SVGElement} svg
+ * @param {object} chart - { series, xLabel, yFormat, format, legend } (see buildLineChartSVG)
+ */
+function renderLineChart(svg, chart) {
+  const layout = lineChartLayout(chart);
+  const xLabel = chart.xLabel || (x => "Year " + x);
+  const yFormat = chart.yFormat || (value => formatMoney(value, chart.format));
+  svg.setAttribute("viewBox", "0 0 " + CHART_WIDTH + " " + CHART_HEIGHT);
+  svg.innerHTML = buildLineChartSVG(chart);
+  const tooltip = svg.querySelector("[data-chart-tooltip]");
+
+  const show = event => {
+    if (!layout.xs.length) return;
+    const box = svg.getBoundingClientRect();
+    const source = event.touches ? event.touches[0] : event;
+    const svgX = (source.clientX - box.left) / (box.width || CHART_WIDTH) * CHART_WIDTH;
+    const nearest = layout.xs.reduce((best, x) => Math.abs(layout.x(x) - svgX) < Math.abs(layout.x(best) - svgX) ? x : best);
+    const values = chartValuesAt(chart, nearest);
+    const px = layout.x(nearest);
+    const width = 190;
+    const height = 24 + values.length * 16;
+    const left = px + 12 + width > CHART_WIDTH ? px - 12 - width : px + 12;
+    let markup = '<line x1="' + px + '" x2="' + px + '" y1="' + CHART_MARGIN.top + '" y2="' +
+      (CHART_HEIGHT - CHART_MARGIN.bottom) + '" stroke="rgba(255,255,255,0.3)" stroke-dasharray="3 3" />';
+    values.forEach(v => {
+      markup += '<circle cx="' + px + '" cy="' + layout.y(v.y).toFixed(1) + '" r="4" fill="' + v.color + '" stroke="#0D1B4B" stroke-width="1.5" />';
+    });
+    markup += '<rect x="' + left + '" y="' + CHART_MARGIN.top + '" width="' + width + '" height="' + height +
+      '" rx="6" fill="#0D1B4B" stroke="rgba(212,175,55,0.5)" />' +
+      '<text x="' + (left + 10) + '" y="' + (CHART_MARGIN.top + 16) + '" fill="#D4AF37" font-size="11" font-weight="700">' +
+      escapeHTML(xLabel(nearest)) + "</text>";
+    values.forEach((v, i) => {
+      const y = CHART_MARGIN.top + 32 + i * 16;
+      markup += '<text x="' + (left + 10) + '" y="' + y + '" fill="' + v.color + '" font-size="11">' + escapeHTML(v.label) + "</text>" +
+        '<text x="' + (left + width - 10) + '" y="' + y + '" fill="#fff" font-size="11" text-anchor="end">' + escapeHTML(yFormat(v.y)) + "</text>";
+    });
+    tooltip.innerHTML = markup;
+    tooltip.style.display = "";
+  };
+  const hide = () => { tooltip.style.display = "none"; };
+  svg.onmousemove = show;
+  svg.ontouchstart = show;
+  svg.ontouchmove = show;
+  svg.onmouseleave = hide;
+  svg.ontouchend = hide;
+}
+
+/**
+ * Invested, corpus and (optionally) inflation-adjusted series from a schedule
+ * @param {object[]} schedule - Monthly rows from a calculator
+ * @param {object} [options] - { inflationRate, corpusLabel, initial }
+ *   initial: amount already invested at year 0, e.g. a lumpsum (default 0)
+ * @returns {object[]} Series by year, year 0 included, for buildLineChartSVG
+ */
+function growthChartSeries(schedule, options) {
+  options = options || {};
+  const initial = options.initial || 0;
+  const invested = [{ x: 0, y: initial }];
+  const corpus = [{ x: 0, y: initial }];
+  let contributed = 0;
+  groupScheduleByYear(schedule).forEach(row => {
+    contributed += row.contribution;
+    invested.push({ x: row.year, y: contributed });
+    corpus.push({ x: row.year, y: row.closingBalance });
+  });
+  const series = [
+    { label: "Invested", color: CHART_COLORS.invested, points: invested },
+    { label: options.corpusLabel || "Corpus", color: CHART_COLORS.corpus, points: corpus }
+  ];
+  if (options.inflationRate) {
+    series.push({
+      label: "In Today's Money",
+      color: CHART_COLORS.real,
+      dashed: true,
+      points: corpus.map(p => ({ x: p.x, y: p.y / Math.pow(1 + options.inflationRate / 100, p.x) }))
+    });
+  }
+  return series;
+}
+
+/**
+ * SVG markup for a histogram of returns, bars coloured against a hurdle
+ * Bar heights are the share of all values in each bin; hovering a bar shows
+ * its range and count.
+ * @param {object[]} bins - From histogramBins
+ * @param {number} [hurdle] - Return in % marked with a line; bins starting at or
+ *   above it are gold, the rest red
+ * @returns {string} Inner markup for an <svg viewBox="0 0 CHART_WIDTH CHART_HEIGHT">
+ */
+function buildHistogramSVG(bins, hurdle) {
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0) || 1;
+  const yMax = niceCeil(Math.max.apply(null, [0].concat(bins.map(bin => bin.count / total * 100))));
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const xMin = bins.length ? bins[0].from : 0;
+  const xMax = bins.length ? bins[bins.length - 1].to : 1;
+  const x = value => CHART_MARGIN.left + (value - xMin) / (xMax - xMin) * plotWidth;
+  const y = value => CHART_MARGIN.top + (1 - value / yMax) * plotHeight;
+  const label = value => Math.round(value * 100) / 100 + "%";
+  const text = (tx, ty, content, anchor) =>
+    '<text x="' + tx.toFixed(1) + '" y="' + ty.toFixed(1) + '" fill="rgba(255,255,255,0.5)" font-size="11"' +
+    (anchor ? ' text-anchor="' + anchor + '"' : "") + ">" + escapeHTML(content) + "</text>";
+  let svg = "";
+
+  [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+    const ty = y(yMax * f);
+    svg += '<line x1="' + CHART_MARGIN.left + '" x2="' + (CHART_WIDTH - CHART_MARGIN.right) + '" y1="' + ty.toFixed(1) +
+      '" y2="' + ty.toFixed(1) + '" stroke="rgba(255,255,255,0.08)" />' +
+      text(CHART_MARGIN.left - 8, ty + 4, label(yMax * f) + " of periods", "end");
+  });
+  const every = Math.ceil((bins.length + 1) / 8);
+  bins.concat([{ from: xMax }]).forEach((bin, i) => {
+    if (i % every === 0) svg += text(x(bin.from), CHART_HEIGHT - 8, label(bin.from), "middle");
+  });
+  bins.forEach(bin => {
+    const share = bin.count / total * 100;
+    const color = hurdle != null && bin.from < hurdle ? CHART_COLORS.real : CHART_COLORS.corpus;
+    svg += '<rect x="' + (x(bin.from) + 1).toFixed(1) + '" y="' + y(share).toFixed(1) + '" width="' +
+      Math.max(1, x(bin.to) - x(bin.from) - 2).toFixed(1) + '" height="' + (y(0) - y(share)).toFixed(1) + '" fill="' + color +
+      '" fill-opacity="0.8"><title>' + escapeHTML(label(bin.from) + " to " + label(bin.to) + ": " + bin.count +
+      " period(s), " + share.toFixed(1) + "%") + "</title></rect>";
+  });
+  if (hurdle != null && hurdle >= xMin && hurdle <= xMax) {
+    svg += '<line x1="' + x(hurdle).toFixed(1) + '" x2="' + x(hurdle).toFixed(1) + '" y1="' + CHART_MARGIN.top + '" y2="' + y(0).toFixed(1) +
+      '" stroke="#fff" stroke-dasharray="4 3" />' + text(x(hurdle), CHART_MARGIN.top - 8, "Hurdle " + label(hurdle), "middle");
+  }
+  return svg;
+}
+
+/**
+ * Draw a histogram into an <svg> element (browser only)
+ * @param {SVGElement} svg
+ * @param {object[]} bins - From histogramBins
+ * @param {number} [hurdle] - See buildHistogramSVG
+ */
+function renderHistogram(svg, bins, hurdle) {
+  svg.setAttribute("viewBox", "0 0 " + CHART_WIDTH + " " + CHART_HEIGHT);
+  svg.innerHTML = buildHistogramSVG(bins, hurdle);
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+// A report is { title, generatedAt, inputs, results, schedule }: inputs and
+// results are lists of { label, value } in display order, and schedule is a
+// list of row objects (a calculator schedule, or cash flows on the CAGR page).
+
+// Column headings for known schedule fields; other fields use their key
+const EXPORT_COLUMN_LABELS = {
+  month: "Month",
+  year: "Year",
+  openingBalance: "Opening Balance",
+  contribution: "Contribution",
+  withdrawal: "Withdrawal",
+  returns: "Returns",
+  closingBalance: "Closing Balance",
+  debtBalance: "Debt Balance",
+  equityBalance: "Equity Balance",
+  transferred: "Transferred",
+  tradeDate: "Trade Date",
+  tradeNAV: "Trade NAV",
+  nav: "NAV",
+  units: "Units",
+  totalUnits: "Total Units",
+  start: "Start",
+  end: "End",
+  cagr: "CAGR (%)",
+  tax: "Tax",
+  postTaxIncome: "Post-Tax Income",
+  date: "Date",
+  type: "Type",
+  amount: "Amount"
+};
+
+/**
+ * Build a report from a page's inputs, headline results and schedule
+ * @param {string} title - Report title, e.g. "SIP Calculator"
+ * @param {Array<{label: string, value: (number|string)}>} inputs - Input parameters
+ * @param {Array<{label: string, value: (number|string)}>} results - Headline figures
+ * @param {object[]} [schedule] - Schedule rows
+ * @returns {object} { title, generatedAt, inputs, results, schedule }
+ */
+function buildReport(title, inputs, results, schedule) {
+  return {
+    title,
+    generatedAt: new Date().toISOString().slice(0, 10),
+    inputs,
+    results,
+    schedule: schedule || []
+  };
+}
+
+/**
+ * Round money to paise for export; strings pass through unchanged
+ * @param {number|string} value
+ * @returns {number|string}
+ */
+function exportValue(value) {
+  return typeof value === "number" ? Math.round(value * 100) / 100 : value;
+}
+
+/**
+ * Convert rows of cells to CSV text (RFC 4180 quoting)
+ * Text that a spreadsheet would read as a formula (starting with =, +, -, @, a tab
+ * or a carriage return) gets a leading ' so it opens as text; numbers are left
+ * alone, so negative amounts stay numbers.
+ * @param {Array<Array<(number|string)>>} rows
+ * @returns {string}
+ */
+function toCSV(rows) {
+  return rows.map(row => row.map(cell => {
+    let text = cell == null ? "" : String(exportValue(cell));
+    if (typeof cell === "string" && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }).join(",")).join("\r\n");
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text
+ * @param {string} [delimiter] - Defaults to ","
+ * @returns {string[][]} Every line as an array of cells, blank lines included
+ */
+function parseCSV(text, delimiter) {
+  delimiter = delimiter || ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+/**
+ * Schedule columns in the order of the first row's fields
+ * @param {object[]} schedule
+ * @returns {string[]} field names, leaving out nested lists such as months
+ */
+function scheduleColumns(schedule) {
+  return schedule.length ? Object.keys(schedule[0]).filter(key => !Array.isArray(schedule[0][key])) : [];
+}
+
+/**
+ * Report as CSV: title, inputs, results, then the schedule as one table
+ * @param {object} report - From buildReport
+ * @returns {string}
+ */
+function buildReportCSV(report) {
+  const columns = scheduleColumns(report.schedule);
+  const rows = [[report.title + " Report"], ["Generated", report.generatedAt], [], ["Inputs"]]
+    .concat(report.inputs.map(item => [item.label, item.value]))
+    .concat([[], ["Results"]])
+    .concat(report.results.map(item => [item.label, item.value]));
+  if (columns.length) {
+    rows.push([], ["Schedule"], columns.map(key => EXPORT_COLUMN_LABELS[key] || key));
+    report.schedule.forEach(row => rows.push(columns.map(key => row[key])));
+  }
+  return toCSV(rows) + "\r\n";
+}
+
+/**
+ * Report as JSON, with money rounded to paise
+ * @param {object} report - From buildReport
+ * @returns {string}
+ */
+function buildReportJSON(report) {
+  const columns = scheduleColumns(report.schedule);
+  const plain = items => items.map(item => ({ label: item.label, value: exportValue(item.value) }));
+  return JSON.stringify({
+    title: report.title,
+    generatedAt: report.generatedAt,
+    inputs: plain(report.inputs),
+    results: plain(report.results),
+    schedule: report.schedule.map(row => {
+      const out = {};
+      columns.forEach(key => { out[key] = exportValue(row[key]); });
+      return out;
+    })
+  }, null, 2);
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Report as a standalone print-optimised HTML page (the browser saves it as PDF)
+ * @param {object} report - From buildReport
+ * @param {object} [format] - Display format; only its grouping is used
+ * @returns {string} HTML document
+ */
+function renderReportHTML(report, format) {
+  const grouping = normalizeDisplayFormat(format).grouping;
+  const cell = value => escapeHTML(typeof value === "number"
+    ? formatNumber(value, { maxDecimals: 2, grouping })
+    : value);
+  const list = items => items.map(item =>
+    "<tr><th>" + escapeHTML(item.label) + "</th><td>" + cell(item.value) + "</td></tr>").join("");
+  const columns = scheduleColumns(report.schedule);
+  const schedule = columns.length
+    ? "<h2>Schedule</h2><table class=\"schedule\"><thead><tr>" +
+      columns.map(key => "<th>" + escapeHTML(EXPORT_COLUMN_LABELS[key] || key) + "</th>").join("") +
+      "</tr></thead><tbody>" +
+      report.schedule.map(row => "<tr>" + columns.map(key => "<td>" + cell(row[key]) + "</td>").join("") + "</tr>").join("") +
+      "</tbody></table>"
+    : "";
+
+  return "<!doctype html><html lang=\"en\"><head><meta charset=\"utf-8\" />" +
+    "<title>" + escapeHTML(report.title) + " Report — Wealth Builder</title><style>" +
+    "@page { margin: 16mm; }" +
+    "body { font-family: 'Inter', -apple-system, sans-serif; color: #111; font-size: 11pt; }" +
+    "h1 { font-size: 18pt; color: #1A237E; margin: 0 0 4px; }" +
+    "h2 { font-size: 12pt; color: #1A237E; margin: 20px 0 8px; border-bottom: 2px solid #D4AF37; padding-bottom: 4px; }" +
+    ".meta { color: #555; font-size: 9pt; }" +
+    "table { border-collapse: collapse; width: 100%; }" +
+    "th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }" +
+    "th { background: #f3f0e2; text-align: left; }" +
+    "table.schedule { font-size: 9pt; }" +
+    "table.schedule thead { display: table-header-group; }" +
+    "tr { page-break-inside: avoid; }" +
+    "</style></head><body>" +
+    "<h1>" + escapeHTML(report.title) + " Report</h1>" +
+    "<div class=\"meta\">Generated on " + escapeHTML(report.generatedAt) + " · Wealth Builder · Estimated returns are for illustration purposes only.</div>" +
+    "<h2>Inputs</h2><table>" + list(report.inputs) + "</table>" +
+    "<h2>Results</h2><table>" + list(report.results) + "</table>" +
+    schedule +
+    "</body></html>";
+}
+
+/**
+ * File name for a report, e.g. "sip-calculator-2026-10-19.csv"
+ * @param {object} report - From buildReport
+ * @param {string} extension - "csv" or "json"
+ * @returns {string}
+ */
+function reportFileName(report, extension) {
+  const slug = report.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return slug + "-" + report.generatedAt + "." + extension;
+}
+
+/**
+ * Download a report as CSV or JSON (browser only)
+ * @param {object} report - From buildReport
+ * @param {string} format - "csv" or "json"
+ */
+function downloadReport(report, format) {
+  const json = format === "json";
+  downloadFile(
+    json ? buildReportJSON(report) : buildReportCSV(report),
+    reportFileName(report, json ? "json" : "csv"),
+    json ? "application/json" : "text/csv"
+  );
+}
+
+/**
+ * Save text as a file through a temporary link (browser only)
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type - MIME type, e.g. "text/csv"
+ */
+function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: type + ";charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the print layout of a report in a new window and print it (browser only)
+ * @param {object} report - From buildReport
+ * @param {object} [format] - Display format (see renderReportHTML)
+ * @returns {boolean} false when the browser blocked the window
+ */
+function printReport(report, format) {
+  const win = window.open("", "_blank");
+  if (!win) return false;
+  win.document.write(renderReportHTML(report, format));
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
+
+// ─── Permalinks ──────────────────────────────────────────────────────────────
+// Pages keep their inputs in the URL query string so a link reopens the same
+// scenario. A spec describes each parameter: { min, max, step } for a slider,
+// { toggle: true } for a checkbox, or { options: [...] } for a set of tabs.
+
+/**
+ * Clamp a value to a slider's bounds and snap it to the slider's step
+ * @param {*} value - Raw value, e.g. from the query string
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [step]
+ * @returns {number|null} null when the value is not a number
+ */
+function clampToSlider(value, min, max, step) {
+  const n = typeof value === "string" && value.trim() === "" ? NaN : Number(value);
+  if (!isFinite(n)) return null;
+  let clamped = Math.min(max, Math.max(min, n));
+  if (step > 0) {
+    const decimals = (String(step).split(".")[1] || "").length;
+    clamped = Number((min + Math.round((clamped - min) / step) * step).toFixed(decimals));
+    if (clamped > max) clamped = Number((clamped - step).toFixed(decimals));
+  }
+  return clamped;
+}
+
+/**
+ * Read page state from a query string, dropping unknown or invalid parameters
+ * @param {string} query - e.g. location.search
+ * @param {object} spec - Parameter name → { min, max, step } | { toggle: true } | { options }
+ * @returns {object} name → number (sliders), boolean (toggles) or string (options)
+ */
+function parsePermalink(query, spec) {
+  const params = new URLSearchParams(query);
+  const state = {};
+  Object.keys(spec).forEach(name => {
+    if (!params.has(name)) return;
+    const raw = params.get(name);
+    const rule = spec[name];
+    if (rule.toggle) {
+      if (raw === "1" || raw === "0") state[name] = raw === "1";
+    } else if (rule.options) {
+      if (rule.options.indexOf(raw) !== -1) state[name] = raw;
+    } else {
+      const value = clampToSlider(raw, rule.min, rule.max, rule.step);
+      if (value !== null) state[name] = value;
+    }
+  });
+  return state;
+}
+
+/**
+ * Serialise page state to a query string (toggles as 1/0)
+ * @param {object} state - name → number | boolean | string
+ * @returns {string} e.g. "?principal=5000&topupToggle=1"
+ */
+function buildPermalinkQuery(state) {
+  const params = new URLSearchParams();
+  Object.keys(state).forEach(name => {
+    const value = state[name];
+    params.set(name, typeof value === "boolean" ? (value ? "1" : "0") : String(value));
+  });
+  const query = params.toString();
+  return query ? "?" + query : "";
+}
+
+/**
+ * Read the rows of a permalink extra, e.g. a SIP's pauses
+ * Rows are joined by "_" and their fields by ".", as in
+ * "2026-04-01.2026-06-30_2027-01-01.2027-01-31". A row is dropped unless each
+ * date field is a real date written as "YYYY-MM-DD", so a crafted link can't
+ * slip other text into the page through a date.
+ * @param {string} text
+ * @param {string[]} fields - Names of a row's fields in order, e.g. ["from", "to"]
+ * @param {string[]} dateFields - The fields that hold dates
+ * @returns {object[]} Rows as field name → text
+ */
+function parsePermalinkRows(text, fields, dateFields) {
+  return String(text).split("_").map(entry => {
+    const parts = entry.split(".");
+    const row = {};
+    fields.forEach((field, i) => { row[field] = parts[i] === undefined ? "" : parts[i]; });
+    return row;
+  }).filter(row => dateFields.every(field => parseNAVDate(row[field]) === row[field]));
+}
+
+/**
+ * Keep a page's inputs in its URL (browser only)
+ * Restores tab choices first (a tab may change slider bounds), then inputs in
+ * the order given, firing the same events a user would so the page updates
+ * itself. Afterwards an input, change or click on those inputs, the tabs or
+ * an extra's watched elements rewrites the URL. The state goes in the query
+ * string, or in the hash where the browser will not rewrite the query (pages
+ * opened from file://).
+ * @param {string[]} ids - Slider and checkbox element ids
+ * @param {string[]} [choices] - Tab groups, each a data attribute, e.g. "mode" for [data-mode]
+ * @param {object} [extras] - Page-specific parameters, name → { read(), write(text), watch };
+ *   write is called last on load and must validate the text itself; watch is the
+ *   id (or ids) of the elements whose events change the value, e.g. a table
+ *   body and its Add button
+ */
+function bindPermalink(ids, choices, extras) {
+  choices = choices || [];
+  extras = extras || {};
+  const query = window.location.hash.slice(1) + "&" + window.location.search.slice(1);
+
+  const choiceSpec = {};
+  choices.forEach(name => {
+    choiceSpec[name] = { options: Array.from(document.querySelectorAll("[data-" + name + "]")).map(el => el.dataset[name]) };
+  });
+  const chosen = parsePermalink(query, choiceSpec);
+  choices.forEach(name => {
+    if (name in chosen) document.querySelector("[data-" + name + "=\"" + chosen[name] + "\"]").click();
+  });
+
+  const inputSpec = {};
+  ids.forEach(id => {
+    const el = document.getElementById(id);
+    inputSpec[id] = el.type === "checkbox"
+      ? { toggle: true }
+      : { min: Number(el.min), max: Number(el.max), step: Number(el.step) || 0 };
+  });
+  const state = parsePermalink(query, inputSpec);
+  ids.forEach(id => {
+    if (!(id in state)) return;
+    const el = document.getElementById(id);
+    if (el.type === "checkbox") {
+      if (el.checked === state[id]) return;
+      el.checked = state[id];
+      el.dispatchEvent(new Event("change"));
+    } else {
+      el.value = state[id];
+      el.dispatchEvent(new Event("input"));
+    }
+  });
+
+  const params = new URLSearchParams(query);
+  Object.keys(extras).forEach(name => {
+    if (params.has(name)) extras[name].write(params.get(name));
+  });
+
+  const update = () => {
+    const current = {};
+    choices.forEach(name => {
+      const active = document.querySelector("[data-" + name + "].active");
+      if (active) current[name] = active.dataset[name];
+    });
+    ids.forEach(id => {
+      const el = document.getElementById(id);
+      current[id] = el.type === "checkbox" ? el.checked : Number(el.value);
+    });
+    Object.keys(extras).forEach(name => { current[name] = extras[name].read(); });
+    const search = buildPermalinkQuery(current);
+    try {
+      window.history.replaceState(null, "", window.location.pathname + search);
+    } catch (e) {
+      window.location.replace("#" + search.slice(1));
+    }
+  };
+  const watched = ids.map(id => document.getElementById(id));
+  choices.forEach(name => watched.push(...document.querySelectorAll("[data-" + name + "]")));
+  Object.keys(extras).forEach(name => {
+    [].concat(extras[name].watch || []).forEach(id => watched.push(document.getElementById(id)));
+  });
+  watched.forEach(el => ["input", "change", "click"].forEach(type => el.addEventListener(type, update)));
+  update();
+}
+
+// ─── Local storage ───────────────────────────────────────────────────────────
+// Saved scenarios, holdings and benchmarks live in this browser only, under one
+// localStorage key as { version, scenarios, holdings, benchmarks }. The version lets older
+// data load after an upgrade: STORE_MIGRATIONS[v] turns a version-v store into
+// version v + 1. exportStore/importStore move the store between browsers as a
+// JSON file; nothing is ever sent anywhere.
+
+const STORE_KEY = "wealthBuilder.store";
+const STORE_VERSION = 2;
+// Before the store was versioned, scenarios were a bare array under this key
+const SCENARIO_STORAGE_KEY = "wealthBuilder.scenarios";
+
+const STORE_MIGRATIONS = [
+  // 0 → 1: scenarios only; holdings added
+  data => ({ version: 1, scenarios: data.scenarios, holdings: [] }),
+  // 1 → 2: benchmarks added; null means the built-in DEFAULT_BENCHMARKS
+  data => ({ version: 2, scenarios: data.scenarios, holdings: data.holdings, benchmarks: null })
+];
+
+/**
+ * An empty store at the current version
+ * @returns {object} { version, scenarios: [], holdings: [], benchmarks: null }
+ */
+function emptyStore() {
+  return { version: STORE_VERSION, scenarios: [], holdings: [], benchmarks: null };
+}
+
+/**
+ * Bring stored data up to STORE_VERSION
+ * @param {object} data - A store of any earlier (or the current) version
+ * @returns {object|null} The migrated store, or null when the data isn't a store
+ *   or comes from a newer version than this page knows
+ */
+function migrateStore(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return null;
+  const version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0 || version > STORE_VERSION) return null;
+  let store = data;
+  for (let v = version; v < STORE_VERSION; v++) store = STORE_MIGRATIONS[v](store);
+  return {
+    version: STORE_VERSION,
+    scenarios: Array.isArray(store.scenarios) ? store.scenarios : [],
+    holdings: Array.isArray(store.holdings) ? store.holdings : [],
+    benchmarks: Array.isArray(store.benchmarks) ? store.benchmarks : null
+  };
+}
+
+/**
+ * Browser storage, or null under Node and in browsers that block it
+ * @param {Storage} [storage] - Storage to use instead of localStorage
+ * @returns {Storage|null}
+ */
+function browserStorage(storage) {
+  if (storage) return storage;
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read the store, migrating older data (including the unversioned scenario list)
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object} { version, scenarios, holdings, benchmarks }; empty when nothing readable is saved
+ */
+function loadStore(storage) {
+  const store = browserStorage(storage);
+  if (!store) return emptyStore();
+  try {
+    const saved = store.getItem(STORE_KEY);
+    if (saved !== null) return migrateStore(JSON.parse(saved)) || emptyStore();
+    const legacy = JSON.parse(store.getItem(SCENARIO_STORAGE_KEY));
+    return Array.isArray(legacy) ? migrateStore({ scenarios: legacy }) : emptyStore();
+  } catch (e) {
+    return emptyStore();
+  }
+}
+
+/**
+ * Write the store (and drop the unversioned scenario list it replaces)
+ * @param {object} data - { version, scenarios, holdings, benchmarks }
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {boolean} false when nothing can be stored
+ */
+function saveStore(data, storage) {
+  const store = browserStorage(storage);
+  if (!store) return false;
+  try {
+    store.setItem(STORE_KEY, JSON.stringify({
+      version: STORE_VERSION,
+      scenarios: data.scenarios,
+      holdings: data.holdings,
+      benchmarks: data.benchmarks || null
+    }));
+    store.removeItem(SCENARIO_STORAGE_KEY);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Id for a saved item, unique enough for one person's data
+ * @returns {string}
+ */
+function newStoreId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Check and tidy a holding
+ * @param {object} holding - { fund, units, cost, purchaseDate, id? }
+ * @returns {object|null} { id, fund, units, cost, purchaseDate }, or null when a
+ *   field is missing or invalid (units must be > 0, cost ≥ 0, dates YYYY-MM-DD)
+ */
+function normalizeHolding(holding) {
+  if (!holding || typeof holding !== "object") return null;
+  const fund = String(holding.fund || "").trim();
+  const units = Number(holding.units);
+  const cost = Number(holding.cost);
+  const purchaseDate = String(holding.purchaseDate || "");
+  const time = parseFlowDate(purchaseDate);
+  const validDate = /^\d{4}-\d{2}-\d{2}$/.test(purchaseDate) && !isNaN(time) &&
+    new Date(time).toISOString().slice(0, 10) === purchaseDate;
+  if (!fund || !(units > 0) || !(cost >= 0) || !validDate) return null;
+  return { id: holding.id || newStoreId(), fund, units, cost, purchaseDate };
+}
+
+/**
+ * Load saved holdings, oldest first
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object[]} Array of { id, fund, units, cost, purchaseDate }
+ */
+function loadHoldings(storage) {
+  return loadStore(storage).holdings;
+}
+
+/**
+ * Save a holding
+ * @param {object} holding - { fund, units, cost, purchaseDate }
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object|null} The saved holding, or null when it is invalid or can't be stored
+ */
+function saveHolding(holding, storage) {
+  const saved = normalizeHolding(holding);
+  if (!saved) return null;
+  const store = loadStore(storage);
+  store.holdings.push(saved);
+  return saveStore(store, storage) ? saved : null;
+}
+
+/**
+ * Delete a saved holding
+ * @param {string} id
+ * @param {Storage} [storage] - Defaults to localStorage
+ */
+function deleteHolding(id, storage) {
+  const store = loadStore(storage);
+  store.holdings = store.holdings.filter(h => h.id !== id);
+  saveStore(store, storage);
+}
+
+/**
+ * The whole store as a JSON file's text
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {string}
+ */
+function exportStore(storage) {
+  const store = loadStore(storage);
+  return JSON.stringify({
+    app: "wealth-builder",
+    version: store.version,
+    exportedAt: new Date().toISOString(),
+    scenarios: store.scenarios,
+    holdings: store.holdings,
+    benchmarks: store.benchmarks
+  }, null, 2);
+}
+
+/**
+ * Merge an exported store into this browser's store
+ * Items are matched by id, so importing the same file twice adds nothing;
+ * holdings that fail normalizeHolding are skipped, and a scenario link that
+ * fails scenarioLink (a javascript: URL, another site) is dropped while the
+ * scenario itself is kept. Benchmarks in the file, if
+ * it has its own list, replace this browser's.
+ * @param {string} text - Contents of a file from exportStore (any earlier version too)
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object} { ok: true, scenarios, holdings, benchmarks, skipped } with counts added, or
+ *                   { ok: false, error } with a message for the user
+ */
+function importStore(text, storage) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, error: "This file isn't valid JSON." };
+  }
+  if (data && data.version > STORE_VERSION) {
+    return { ok: false, error: "This file comes from a newer version of Wealth Builder (v" + data.version + "). Reload the page and try again." };
+  }
+  const incoming = data && data.app === "wealth-builder" ? migrateStore(data) : null;
+  if (!incoming) return { ok: false, error: "This file isn't a Wealth Builder export." };
+
+  const store = loadStore(storage);
+  const scenarioIds = new Set(store.scenarios.map(s => s.id));
+  const holdingIds = new Set(store.holdings.map(h => h.id));
+  const scenarios = incoming.scenarios
+    .filter(s => s && s.calculator && s.inputs && !scenarioIds.has(s.id))
+    .map(s => {
+      const scenario = Object.assign({}, s);
+      if (!scenarioLink(scenario.link)) delete scenario.link;
+      return scenario;
+    });
+  const holdings = incoming.holdings.map(normalizeHolding).filter(h => h && !holdingIds.has(h.id));
+  const skipped = incoming.holdings.length - incoming.holdings.map(normalizeHolding).filter(Boolean).length;
+  store.scenarios = store.scenarios.concat(scenarios);
+  store.holdings = store.holdings.concat(holdings);
+  const benchmarks = incoming.benchmarks ? incoming.benchmarks.map(normalizeBenchmark).filter(Boolean) : [];
+  if (benchmarks.length) store.benchmarks = benchmarks;
+  if (!saveStore(store, storage)) return { ok: false, error: "This browser is blocking local storage, so nothing can be imported." };
+  return { ok: true, scenarios: scenarios.length, holdings: holdings.length, benchmarks: benchmarks.length, skipped };
+}
+
+/**
+ * Download the whole store as a JSON file (browser only)
+ */
+function downloadStore() {
+  downloadFile(exportStore(), "wealth-builder-data-" + new Date().toISOString().slice(0, 10) + ".json", "application/json");
+}
+
+// ─── Scenarios ───────────────────────────────────────────────────────────────
+// A scenario is a named set of calculator inputs saved from a page, e.g.
+// { name, calculator: "sip", inputs: { P, annualRate, years, topUpRate } }.
+// Only inputs are stored; results are recalculated whenever the comparison page
+// opens, so saved scenarios follow any fix to the calculators. A lumpsum
+// scenario with a monthlySIP (and topUpRate) is a Lumpsum + SIP plan; an STP
+// scenario may carry a strategy, frequency and targetGrowth (see calculateSTP).
+
+const SCENARIO_SWP_YEARS = 30;
+
+/**
+ * Short label for each calculator a scenario can come from
+ */
+const SCENARIO_CALCULATORS = {
+  sip: "SIP",
+  lumpsum: "Lumpsum",
+  stp: "STP",
+  swp: "SWP"
+};
+
+/**
+ * Default name for a scenario, e.g. "SIP Rs. 10,000/mo @ 12% 20y"
+ * @param {object} scenario - { calculator, inputs }
+ * @param {object} [format] - Display format of the amounts; defaults to rupees
+ * @returns {string}
+ */
+function describeScenario(scenario, format) {
+  const i = scenario.inputs;
+  switch (scenario.calculator) {
+    case "sip":
+      return "SIP " + formatMoney(i.P, format) +
+        (i.schedule && SIP_FREQUENCIES[i.schedule.frequency] ? " " + SIP_FREQUENCIES[i.schedule.frequency].label.toLowerCase() : "/mo") +
+        " @ " + i.annualRate + "% " + i.years + "y" +
+        (i.topUpRate ? " +" + i.topUpRate + "%/yr" : "");
+    case "lumpsum":
+      return "Lumpsum " + formatMoney(i.P, format) + (i.monthlySIP ? " + SIP " + formatMoney(i.monthlySIP, format) + "/mo" : "") +
+        " @ " + i.annualRate + "% " + i.years + "y" + (i.monthlySIP && i.topUpRate ? " +" + i.topUpRate + "%/yr" : "");
+    case "stp":
+      return "STP " + formatMoney(i.lumpSum, format) + " over " + i.months + " months" +
+        (i.strategy && i.strategy !== "fixed" && STP_STRATEGIES[i.strategy] ? " " + STP_STRATEGIES[i.strategy].label.toLowerCase() : "") +
+        (i.frequency && i.frequency !== "monthly" && STP_FREQUENCIES[i.frequency] ? " " + STP_FREQUENCIES[i.frequency].label.toLowerCase() : "");
+    case "swp":
+      return "SWP " + formatMoney(i.monthlyWithdrawal, format) + "/mo from " + formatMoney(i.corpus, format) + " @ " + i.annualRate + "%";
+    default:
+      return "Scenario";
+  }
+}
+
+/**
+ * Recalculate a saved scenario into figures that line up across calculators
+ * SWP plans run until the corpus is used up, or SCENARIO_SWP_YEARS when it never is.
+ * A SIP saved with a schedule ({ frequency, startDate, pauses, topUps }) runs on
+ * calculateSIPSchedule.
+ * @param {object} scenario - { name, calculator, inputs }
+ * @param {number} inflationRate - Annual inflation in % for the real value
+ * @param {object} [options] - { convention }: rate convention overrides (see conventionFor)
+ * @returns {object|null} { name, calculator, months, invested, corpus, returns, withdrawn,
+ *                          realValue, curve } or null for an unknown calculator or
+ *   inputs that fail validateInputs (or an STP strategy or frequency it does not know)
+ *   invested: money put in (the starting corpus for an SWP)
+ *   returns: corpus + withdrawn − invested
+ *   realValue: corpus in today's money at inflationRate
+ *   curve: Array of { year, invested, corpus }, year 0 first
+ */
+function evaluateScenario(scenario, inflationRate, options) {
+  const i = scenario.inputs;
+  if (!validateInputs(scenario.calculator, i).ok) return null;
+  let result;
+  let invested = null;
+  switch (scenario.calculator) {
+    case "sip":
+      if (i.schedule) {
+        result = calculateSIPSchedule(Object.assign({}, i.schedule, {
+          amount: i.P, annualRate: i.annualRate, years: i.years, stepUpRate: i.topUpRate
+        }), options);
+        if (!result.ok) return null;
+      } else {
+        result = i.topUpRate
+          ? calculateTopUpSIP(i.P, i.annualRate, i.years, i.topUpRate, null, options)
+          : calculateSIP(i.P, i.annualRate, i.years, null, options);
+      }
+      break;
+    case "lumpsum":
+      if (i.monthlySIP) {
+        result = calculateLumpsumSIP({ lumpSum: i.P, monthlySIP: i.monthlySIP, annualRate: i.annualRate, years: i.years, stepUpRate: i.topUpRate }, options);
+        if (!result.ok) return null;
+      } else {
+        result = calculateLumpsum(i.P, i.annualRate, i.years, null, options);
+      }
+      break;
+    case "stp":
+      if ((i.strategy && !STP_STRATEGIES[i.strategy]) || (i.frequency && !STP_FREQUENCIES[i.frequency])) return null;
+      result = calculateSTP(i.lumpSum, i.monthlyTransfer, i.debtRate, i.equityRate, i.months, null, {
+        strategy: i.strategy, frequency: i.frequency, targetGrowth: i.targetGrowth, convention: options && options.convention
+      });
+      break;
+    case "swp":
+      result = calculateSWP(i.corpus, i.monthlyWithdrawal, i.annualRate, null, i.escalationRate, options);
+      invested = i.corpus;
+      break;
+    default:
+      return null;
+  }
+
+  const schedule = scenario.calculator === "swp" && result.isIndefinite
+    ? result.schedule.slice(0, SCENARIO_SWP_YEARS * 12)
+    : result.schedule;
+  const start = invested !== null ? invested : 0;
+  const curve = [{ year: 0, invested: start, corpus: start }];
+  let contributed = start;
+  let withdrawn = 0;
+  groupScheduleByYear(schedule).forEach(row => {
+    contributed += row.contribution;
+    withdrawn += row.withdrawal;
+    curve.push({ year: row.year, invested: contributed, corpus: row.closingBalance });
+  });
+  const months = schedule.length;
+  const corpus = curve[curve.length - 1].corpus;
+  return {
+    name: scenario.name || describeScenario(scenario),
+    calculator: scenario.calculator,
+    months,
+    invested: contributed,
+    corpus,
+    returns: corpus + withdrawn - contributed,
+    withdrawn,
+    realValue: calculateInflationAdjusted(corpus, inflationRate, months / 12).inflationAdjustedValue,
+    curve
+  };
+}
+
+/**
+ * A scenario's page link, if it is safe to open
+ * Only same-site relative paths are kept: "/…" or "../…", with no scheme, no
+ * "//" host, no backslashes and no whitespace or control characters, so a
+ * stored link can neither run script nor lead off the site.
+ * @param {*} link - e.g. "../sip-calculator/index.html?principal=10000"
+ * @returns {string|null} The link, or null when it isn't a safe relative path
+ */
+function scenarioLink(link) {
+  return typeof link === "string" && /^(\/(?![/\\])|\.\.\/)[^\s\\\x00-\x1f\x7f]*$/.test(link) ? link : null;
+}
+
+/**
+ * Load saved scenarios, oldest first
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object[]} Array of { id, name, calculator, inputs, link, savedAt }
+ */
+function loadScenarios(storage) {
+  return loadStore(storage).scenarios;
+}
+
+/**
+ * Save a scenario (and give it an id)
+ * A link that fails scenarioLink is left out.
+ * @param {object} scenario - { name, calculator, inputs, link }
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object|null} The saved scenario, or null when nothing can be stored
+ */
+function saveScenario(scenario, storage) {
+  const saved = Object.assign({ id: newStoreId(), savedAt: new Date().toISOString() }, scenario);
+  if (!saved.name) saved.name = describeScenario(saved);
+  if (!scenarioLink(saved.link)) delete saved.link;
+  const store = loadStore(storage);
+  store.scenarios.push(saved);
+  return saveStore(store, storage) ? saved : null;
+}
+
+/**
+ * Delete a saved scenario
+ * @param {string} id
+ * @param {Storage} [storage] - Defaults to localStorage
+ */
+function deleteScenario(id, storage) {
+  const store = loadStore(storage);
+  store.scenarios = store.scenarios.filter(s => s.id !== id);
+  saveStore(store, storage);
+}
+
+/**
+ * Wire a page's "Save for comparison" controls
+ * Expects #scenarioName (text input), #saveScenario (button) and #scenarioStatus.
+ * The name box suggests describeScenario as its placeholder, refreshed when
+ * the inputs it reads change; the page link, which carries the permalink
+ * state, is saved relative to the comparison page
+ * (e.g. "../sip-calculator/index.html?principal=10000") so the scenario can be reopened.
+ * @param {function(): object} read - Returns the page's { calculator, inputs }
+ * @param {string[]} ids - Ids of the elements read reads from (sliders, toggles,
+ *   and the table bodies and buttons of editable rows)
+ * @param {string[]} [choices] - Tab groups read depends on, e.g. "plan" for [data-plan]
+ * @param {object} [format] - Display format of the suggested names (see bindDisplayFormat)
+ */
+function bindScenarioSave(read, ids, choices, format) {
+  const nameInput = document.getElementById("scenarioName");
+  const status = document.getElementById("scenarioStatus");
+  const suggest = () => { nameInput.placeholder = describeScenario(read(), format); };
+  const watched = ids.map(id => document.getElementById(id));
+  (choices || []).forEach(name => watched.push(...document.querySelectorAll("[data-" + name + "]")));
+  watched.forEach(el => ["input", "change", "click"].forEach(type => el.addEventListener(type, suggest)));
+  suggest();
+
+  document.getElementById("saveScenario").addEventListener("click", () => {
+    const scenario = read();
+    scenario.name = nameInput.value.trim() || describeScenario(scenario, format);
+    scenario.link = "../" + window.location.pathname.split("/").slice(-2).join("/") + window.location.search + window.location.hash;
+    const saved = saveScenario(scenario);
+    status.textContent = saved
+      ? "Saved \u201c" + saved.name + "\u201d. " + loadScenarios().length + " scenario(s) ready to compare."
+      : "This browser is blocking local storage, so scenarios can't be saved.";
+    nameInput.value = "";
+  });
+}
+
+// ─── Benchmarks ──────────────────────────────────────────────────────────────
+// Typical returns a CAGR is compared against, as { name, min, max } in % a year.
+// They are the user's to edit; until then the built-in list below applies.
+
+const DEFAULT_BENCHMARKS = [
+  { name: "🏦 Fixed Deposit", min: 6, max: 7 },
+  { name: "🥇 Gold", min: 10, max: 11 },
+  { name: "📈 Nifty 50", min: 12, max: 14 },
+  { name: "💎 Quality MF", min: 14, max: 18 }
+];
+
+/**
+ * Check and tidy a benchmark
+ * @param {object} benchmark - { name, min, max }
+ * @returns {object|null} { name, min, max }, or null when the name is blank or
+ *   the range isn't two numbers with min ≤ max
+ */
+function normalizeBenchmark(benchmark) {
+  if (!benchmark || typeof benchmark !== "object") return null;
+  const name = String(benchmark.name || "").trim();
+  const min = Number(benchmark.min);
+  const max = Number(benchmark.max);
+  if (!name || benchmark.min === "" || benchmark.max === "" || !isFinite(min) || !isFinite(max) || min > max) return null;
+  return { name, min, max };
+}
+
+/**
+ * The benchmarks to compare against: the saved list, or the defaults
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object[]} Array of { name, min, max }
+ */
+function loadBenchmarks(storage) {
+  const saved = loadStore(storage).benchmarks;
+  return (saved || DEFAULT_BENCHMARKS).map(b => Object.assign({}, b));
+}
+
+/**
+ * Save the benchmark list; invalid entries are left out
+ * @param {object[]} benchmarks - Array of { name, min, max }
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {boolean} false when nothing can be stored
+ */
+function saveBenchmarks(benchmarks, storage) {
+  const store = loadStore(storage);
+  store.benchmarks = benchmarks.map(normalizeBenchmark).filter(Boolean);
+  return saveStore(store, storage);
+}
+
+/**
+ * Go back to DEFAULT_BENCHMARKS
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {boolean} false when nothing can be stored
+ */
+function resetBenchmarks(storage) {
+  const store = loadStore(storage);
+  store.benchmarks = null;
+  return saveStore(store, storage);
+}
+
+/**
+ * Where a CAGR falls against a benchmark's range
+ * @param {number} cagr - In %
+ * @param {object} benchmark - { min, max }
+ * @returns {string} "above" (beyond max) | "within" | "below" (under min)
+ */
+function compareWithBenchmark(cagr, benchmark) {
+  if (cagr > benchmark.max) return "above";
+  return cagr >= benchmark.min ? "within" : "below";
+}
+
+// ─── Module exports ──────────────────────────────────────────────────────────
+// In the browser this file is loaded with a plain <script> tag and every
+// function above is a global. Under Node (require or import) the same
+// functions are exported through CommonJS.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    formatINR,
+    formatMoney,
+    formatAmount,
+    formatPercent,
+    calculateSIP,
+    calculateTopUpSIP,
+    calculateInflationAdjusted,
+    calculateLumpsum,
+    calculateLumpsumSIP,
+    calculateCAGR,
+    calculateXIRR,
+    calculateSWP,
+    swpWithdrawalForMonth,
+    STP_STRATEGIES,
+    STP_FREQUENCIES,
+    calculateSTP,
+    SIP_FREQUENCIES,
+    addDaysToDate,
+    sipInstalmentDates,
+    calculateSIPSchedule,
+    REBALANCE_POLICIES,
+    DEFAULT_ASSETS,
+    splitByWeights,
+    calculateAllocation,
+    INPUT_RULES,
+    validateInputs,
+    calculateFutureCost,
+    calculateGoalSIP,
+    calculateGoalTopUpSIP,
+    calculateGoalLumpsum,
+    calculateGoalYears,
+    calculateGoalRate,
+    simulateRetirement,
+    validateRetirementPlan,
+    calculateRetirementPlan,
+    calculateRetirementSIP,
+    TAX_RULES,
+    describeTaxRules,
+    redeemLotsFIFO,
+    calculateCapitalGainsTax,
+    calculateLumpsumTax,
+    calculateSWPTax,
+    exitLoadRate,
+    calculateFundCosts,
+    roundMoney,
+    toPaise,
+    COMPOUNDING_FREQUENCIES,
+    RATE_TYPES,
+    CONTRIBUTION_TIMINGS,
+    CALCULATOR_CONVENTIONS,
+    RATE_CONVENTION_KEY,
+    normalizeRateConvention,
+    conventionFor,
+    effectiveAnnualRate,
+    nominalAnnualRate,
+    monthlyRate,
+    describeConvention,
+    loadRateConvention,
+    saveRateConvention,
+    CURRENCIES,
+    NUMBER_GROUPINGS,
+    DISPLAY_FORMAT_KEY,
+    DEFAULT_DISPLAY_FORMAT,
+    normalizeDisplayFormat,
+    changeDisplayFormat,
+    formatNumber,
+    formatCompact,
+    currencySymbol,
+    moneyLabel,
+    convertCurrency,
+    loadDisplayFormat,
+    saveDisplayFormat,
+    SCHEDULE_MAX_MONTHS,
+    buildScheduleRow,
+    groupScheduleByYear,
+    buildReport,
+    toCSV,
+    parseCSV,
+    buildReportCSV,
+    buildReportJSON,
+    renderReportHTML,
+    reportFileName,
+    clampToSlider,
+    parsePermalink,
+    buildPermalinkQuery,
+    parsePermalinkRows,
+    createRandom,
+    runMonteCarlo,
+    calculateSIPMonteCarlo,
+    calculateLumpsumMonteCarlo,
+    calculateSWPMonteCarlo,
+    parseNAVDate,
+    addMonthsToDate,
+    parseNAVHistory,
+    navIndexOnOrAfter,
+    backtestMaxMonths,
+    calculateMaxDrawdown,
+    backtestAssumedRate,
+    runBacktest,
+    ROLLING_WINDOWS,
+    calculateRollingReturns,
+    histogramBins,
+    LEDGER_TYPES,
+    LEDGER_SKIPPED_TYPES,
+    parseLedger,
+    daysBetween,
+    summarizeLedger,
+    niceCeil,
+    lineChartLayout,
+    buildLineChartSVG,
+    chartValuesAt,
+    growthChartSeries,
+    buildHistogramSVG,
+    STORE_KEY,
+    STORE_VERSION,
+    SCENARIO_STORAGE_KEY,
+    migrateStore,
+    loadStore,
+    saveStore,
+    normalizeHolding,
+    loadHoldings,
+    saveHolding,
+    deleteHolding,
+    exportStore,
+    importStore,
+    describeScenario,
+    evaluateScenario,
+    scenarioLink,
+    loadScenarios,
+    saveScenario,
+    deleteScenario,
+    DEFAULT_BENCHMARKS,
+    normalizeBenchmark,
+    loadBenchmarks,
+    saveBenchmarks,
+    resetBenchmarks,
+    compareWithBenchmark
+  };
+}
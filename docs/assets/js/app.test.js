@@ -5,103 +5,138 @@
  */
 
 // ─── Load functions under test ────────────────────────────────────────────────
-// Re-define all functions here so tests run in Node.js without a browser.
-
-function formatINR(value) {
-  return "Rs. " + Math.round(value).toLocaleString("en-IN");
-}
-
-function formatPercent(value) {
-  return value + "%";
-}
-
-function calculateSIP(P, annualRate, years) {
-  const r = annualRate / 100 / 12;
-  const n = years * 12;
-  const futureValue = P * ((Math.pow(1 + r, n) - 1) / r) * (1 + r);
-  const totalInvested = P * n;
-  const estimatedReturns = futureValue - totalInvested;
-  return { futureValue, totalInvested, estimatedReturns };
-}
-
-function calculateTopUpSIP(P, annualRate, years, topUpRate) {
-  const r = annualRate / 100 / 12;
-  let corpus = 0;
-  let totalInvested = 0;
-  const yearlyBreakdown = [];
-  for (let y = 1; y <= years; y++) {
-    const monthlySIP = Math.round(P * Math.pow(1 + topUpRate / 100, y - 1));
-    let yearlyInvested = 0;
-    for (let m = 0; m < 12; m++) {
-      corpus = (corpus + monthlySIP) * (1 + r);
-      yearlyInvested += monthlySIP;
-    }
-    totalInvested += yearlyInvested;
-    corpus = Math.round(corpus);
-    yearlyBreakdown.push({ year: y, monthlySIP, yearlyInvested, corpusAtEndOfYear: corpus });
-  }
-  const futureValue = corpus;
-  const estimatedReturns = futureValue - totalInvested;
-  return { futureValue, totalInvested, estimatedReturns, yearlyBreakdown };
-}
-
-function calculateInflationAdjusted(nominalValue, inflationRate, years) {
-  const inflationAdjustedValue = nominalValue / Math.pow(1 + inflationRate / 100, years);
-  const purchasingPowerLoss = nominalValue - inflationAdjustedValue;
-  return { inflationAdjustedValue, purchasingPowerLoss };
-}
-
-function calculateLumpsum(P, annualRate, years) {
-  const r = annualRate / 100;
-  const futureValue = P * Math.pow(1 + r, years);
-  const estimatedReturns = futureValue - P;
-  return { futureValue, totalInvested: P, estimatedReturns };
-}
-
-function calculateCAGR(beginValue, endValue, years) {
-  return (Math.pow(endValue / beginValue, 1 / years) - 1) * 100;
-}
-
-function calculateSWP(corpus, monthlyWithdrawal, annualRate) {
-  const r = annualRate / 100 / 12;
-  if (monthlyWithdrawal <= corpus * r) {
-    return { months: 0, years: 0, remainingMonths: 0, totalWithdrawn: 0, isIndefinite: true };
-  }
-  const n = r === 0
-    ? corpus / monthlyWithdrawal
-    : -Math.log(1 - (corpus * r) / monthlyWithdrawal) / Math.log(1 + r);
-  const months = Math.ceil(n);
-  const years = Math.floor(months / 12);
-  const remainingMonths = months % 12;
-  const totalWithdrawn = monthlyWithdrawal * months;
-  return { months, years, remainingMonths, totalWithdrawn, isIndefinite: false };
-}
-
-function calculateSTP(lumpSum, monthlyTransfer, debtRate, equityRate, months) {
-  const dr = debtRate / 100 / 12;
-  const er = equityRate / 100 / 12;
-  let debtCorpus = lumpSum;
-  let equityCorpus = 0;
-  let totalTransferred = 0;
-  const breakdown = [];
-  for (let m = 1; m <= months; m++) {
-    debtCorpus = debtCorpus * (1 + dr);
-    const transfer = Math.min(monthlyTransfer, debtCorpus);
-    debtCorpus -= transfer;
-    totalTransferred += transfer;
-    equityCorpus = (equityCorpus + transfer) * (1 + er);
-    breakdown.push({
-      month: m,
-      debtCorpus: Math.round(debtCorpus),
-      equityCorpus: Math.round(equityCorpus),
-      totalCorpus: Math.round(debtCorpus + equityCorpus)
-    });
-  }
-  const totalCorpus = debtCorpus + equityCorpus;
-  const directEquityValue = lumpSum * Math.pow(1 + equityRate / 100 / 12, months);
-  const debtOnlyValue = lumpSum * Math.pow(1 + debtRate / 100 / 12, months);
-  return { debtCorpus, equityCorpus, totalCorpus, totalTransferred, breakdown, directEquityValue, debtOnlyValue };
-}
+// app.js exports its functions under Node, so the tests run against the
+// same code the calculator pages load.
+
+const {
+  formatINR,
+  formatMoney,
+  formatAmount,
+  formatPercent,
+  calculateSIP,
+  calculateTopUpSIP,
+  calculateInflationAdjusted,
+  calculateLumpsum,
+  calculateLumpsumSIP,
+  calculateCAGR,
+  calculateXIRR,
+  calculateSWP,
+  swpWithdrawalForMonth,
+  STP_FREQUENCIES,
+  calculateSTP,
+  SIP_FREQUENCIES,
+  addDaysToDate,
+  sipInstalmentDates,
+  calculateSIPSchedule,
+  REBALANCE_POLICIES,
+  DEFAULT_ASSETS,
+  splitByWeights,
+  calculateAllocation,
+  INPUT_RULES,
+  validateInputs,
+  calculateFutureCost,
+  calculateGoalSIP,
+  calculateGoalTopUpSIP,
+  calculateGoalLumpsum,
+  calculateGoalYears,
+  calculateGoalRate,
+  calculateRetirementPlan,
+  calculateRetirementSIP,
+  describeTaxRules,
+  redeemLotsFIFO,
+  calculateCapitalGainsTax,
+  calculateLumpsumTax,
+  calculateSWPTax,
+  exitLoadRate,
+  calculateFundCosts,
+  roundMoney,
+  toPaise,
+  COMPOUNDING_FREQUENCIES,
+  RATE_TYPES,
+  CONTRIBUTION_TIMINGS,
+  CALCULATOR_CONVENTIONS,
+  RATE_CONVENTION_KEY,
+  normalizeRateConvention,
+  conventionFor,
+  effectiveAnnualRate,
+  nominalAnnualRate,
+  monthlyRate,
+  describeConvention,
+  loadRateConvention,
+  saveRateConvention,
+  CURRENCIES,
+  NUMBER_GROUPINGS,
+  DISPLAY_FORMAT_KEY,
+  DEFAULT_DISPLAY_FORMAT,
+  normalizeDisplayFormat,
+  changeDisplayFormat,
+  formatNumber,
+  formatCompact,
+  currencySymbol,
+  moneyLabel,
+  convertCurrency,
+  loadDisplayFormat,
+  saveDisplayFormat,
+  buildScheduleRow,
+  groupScheduleByYear,
+  buildReport,
+  toCSV,
+  buildReportCSV,
+  buildReportJSON,
+  renderReportHTML,
+  reportFileName,
+  clampToSlider,
+  parsePermalink,
+  buildPermalinkQuery,
+  parsePermalinkRows,
+  runMonteCarlo,
+  calculateSIPMonteCarlo,
+  calculateLumpsumMonteCarlo,
+  calculateSWPMonteCarlo,
+  parseCSV,
+  parseNAVDate,
+  addMonthsToDate,
+  parseNAVHistory,
+  navIndexOnOrAfter,
+  backtestMaxMonths,
+  calculateMaxDrawdown,
+  runBacktest,
+  ROLLING_WINDOWS,
+  calculateRollingReturns,
+  histogramBins,
+  parseLedger,
+  daysBetween,
+  summarizeLedger,
+  niceCeil,
+  lineChartLayout,
+  buildLineChartSVG,
+  chartValuesAt,
+  growthChartSeries,
+  buildHistogramSVG,
+  STORE_KEY,
+  STORE_VERSION,
+  SCENARIO_STORAGE_KEY,
+  migrateStore,
+  loadStore,
+  normalizeHolding,
+  loadHoldings,
+  saveHolding,
+  deleteHolding,
+  exportStore,
+  importStore,
+  describeScenario,
+  evaluateScenario,
+  scenarioLink,
+  loadScenarios,
+  saveScenario,
+  deleteScenario,
+  DEFAULT_BENCHMARKS,
+  normalizeBenchmark,
+  loadBenchmarks,
+  saveBenchmarks,
+  resetBenchmarks,
+  compareWithBenchmark
+} = require("./app.js");
 
 // ─── Test runner ──────────────────────────────────────────────────────────────
 let passed = 0;
@@ -390,6 +425,74 @@ section("Lumpsum Calculator — calculateLumpsum");
     "TC-LS-11: 10K @ 1% for 1yr = 10,100");
 }
 
+// ─── Lumpsum + SIP Tests ──────────────────────────────────────────────────────
+section("Lumpsum + SIP — calculateLumpsumSIP");
+
+// 1. The SIP part is calculateSIP and the lumpsum compounds at the same monthly rate
+{
+  const r = calculateLumpsumSIP({ lumpSum: 100000, monthlySIP: 10000, annualRate: 12, years: 10 });
+  const sip = calculateSIP(10000, 12, 10);
+  assert(r.ok && approxEqual(r.sources.sip.value, sip.futureValue, 1e-6) &&
+    approxEqual(r.sources.lumpSum.value, 100000 * Math.pow(1.01, 120), 1e-6) &&
+    approxEqual(r.futureValue, r.sources.lumpSum.value + r.sources.sip.value, 1e-6) && r.totalInvested === 1300000,
+    "TC-LSIP-01: 1,00,000 + 10,000/mo @ 12% for 10y = calculateSIP + 1,00,000 × 1.01^120",
+    "got " + r.futureValue);
+}
+
+// 2. One schedule: month 1 takes both, every row carries the split
+{
+  const r = calculateLumpsumSIP({ lumpSum: 100000, monthlySIP: 10000, annualRate: 12, years: 10 });
+  const first = r.schedule[0];
+  const last = r.schedule[r.schedule.length - 1];
+  assert(r.schedule.length === 120 && first.contribution === 110000 && r.schedule[1].contribution === 10000 &&
+    approxEqual(last.closingBalance, r.futureValue, 1e-6) &&
+    approxEqual(last.lumpSumBalance + last.sipBalance, last.closingBalance, 1e-6),
+    "TC-LSIP-02: one monthly schedule with lumpSumBalance and sipBalance");
+}
+
+// 3. Step-up SIP matches calculateTopUpSIP to within its year-end rounding
+{
+  const r = calculateLumpsumSIP({ monthlySIP: 10000, annualRate: 12, years: 10, stepUpRate: 10 });
+  const topUp = calculateTopUpSIP(10000, 12, 10, 10);
+  assert(r.sources.sip.invested === topUp.totalInvested && approxEqual(r.futureValue, topUp.futureValue, 1) &&
+    r.sources.lumpSum.value === 0,
+    "TC-LSIP-03: step-up SIP part matches calculateTopUpSIP",
+    "got " + r.futureValue + " vs " + topUp.futureValue);
+}
+
+// 4. Invested, returns and real value split by source and add up
+{
+  const r = calculateLumpsumSIP({ lumpSum: 500000, monthlySIP: 5000, annualRate: 10, years: 15, inflationRate: 6 });
+  const l = r.sources.lumpSum;
+  const s = r.sources.sip;
+  assert(l.invested === 500000 && s.invested === 900000 &&
+    approxEqual(l.returns + s.returns, r.estimatedReturns, 1e-6) &&
+    approxEqual(l.realValue, l.value / Math.pow(1.06, 15), 1e-6) &&
+    approxEqual(r.inflationAdjustedValue, r.futureValue / Math.pow(1.06, 15), 1e-6),
+    "TC-LSIP-04: invested, returns and inflation-adjusted value split by lumpsum and SIP");
+}
+
+// 5. Precise money: sources and rows add up to the paisa
+{
+  const r = calculateLumpsumSIP({ lumpSum: 123456.78, monthlySIP: 3333.33, annualRate: 11, years: 7, stepUpRate: 7 }, { precise: true });
+  const returns = r.schedule.reduce((sum, row) => roundMoney(sum + row.returns, true), 0);
+  const value = roundMoney(r.sources.lumpSum.value + r.sources.sip.value, true);
+  assert(returns === r.estimatedReturns && value === r.futureValue &&
+    r.schedule[r.schedule.length - 1].closingBalance === r.futureValue,
+    "TC-LSIP-05: rows and sources reconcile to the paisa in precise mode",
+    "got " + returns + " vs " + r.estimatedReturns);
+}
+
+// 6. Bad plans come back as field errors
+{
+  const none = calculateLumpsumSIP({ lumpSum: 0, monthlySIP: 0, annualRate: 12, years: 10 });
+  const bad = calculateLumpsumSIP({ lumpSum: -5, monthlySIP: 1000, annualRate: 120, years: 10, stepUpRate: -1 });
+  assert(!none.ok && none.errors.map(e => e.field).join() === "monthlySIP" &&
+    bad.errors.map(e => e.field).join() === "lumpSum,annualRate,stepUpRate",
+    "TC-LSIP-06: no money, a negative lumpsum, a 120% return and a negative top-up are rejected",
+    "got " + JSON.stringify(bad.errors));
+}
+
 // ─── CAGR Calculator Tests ────────────────────────────────────────────────────
 section("CAGR Calculator — calculateCAGR");
 
@@ -472,6 +575,96 @@ section("CAGR Calculator — calculateCAGR");
     "got " + cagr.toFixed(4));
 }
 
+// ─── XIRR Tests ───────────────────────────────────────────────────────────────
+section("XIRR — calculateXIRR");
+
+// 1. One investment, one redemption 365 days later → plain annual return
+{
+  const r = calculateXIRR([
+    { date: "2021-01-01", amount: -100000 },
+    { date: "2022-01-01", amount: 110000 }
+  ]);
+  assert(r.status === "ok" && approxEqual(r.xirr, 10, 0.0001),
+    "TC-XIRR-01: 1L → 1.1L after 365 days = 10% XIRR", "got " + r.xirr);
+}
+
+// 2. Two flows over whole years match CAGR
+{
+  const r = calculateXIRR([
+    { date: new Date(Date.UTC(2015, 0, 1)), amount: -100000 },
+    { date: new Date(Date.UTC(2015, 0, 1) + 3650 * 86400000), amount: 300000 }
+  ]);
+  const cagr = calculateCAGR(100000, 300000, 10);
+  assert(approxEqual(r.xirr, cagr, 0.0001),
+    "TC-XIRR-02: single-period XIRR = CAGR", "xirr=" + r.xirr + " cagr=" + cagr);
+}
+
+// 3. Monthly SIP valued at calculateSIP's corpus → XIRR near the effective annual rate
+{
+  const flows = [];
+  for (let m = 0; m < 120; m++) flows.push({ date: new Date(Date.UTC(2010, m, 1)), amount: -5000 });
+  flows.push({ date: new Date(Date.UTC(2020, 0, 1)), amount: calculateSIP(5000, 12, 10).futureValue });
+  const r = calculateXIRR(flows);
+  assert(r.status === "ok" && approxEqual(r.xirr, (Math.pow(1.01, 12) - 1) * 100, 0.1),
+    "TC-XIRR-03: 10yr SIP at 12% → XIRR ≈ 12.68% effective", "got " + r.xirr);
+}
+
+// 4. Loss-making flows give a negative XIRR
+{
+  const r = calculateXIRR([
+    { date: "2021-01-01", amount: -100000 },
+    { date: "2022-01-01", amount: 80000 }
+  ]);
+  assert(r.status === "ok" && approxEqual(r.xirr, -20, 0.0001),
+    "TC-XIRR-04: 1L → 80K after 365 days = −20% XIRR", "got " + r.xirr);
+}
+
+// 5. Flows in one direction only have no solution
+{
+  const r = calculateXIRR([
+    { date: "2021-01-01", amount: -100000 },
+    { date: "2022-01-01", amount: -50000 }
+  ]);
+  assert(r.status === "no-solution" && r.xirr === null && r.message.length > 0,
+    "TC-XIRR-05: investments only → no-solution with message");
+}
+
+// 6. Flows changing sign twice can fit two rates (10% and 20%)
+{
+  const r = calculateXIRR([
+    { date: "2021-01-01", amount: -100 },
+    { date: "2022-01-01", amount: 230 },
+    { date: "2023-01-01", amount: -132 }
+  ]);
+  assert(r.status === "multiple-solutions" && r.xirr === null && r.roots.length === 2 &&
+    approxEqual(r.roots[0], 10, 0.0001) && approxEqual(r.roots[1], 20, 0.0001),
+    "TC-XIRR-06: −100 / +230 / −132 → multiple-solutions at 10% and 20%",
+    "roots=" + r.roots.join(","));
+}
+
+// 7. Order of cash flows does not matter
+{
+  const a = calculateXIRR([
+    { date: "2020-03-15", amount: -50000 },
+    { date: "2021-08-01", amount: -25000 },
+    { date: "2023-02-10", amount: 100000 }
+  ]);
+  const b = calculateXIRR([
+    { date: "2023-02-10", amount: 100000 },
+    { date: "2021-08-01", amount: -25000 },
+    { date: "2020-03-15", amount: -50000 }
+  ]);
+  assert(approxEqual(a.xirr, b.xirr, 1e-9), "TC-XIRR-07: XIRR is independent of input order");
+}
+
+// 8. Invalid dates and same-day flows are reported, not solved
+{
+  const bad = calculateXIRR([{ date: "not a date", amount: -100 }, { date: "2022-01-01", amount: 120 }]);
+  const same = calculateXIRR([{ date: "2022-01-01", amount: -100 }, { date: "2022-01-01", amount: 120 }]);
+  assert(bad.status === "no-solution" && same.status === "no-solution",
+    "TC-XIRR-08: invalid date / single-date flows → no-solution");
+}
+
 // ─── Inflation-Adjusted Value Tests ───────────────────────────────────────────
 section("Inflation Adjustment — calculateInflationAdjusted");
 
@@ -574,9 +767,9 @@ section("SWP Calculator — calculateSWP");
     "TC-SWP-03: 10L @ 10% with 5K/mo withdrawal is indefinite (monthly interest ≈ 8,333 > 5,000)");
 }
 
-// 4. totalWithdrawn = monthlyWithdrawal × months
+// 4. totalWithdrawn = monthlyWithdrawal × months (a plan that runs out exactly)
 {
-  const r = calculateSWP(2000000, 20000, 8);
+  const r = calculateSWP(2000000, 20000, 0);
   assert(r.totalWithdrawn === 20000 * r.months,
     "TC-SWP-04: totalWithdrawn = withdrawal × months",
     "got " + r.totalWithdrawn + " expected " + (20000 * r.months));
@@ -632,6 +825,59 @@ section("SWP Calculator — calculateSWP");
     "TC-SWP-12: higher return rate → longer or indefinite duration");
 }
 
+// 13. Escalated withdrawal steps up once a year, rounded to the rupee
+{
+  assert(swpWithdrawalForMonth(20000, 6, 12) === 20000 && swpWithdrawalForMonth(20000, 6, 13) === 21200 &&
+    swpWithdrawalForMonth(20000, 6, 25) === 22472 && swpWithdrawalForMonth(20000, 0, 25) === 20000,
+    "TC-SWP-13: 20K rising 6% a year → 21,200 in year 2, 22,472 in year 3");
+}
+
+// 14. A rising withdrawal runs the corpus out sooner
+{
+  const flat = calculateSWP(2000000, 20000, 8);
+  const rising = calculateSWP(2000000, 20000, 8, null, 6);
+  assert(!rising.isIndefinite && rising.months < flat.months && rising.years === Math.floor(rising.months / 12),
+    "TC-SWP-14: 6% step-up shortens a 13yr 10mo plan", "lasts " + rising.years + "yr " + rising.remainingMonths + "mo");
+}
+
+// 15. Yearly schedule carries each year's withdrawal and reconciles with the totals
+{
+  const r = calculateSWP(2000000, 20000, 8, null, 6);
+  const year2 = r.yearlySchedule[1];
+  const summed = r.yearlySchedule.reduce((sum, row) => sum + row.withdrawal, 0);
+  assert(year2.monthlyWithdrawal === 21200 && approxEqual(year2.withdrawal, 21200 * 12, 1e-6) &&
+    approxEqual(summed, r.totalWithdrawn, 1e-6) && r.yearlySchedule.length === Math.ceil(r.months / 12) &&
+    r.yearlySchedule[r.yearlySchedule.length - 1].closingBalance < 1e-6,
+    "TC-SWP-15: yearlySchedule steps up, sums to totalWithdrawn and ends at zero");
+}
+
+// 16. Escalation outpaced by returns lasts indefinitely
+{
+  const r = calculateSWP(5000000, 10000, 12, null, 3);
+  assert(r.isIndefinite && r.totalWithdrawn === 0 && r.schedule.length === 1200,
+    "TC-SWP-16: 50L @ 12% paying 10K rising 3% a year never runs out");
+}
+
+// 17. Zero escalation matches the closed-form plan exactly
+{
+  const flat = calculateSWP(500000, 10000, 8);
+  const zero = calculateSWP(500000, 10000, 8, null, 0);
+  assert(zero.months === flat.months && zero.totalWithdrawn === flat.totalWithdrawn &&
+    zero.yearlySchedule.every(row => row.monthlyWithdrawal === 10000),
+    "TC-SWP-17: escalationRate 0 leaves calculateSWP unchanged");
+}
+
+// 18. A plan that doesn't run out exactly ends with a partial withdrawal
+{
+  const r = calculateSWP(2000000, 20000, 8);
+  const last = r.schedule[r.schedule.length - 1];
+  assert(r.schedule.slice(0, -1).every(row => row.withdrawal === 20000) &&
+    last.withdrawal > 0 && last.withdrawal < 20000 && last.closingBalance === 0 &&
+    approxEqual(r.totalWithdrawn, 20000 * (r.months - 1) + last.withdrawal, 1e-6),
+    "TC-SWP-18: totalWithdrawn = withdrawal × (months − 1) + final partial withdrawal",
+    "got " + r.totalWithdrawn + " for " + r.months + " months");
+}
+
 // ─── STP Calculator Tests ─────────────────────────────────────────────────────
 section("STP Calculator — calculateSTP");
 
@@ -730,12 +976,2105 @@ section("STP Calculator — calculateSTP");
   assert(r.totalCorpus > 0, "TC-STP-12: totalCorpus > 0");
 }
 
+// 13. Value averaging along the equity fund's own return transfers the fixed amount
+{
+  const fixed = calculateSTP(1000000, 50000, 7, 14, 24);
+  const averaged = calculateSTP(1000000, 50000, 7, 14, 24, null, { strategy: "valueAveraging" });
+  assert(approxEqual(averaged.totalCorpus, fixed.totalCorpus, 0.01) &&
+    averaged.breakdown.slice(0, 12).every(row => approxEqual(row.transferred, 50000, 1)),
+    "TC-STP-13: value averaging at the equity return matches the fixed STP",
+    averaged.totalCorpus + " vs " + fixed.totalCorpus);
+}
+
+// 14. A flat target path tops equity up to the amounts transferred so far
+{
+  const r = calculateSTP(1000000, 50000, 7, 14, 12, null, { strategy: "valueAveraging", targetGrowth: 0 });
+  const second = 100000 - r.breakdown[0].equityCorpus;
+  assert(r.breakdown[0].transferred === 50000 && approxEqual(r.breakdown[1].transferred, second, 1) &&
+    r.breakdown[1].transferred < 50000,
+    "TC-STP-14: value averaging moves less once equity runs ahead of the target",
+    r.breakdown[1].transferred + " vs " + second);
+}
+
+// 15. Capital appreciation moves only the debt fund's gains
+{
+  const r = calculateSTP(1000000, 50000, 7, 14, 24, null, { strategy: "appreciation" });
+  const gain = Math.round(1000000 * 0.07 / 12);
+  assert(r.breakdown[0].transferred === 0 && r.breakdown[1].transferred === gain &&
+    r.breakdown.every(row => row.debtCorpus >= 1000000 && row.debtCorpus < 1000000 + 2 * gain),
+    "TC-STP-15: capital appreciation keeps the lump sum in debt",
+    r.breakdown[1].transferred + " vs " + gain);
+  assert(r.totalTransferred < 24 * gain && r.totalCorpus > r.debtOnlyValue,
+    "TC-STP-16: capital appreciation transfers the gains and beats debt alone");
+}
+
+// 17. Quarterly transfers move three months' worth every third month
+{
+  const r = calculateSTP(1000000, 50000, 7, 14, 12, null, { frequency: "quarterly" });
+  const amounts = r.breakdown.map(row => row.transferred);
+  assert(r.transfers === 4 && amounts[0] === 150000 && amounts[3] === 150000 && amounts[1] === 0 && amounts[2] === 0,
+    "TC-STP-17: quarterly STP transfers 1,50,000 in months 1, 4, 7 and 10", amounts.join(","));
+}
+
+// 18. Weekly transfers land four or five times a month
+{
+  const r = calculateSTP(3000000, 50000, 7, 14, 12, null, { frequency: "weekly" });
+  const weekly = Math.round(50000 * 12 / STP_FREQUENCIES.weekly.perYear);
+  assert(r.transfers === 52 && r.breakdown.every(row => row.transferred === 4 * weekly || row.transferred === 5 * weekly),
+    "TC-STP-18: weekly STP transfers 52 times a year", r.transfers);
+  const monthly = calculateSTP(3000000, 50000, 7, 14, 12);
+  assert(r.directEquityValue === monthly.directEquityValue && r.debtOnlyValue === monthly.debtOnlyValue,
+    "TC-STP-19: benchmarks do not depend on the transfer strategy");
+}
+
+// 20. End-of-month timing moves the first quarterly transfer to month 3
+{
+  const r = calculateSTP(1000000, 50000, 7, 14, 12, null, { frequency: "quarterly", convention: { timing: "end" } });
+  assert(r.breakdown[0].transferred === 0 && r.breakdown[2].transferred === 150000 && r.breakdown[11].transferred === 150000,
+    "TC-STP-20: end-of-month quarterly STP transfers in months 3, 6, 9 and 12");
+}
+
+// 21. Costs follow the strategy's transfers
+{
+  const plain = calculateSTP(1000000, 50000, 7, 14, 24, { ter: 0 }, { strategy: "appreciation", frequency: "weekly" });
+  const costly = calculateSTP(1000000, 50000, 7, 14, 24, { ter: 1 }, { strategy: "appreciation", frequency: "weekly" });
+  assert(approxEqual(plain.netValue, plain.totalCorpus, 1) && costly.netValue < costly.totalCorpus,
+    "TC-STP-21: with no costs the net value is the STP value", plain.netValue + " vs " + plain.totalCorpus);
+}
+
+// 22. An unknown frequency or strategy is an error, not a crash
+{
+  const r = calculateSTP(1000000, 50000, 7, 14, 12, null, { frequency: "daily" });
+  assert(r.ok === false && r.errors.length === 1 && r.errors[0].field === "frequency",
+    "TC-STP-22: an unknown STP frequency is reported on the frequency field", JSON.stringify(r.errors));
+  const s = calculateSTP(1000000, 50000, 7, 14, 12, null, { strategy: "random" });
+  assert(s.ok === false && s.errors[0].field === "strategy",
+    "TC-STP-23: an unknown STP strategy is reported on the strategy field", JSON.stringify(s.errors));
+}
+
+// ─── SIP Schedule Tests ───────────────────────────────────────────────────────
+section("SIP Schedules — Frequency, Pauses & Extra Lumpsums");
+
+// 1. A plain monthly schedule is the regular SIP
+{
+  const r = calculateSIPSchedule({ amount: 5000, annualRate: 12, years: 10, startDate: "2026-01-01" });
+  const sip = calculateSIP(5000, 12, 10);
+  assert(r.ok && approxEqual(r.futureValue, sip.futureValue, 0.01) && r.instalments === 120 &&
+    r.schedule.length === 120 && r.endDate === "2036-01-01",
+    "TC-SSIP-01: monthly schedule matches calculateSIP (120 instalments, valued 2036-01-01)",
+    "got " + r.futureValue.toFixed(2) + " vs " + sip.futureValue.toFixed(2));
+}
+
+// 2. Daily instalments fall on weekdays only
+{
+  const dates = sipInstalmentDates("2026-01-01", "2027-01-01", "daily");
+  const weekend = dates.filter(d => [0, 6].includes(new Date(d).getUTCDay()));
+  assert(dates.length === 261 && weekend.length === 0,
+    "TC-SSIP-02: daily SIP in 2026 → 261 weekday instalments", "got " + dates.length);
+}
+
+// 3. Weekly, quarterly and month-end dates
+{
+  const weekly    = sipInstalmentDates("2026-01-01", "2026-02-01", "weekly");
+  const quarterly = sipInstalmentDates("2026-01-01", "2027-01-01", "quarterly");
+  const monthEnd  = sipInstalmentDates("2026-01-31", "2026-04-01", "monthly");
+  assert(weekly.length === 5 && quarterly.join() === "2026-01-01,2026-04-01,2026-07-01,2026-10-01" &&
+    monthEnd.join() === "2026-01-31,2026-02-28,2026-03-31",
+    "TC-SSIP-03: weekly ×5 in Jan, quarterly on the 1st, 31st falls back to month end",
+    "got " + monthEnd.join());
+}
+
+// 4. addDaysToDate crosses the year end; every frequency has a label
+{
+  assert(addDaysToDate("2026-12-25", 10) === "2027-01-04" &&
+    Object.keys(SIP_FREQUENCIES).every(key => typeof SIP_FREQUENCIES[key].label === "string"),
+    "TC-SSIP-04: 2026-12-25 + 10 days = 2027-01-04; frequencies are labelled");
+}
+
+// 5. Pauses skip the instalments dated inside them
+{
+  const r = calculateSIPSchedule({
+    amount: 5000, annualRate: 12, years: 2, startDate: "2026-01-01",
+    pauses: [{ from: "2026-03-01", to: "2026-05-31" }]
+  });
+  assert(r.instalments === 21 && r.skipped === 3 && r.sipInvested === 105000,
+    "TC-SSIP-05: 3-month pause → 21 of 24 instalments, Rs. 1,05,000 invested",
+    "got " + r.instalments + " / " + r.skipped);
+}
+
+// 6. One-off and yearly lumpsums (0% so the value is the money put in)
+{
+  const r = calculateSIPSchedule({
+    amount: 5000, annualRate: 0, years: 3, startDate: "2026-01-01",
+    topUps: [{ date: "2026-06-15", amount: 20000, yearly: true }, { date: "2026-02-01", amount: 10000 }]
+  });
+  const dates = r.flows.filter(f => f.type === "top-up").map(f => f.date);
+  assert(r.topUpInvested === 70000 && r.futureValue === 250000 &&
+    dates.join() === "2026-02-01,2026-06-15,2027-06-15,2028-06-15",
+    "TC-SSIP-06: yearly lumpsum repeats each June; FV at 0% = 1,80,000 SIP + 70,000 extra",
+    "got " + dates.join());
+}
+
+// 7. Yearly step-up on a monthly schedule matches calculateTopUpSIP
+{
+  const r = calculateSIPSchedule({ amount: 5000, annualRate: 12, years: 10, startDate: "2026-01-01", stepUpRate: 10 });
+  const topUp = calculateTopUpSIP(5000, 12, 10, 10);
+  assert(r.totalInvested === topUp.totalInvested && approxEqual(r.futureValue, topUp.futureValue, 1),
+    "TC-SSIP-07: 10% step-up schedule matches calculateTopUpSIP",
+    "got " + Math.round(r.futureValue) + " vs " + topUp.futureValue);
+}
+
+// 8. Money invested earlier earns more: a quarter's SIP up front beats three monthly ones
+{
+  const plan = { amount: 15000, annualRate: 12, years: 5, startDate: "2026-01-01" };
+  const quarterly = calculateSIPSchedule(Object.assign({}, plan, { frequency: "quarterly" }));
+  const monthly   = calculateSIPSchedule(Object.assign({}, plan, { amount: 5000 }));
+  assert(quarterly.totalInvested === monthly.totalInvested && quarterly.futureValue > monthly.futureValue,
+    "TC-SSIP-08: quarterly at the start of each quarter is ahead of the same money monthly",
+    "got " + Math.round(quarterly.futureValue) + " vs " + Math.round(monthly.futureValue));
+}
+
+// 9. Bad plans come back as field errors
+{
+  const bad = calculateSIPSchedule({
+    amount: 5000, annualRate: 12, years: 1, startDate: "nope", frequency: "hourly",
+    pauses: [{ from: "2026-05-01", to: "2026-04-01" }]
+  });
+  const zero = calculateSIPSchedule({ amount: 0, annualRate: 12, years: 1, startDate: "2026-01-01" });
+  const outside = calculateSIPSchedule({
+    amount: 5000, annualRate: 12, years: 1, startDate: "2026-01-01", topUps: [{ date: "2030-01-01", amount: 5000 }]
+  });
+  assert(!bad.ok && bad.errors.map(e => e.field).join() === "startDate,frequency,pauses" &&
+    !zero.ok && zero.errors[0].field === "amount" && !outside.ok && outside.errors[0].field === "topUps",
+    "TC-SSIP-09: invalid date, frequency, pause, amount and out-of-plan lumpsum are rejected",
+    "got " + JSON.stringify(bad.errors));
+}
+
+// 10. Precise money: weekly plan with paise reconciles row by row
+{
+  const r = calculateSIPSchedule({
+    amount: 5000, annualRate: 12, years: 5, startDate: "2026-01-01", frequency: "weekly",
+    topUps: [{ date: "2027-03-10", amount: 12345.67 }]
+  }, { precise: true });
+  const invested = r.schedule.reduce((sum, row) => roundMoney(sum + row.contribution, true), 0);
+  const returns  = r.schedule.reduce((sum, row) => roundMoney(sum + row.returns, true), 0);
+  assert(invested === r.totalInvested && returns === r.estimatedReturns &&
+    r.schedule[r.schedule.length - 1].closingBalance === r.futureValue,
+    "TC-SSIP-10: weekly schedule rows add up to the totals in precise mode",
+    "got " + invested + " vs " + r.totalInvested);
+}
+
+// ─── Asset Allocation Tests ───────────────────────────────────────────────────
+section("Asset Allocation — Rebalancing Policies");
+
+const allocationPlan = { assets: DEFAULT_ASSETS, lumpSum: 100000, monthlySIP: 10000, years: 10 };
+
+// 1. One asset is a plain lumpsum
+{
+  const r = calculateAllocation({ assets: [{ name: "Equity", annualRate: 12, weight: 100 }], lumpSum: 100000, years: 10, rebalance: "annual" });
+  const lumpsum = calculateLumpsum(100000, 12, 10);
+  assert(r.ok && approxEqual(r.futureValue, lumpsum.futureValue, 0.01) && r.trades === 0 && r.maxDrift === 0,
+    "TC-ALLOC-01: a single 100% asset matches calculateLumpsum and never trades",
+    "got " + r.futureValue + " vs " + lumpsum.futureValue);
+}
+
+// 2. Money goes in by target weights and the buckets add up to the corpus
+{
+  const r = calculateAllocation(allocationPlan);
+  const invested = r.assets.map(a => a.invested);
+  const value = r.assets.reduce((sum, a) => sum + a.value, 0);
+  assert(r.totalInvested === 1300000 && invested.join() === "780000,390000,130000" &&
+    approxEqual(value, r.futureValue, 0.01) && r.schedule.length === 120 &&
+    r.schedule[r.schedule.length - 1].closingBalance === r.futureValue,
+    "TC-ALLOC-02: 60/30/10 split of Rs. 13,00,000; asset values add up to the corpus",
+    "got " + invested.join());
+}
+
+// 3. Never rebalancing lets the fastest asset take over
+{
+  const r = calculateAllocation(Object.assign({ rebalance: "none" }, allocationPlan));
+  assert(r.rebalances === 0 && r.trades === 0 && r.turnover === 0 &&
+    r.assets[0].weight > 60 && r.assets[1].weight < 30 && approxEqual(r.maxDrift, r.assets[0].weight - 60, 0.01),
+    "TC-ALLOC-03: no rebalancing → equity drifts above 60%, no trades",
+    "got " + r.assets.map(a => a.weight.toFixed(2)).join("/"));
+}
+
+// 4. Yearly rebalancing trades every bucket once a year and ends on target
+{
+  const r = calculateAllocation(Object.assign({ rebalance: "annual" }, allocationPlan));
+  assert(r.rebalances === 10 && r.trades === 30 && r.turnover > 0 &&
+    r.assets.every(a => approxEqual(a.weight, a.target, 0.001)) &&
+    r.drift.filter(row => row.rebalanced).map(row => row.month).join() === "12,24,36,48,60,72,84,96,108,120",
+    "TC-ALLOC-04: annual policy → 10 rebalances × 3 trades, back on target at the end",
+    "got " + r.rebalances + " / " + r.trades);
+}
+
+// 5. A drift band trades only when a weight leaves it
+{
+  const wide   = calculateAllocation(Object.assign({ rebalance: "threshold", band: 5 }, allocationPlan));
+  const narrow = calculateAllocation(Object.assign({ rebalance: "threshold", band: 1 }, allocationPlan));
+  const breach = wide.drift.find(row => row.rebalanced);
+  assert(wide.rebalances === 1 && breach.drift > 5 && narrow.rebalances > wide.rebalances &&
+    narrow.drift.every(row => row.rebalanced || row.drift <= 1) && wide.maxDrift < 5.1,
+    "TC-ALLOC-05: 5-point band rebalances once; a 1-point band rebalances more often",
+    "got " + wide.rebalances + " vs " + narrow.rebalances);
+}
+
+// 6. Rebalancing sells winners, so at these returns it costs some corpus
+{
+  const none   = calculateAllocation(Object.assign({ rebalance: "none" }, allocationPlan));
+  const annual = calculateAllocation(Object.assign({ rebalance: "annual" }, allocationPlan));
+  assert(none.futureValue > annual.futureValue && annual.totalInvested === none.totalInvested &&
+    Object.keys(REBALANCE_POLICIES).every(key => typeof REBALANCE_POLICIES[key].label === "string"),
+    "TC-ALLOC-06: never rebalancing ends higher than yearly when equity outgrows the rest",
+    "got " + Math.round(none.futureValue) + " vs " + Math.round(annual.futureValue));
+}
+
+// 7. Bad plans come back as field errors
+{
+  const weights = calculateAllocation({ assets: [{ name: "A", annualRate: 10, weight: 50 }, { name: "B", annualRate: 5, weight: 40 }], lumpSum: 1000, years: 5 });
+  const empty   = calculateAllocation({ assets: [], lumpSum: 1000, years: 5, rebalance: "weekly" });
+  const nothing = calculateAllocation({ assets: DEFAULT_ASSETS, years: 5 });
+  const nameless = calculateAllocation({ assets: [{ name: " ", annualRate: 10, weight: 100 }], monthlySIP: 1000, years: 5, band: -1 });
+  assert(!weights.ok && weights.errors[0].field === "assets" && weights.errors[0].message.indexOf("90%") !== -1 &&
+    empty.errors.map(e => e.field).join() === "assets,rebalance" &&
+    nothing.errors.map(e => e.field).join() === "monthlySIP" &&
+    nameless.errors.map(e => e.field).join() === "band,assets",
+    "TC-ALLOC-07: weights off 100%, no assets, unknown policy, no money and a bad band are rejected",
+    "got " + JSON.stringify(nameless.errors));
+}
+
+// 8. Splits and precise money reconcile to the paisa
+{
+  const parts = splitByWeights(100, [1 / 3, 1 / 3, 1 / 3], true);
+  const r = calculateAllocation({ assets: DEFAULT_ASSETS, lumpSum: 100000.01, monthlySIP: 3333.33, years: 5, rebalance: "threshold", band: 2 },
+    { precise: true });
+  const invested = r.schedule.reduce((sum, row) => roundMoney(sum + row.contribution, true), 0);
+  const value = r.assets.reduce((sum, a) => roundMoney(sum + a.value, true), 0);
+  assert(parts.join() === "33.34,33.33,33.33" && invested === r.totalInvested && value === r.futureValue,
+    "TC-ALLOC-08: rounding leftovers go to the largest bucket; rows add up in precise mode",
+    "got " + value + " vs " + r.futureValue);
+}
+
+// ─── Validation Tests ─────────────────────────────────────────────────────────
+section("Validation — validateInputs & Zero Rates");
+
+// 1. SIP at 0% is the money put in
+{
+  const r = calculateSIP(5000, 0, 10);
+  assert(r.futureValue === 600000 && r.estimatedReturns === 0 && r.schedule[119].closingBalance === 600000,
+    "TC-VAL-01: SIP at 0% → FV = P × n = 6,00,000, no returns",
+    "got " + r.futureValue);
+}
+
+// 2. Every calculator gives finite figures at 0%
+{
+  const ls = calculateLumpsum(100000, 0, 10);
+  const stp = calculateSTP(500000, 25000, 0, 0, 24);
+  const swp = calculateSWP(100000, 5000, 0);
+  const goal = calculateGoalLumpsum(100000, 0, 10);
+  assert(ls.futureValue === 100000 && approxEqual(stp.totalCorpus, 500000, 0.001) &&
+         swp.totalWithdrawn === 100000 && goal.lumpsum === 100000,
+    "TC-VAL-02: lumpsum, STP, SWP and goal lumpsum at 0% keep the money as it is",
+    "lumpsum " + ls.futureValue + ", stp " + stp.totalCorpus + ", swp " + swp.totalWithdrawn + ", goal " + goal.lumpsum);
+}
+
+// 3. CAGR inputs where it is undefined are rejected; an end value of 0 is −100%
+{
+  const bad = [[0, 100000, 5], [100000, 200000, 0], [100000, -1, 5]]
+    .filter(([beginValue, endValue, years]) => validateInputs("cagr", { beginValue, endValue, years }).ok);
+  assert(bad.length === 0 && validateInputs("cagr", { beginValue: 100000, endValue: 0, years: 5 }).ok &&
+         calculateCAGR(100000, 0, 5) === -100,
+    "TC-VAL-03: CAGR inputs rejected for a 0 begin value, 0 years or a negative end value; −100% for an end value of 0",
+    JSON.stringify(bad));
+}
+
+// 4. Valid inputs pass, including a 0% return and missing optional fields
+{
+  const v = validateInputs("sip", { P: 5000, annualRate: 0, years: 10, topUpRate: null });
+  assert(v.ok && v.errors.length === 0, "TC-VAL-04: SIP at 0% with no top-up is valid", JSON.stringify(v.errors));
+}
+
+// 5. CAGR with a 0 begin value and 0 years reports both fields, in parameter order
+{
+  const v = validateInputs("cagr", { beginValue: 0, endValue: 300000, years: 0 });
+  assert(!v.ok && v.errors.map(e => e.field).join() === "beginValue,years" &&
+         v.errors[0].message === "Initial investment must be more than Rs. 0.",
+    "TC-VAL-05: CAGR errors on beginValue and years",
+    JSON.stringify(v.errors));
+}
+
+// 6. STP rejects negative and part months
+{
+  const negative = validateInputs("stp", { lumpSum: 500000, monthlyTransfer: 25000, debtRate: 7, equityRate: 14, months: -6 });
+  const part = validateInputs("stp", { lumpSum: 500000, monthlyTransfer: 25000, debtRate: 7, equityRate: 14, months: 6.5 });
+  assert(negative.errors.length === 1 && negative.errors[0].field === "months" && part.errors[0].field === "months",
+    "TC-VAL-06: STP months must be a whole number of at least 1",
+    JSON.stringify(negative.errors));
+}
+
+// 7. SWP needs a withdrawal
+{
+  const v = validateInputs("swp", { corpus: 1000000, monthlyWithdrawal: 0, annualRate: 8 });
+  assert(!v.ok && v.errors[0].field === "monthlyWithdrawal" &&
+         v.errors[0].message === "Monthly withdrawal must be more than Rs. 0.",
+    "TC-VAL-07: SWP with a zero withdrawal is an error on monthlyWithdrawal",
+    JSON.stringify(v.errors));
+}
+
+// 8. Rates must be between 0% and 100%
+{
+  const v = validateInputs("lumpsum", { P: 100000, annualRate: -5, years: 10, inflationRate: 120 });
+  assert(v.errors.map(e => e.field).join() === "annualRate,inflationRate",
+    "TC-VAL-08: negative return and 120% inflation are both rejected",
+    JSON.stringify(v.errors));
+}
+
+// 9. Numeric strings are read as numbers; anything else asks for a number
+{
+  const ok = validateInputs("sip", { P: "5000", annualRate: "12", years: "10" });
+  const bad = validateInputs("sip", { P: "abc", annualRate: NaN, years: Infinity });
+  assert(ok.ok && bad.errors.length === 3 && bad.errors[0].message === "Enter a number for monthly investment.",
+    "TC-VAL-09: \"5000\" is valid; \"abc\", NaN and Infinity are not",
+    JSON.stringify(bad.errors));
+}
+
+// 10. A missing required field is an error, a missing optional one is not
+{
+  const v = validateInputs("swp", { corpus: 1000000, monthlyWithdrawal: 8000 });
+  assert(v.errors.length === 1 && v.errors[0].field === "annualRate",
+    "TC-VAL-10: SWP without a return errors on annualRate only (escalationRate is optional)",
+    JSON.stringify(v.errors));
+}
+
+// 11. Unknown calculator
+{
+  const v = validateInputs("fd", {});
+  assert(!v.ok && v.errors[0].field === null && /Unknown calculator/.test(v.errors[0].message),
+    "TC-VAL-11: unknown calculator → error with no field");
+}
+
+// 12. Every rule names a known check
+{
+  const checks = ["amount", "value", "positive", "rate", "years", "months", "age"];
+  const rules = Object.keys(INPUT_RULES).reduce((all, key) => all.concat(INPUT_RULES[key]), []);
+  assert(rules.every(rule => checks.indexOf(rule.check) !== -1 && rule.label),
+    "TC-VAL-12: every input rule has a label and a known check");
+}
+
+// 13. A saved scenario with bad inputs is left out of comparisons
+{
+  const bad = evaluateScenario({ calculator: "stp", inputs: { lumpSum: 500000, monthlyTransfer: 25000, debtRate: 7, equityRate: 14, months: -3 } }, 6);
+  const good = evaluateScenario({ calculator: "sip", inputs: { P: 5000, annualRate: 0, years: 10 } }, 6);
+  assert(bad === null && good.corpus === 600000,
+    "TC-VAL-13: evaluateScenario → null for invalid inputs; a 0% SIP still compares",
+    good && String(good.corpus));
+}
+
+// ─── Goal Planning Tests ──────────────────────────────────────────────────────
+section("Goal Planning — calculateGoalSIP / TopUpSIP / Lumpsum / Years / Rate");
+
+// 1. Goal SIP inverts calculateSIP
+{
+  const fv = calculateSIP(5000, 12, 10).futureValue;
+  const r = calculateGoalSIP(fv, 12, 10);
+  assert(approxEqual(r.monthlySIP, 5000, 0.01),
+    "TC-GOAL-01: goal SIP for calculateSIP(5000,12%,10yr) corpus = 5,000", "got " + r.monthlySIP);
+}
+
+// 2. Goal SIP at 0% is target / months
+{
+  const r = calculateGoalSIP(120000, 0, 10);
+  assert(approxEqual(r.monthlySIP, 1000, 0.0001), "TC-GOAL-02: 0% return → target / months", "got " + r.monthlySIP);
+}
+
+// 3. Goal lumpsum inverts calculateLumpsum
+{
+  const r = calculateGoalLumpsum(310584.82, 12, 10);
+  assert(approxEqual(r.lumpsum, 100000, 1),
+    "TC-GOAL-03: goal lumpsum for 3,10,585 @ 12% over 10yr ≈ 1,00,000", "got " + r.lumpsum.toFixed(2));
+}
+
+// 4. Goal step-up SIP is the smallest whole-rupee start that reaches the target
+{
+  const r = calculateGoalTopUpSIP(10000000, 12, 15, 10);
+  const below = calculateTopUpSIP(r.monthlySIP - 1, 12, 15, 10);
+  assert(r.futureValue >= 10000000 && below.futureValue < 10000000,
+    "TC-GOAL-04: step-up start reaches 1Cr and one rupee less does not",
+    "start=" + r.monthlySIP + " fv=" + r.futureValue + " below=" + below.futureValue);
+}
+
+// 5. Step-up start amount < flat SIP amount for the same goal
+{
+  const flat = calculateGoalSIP(10000000, 12, 15).monthlySIP;
+  const step = calculateGoalTopUpSIP(10000000, 12, 15, 10).monthlySIP;
+  assert(step < flat, "TC-GOAL-05: step-up SIP starts lower than a flat SIP");
+}
+
+// 6. Future cost inverts calculateInflationAdjusted
+{
+  const { futureCost } = calculateFutureCost(1000000, 6, 10);
+  const { inflationAdjustedValue } = calculateInflationAdjusted(futureCost, 6, 10);
+  assert(approxEqual(inflationAdjustedValue, 1000000, 0.01),
+    "TC-GOAL-06: calculateFutureCost ↔ calculateInflationAdjusted round-trip");
+}
+
+// 7. Years to goal for SIP matches calculateSIP's horizon
+{
+  const fv = calculateSIP(5000, 12, 10).futureValue;
+  const r = calculateGoalYears(fv - 1, 5000, 12, "sip");
+  assert(r.isReachable && r.months === 120,
+    "TC-GOAL-07: SIP 5,000 @ 12% reaches its 10yr corpus in 120 months", "got " + r.months);
+}
+
+// 8. Lumpsum doubles in ~6yr 2mo at 12%
+{
+  const r = calculateGoalYears(200000, 100000, 12, "lumpsum");
+  assert(r.isReachable && r.years === 6 && r.remainingMonths === 2,
+    "TC-GOAL-08: 1L → 2L @ 12% takes 6yr 2mo", "got " + r.years + "yr " + r.remainingMonths + "mo");
+}
+
+// 9. Inflation makes the same goal take longer; an unreachable goal is reported
+{
+  const plain = calculateGoalYears(5000000, 10000, 12, "sip");
+  const real  = calculateGoalYears(5000000, 10000, 12, "sip", 6);
+  const never = calculateGoalYears(5000000, 1000, 0, "sip", 8);
+  assert(real.months > plain.months && !never.isReachable,
+    "TC-GOAL-09: inflation-adjusted goal takes longer; 0% vs 8% inflation never reached");
+}
+
+// 10. Rate needed inverts calculateSIP and matches CAGR for lumpsum
+{
+  const fv = calculateSIP(5000, 12, 10).futureValue;
+  const sip = calculateGoalRate(fv, 5000, 10, "sip");
+  const ls  = calculateGoalRate(200000, 100000, 10, "lumpsum");
+  assert(approxEqual(sip.rate, 12, 0.0001) && approxEqual(ls.rate, calculateCAGR(100000, 200000, 10), 0.0001),
+    "TC-GOAL-10: rate needed = 12% for SIP and = CAGR for lumpsum", "sip=" + sip.rate + " ls=" + ls.rate);
+}
+
+// ─── Retirement Planning Tests ────────────────────────────────────────────────
+section("Retirement Planning — SIP, then SWP");
+
+const retirementPlan = {
+  currentAge: 30, retirementAge: 60, monthlySIP: 7500, stepUpRate: 10, accumulationRate: 12,
+  monthlyWithdrawal: 300000, withdrawalIncrease: 6, drawdownRate: 8
+};
+
+// 1. Accumulation is the top-up SIP
+{
+  const r = calculateRetirementPlan(retirementPlan);
+  const sip = calculateTopUpSIP(7500, 12, 30, 10);
+  assert(r.ok && r.corpusAtRetirement === sip.futureValue && r.totalInvested === sip.totalInvested &&
+    r.yearlySchedule[29].phase === "accumulation" && r.yearlySchedule[29].age === 60 &&
+    r.yearlySchedule[30].phase === "drawdown",
+    "TC-RET-01: corpus at 60 matches calculateTopUpSIP; the schedule switches phase at 60",
+    "got " + r.corpusAtRetirement + " vs " + sip.futureValue);
+}
+
+// 2. Drawdown from today's corpus is the SWP with a yearly step-up
+{
+  const r = calculateRetirementPlan({
+    currentAge: 60, retirementAge: 60, currentCorpus: 10000000, monthlySIP: 0, accumulationRate: 12,
+    monthlyWithdrawal: 60000, withdrawalIncrease: 5, drawdownRate: 8
+  });
+  const swp = calculateSWP(10000000, 60000, 8, null, 5);
+  assert(r.months === swp.months && approxEqual(r.totalWithdrawn, swp.totalWithdrawn, 0.01) &&
+    approxEqual(r.depletionAge, 60 + swp.months / 12, 1e-9) && r.totalInvested === 0,
+    "TC-RET-02: retiring today matches calculateSWP month for month",
+    "got " + r.months + " vs " + swp.months);
+}
+
+// 3. One continuous schedule: each row opens where the last one closed
+{
+  const r = calculateRetirementPlan(retirementPlan);
+  const joined = r.schedule.every((row, i) => i === 0 || row.openingBalance === r.schedule[i - 1].closingBalance);
+  assert(joined && r.schedule[0].openingBalance === 0 && !r.isIndefinite && !r.lastsToTarget &&
+    Math.floor(r.depletionAge) === 84 && r.schedule[r.schedule.length - 1].closingBalance === 0,
+    "TC-RET-03: Rs. 7,500 SIP runs out at 84, short of 90, in one unbroken schedule",
+    "got " + r.depletionAge);
+}
+
+// 4. The solved SIP is the smallest that lasts to 90
+{
+  const need = calculateRetirementSIP(retirementPlan);
+  const enough = calculateRetirementPlan(Object.assign({}, retirementPlan, { monthlySIP: need.monthlySIP }));
+  const short  = calculateRetirementPlan(Object.assign({}, retirementPlan, { monthlySIP: need.monthlySIP - 1 }));
+  assert(need.ok && need.isReachable && enough.lastsToTarget && !short.lastsToTarget &&
+    need.corpusAtRetirement === enough.corpusAtRetirement,
+    "TC-RET-04: calculateRetirementSIP finds the smallest whole-rupee SIP that lasts to 90",
+    "got " + need.monthlySIP);
+}
+
+// 5. Enough savings need no SIP; retiring today with too little can't be fixed by one
+{
+  const rich = calculateRetirementSIP(Object.assign({}, retirementPlan, { currentCorpus: 50000000 }));
+  const late = calculateRetirementSIP(Object.assign({}, retirementPlan, { currentAge: 60, currentCorpus: 100000 }));
+  const forever = calculateRetirementPlan(Object.assign({}, retirementPlan, { monthlyWithdrawal: 10000 }));
+  assert(rich.monthlySIP === 0 && late.monthlySIP === null && !late.isReachable &&
+    forever.isIndefinite && forever.depletionAge === null && forever.lastsToTarget,
+    "TC-RET-05: savings already enough → SIP 0; retiring today short → unreachable; small withdrawal never runs out");
+}
+
+// 6. A different return after retirement changes only the drawdown
+{
+  const safer = calculateRetirementPlan(Object.assign({}, retirementPlan, { drawdownRate: 6 }));
+  const base  = calculateRetirementPlan(retirementPlan);
+  assert(safer.corpusAtRetirement === base.corpusAtRetirement && safer.depletionAge < base.depletionAge,
+    "TC-RET-06: per-phase returns — a lower drawdown return runs out sooner from the same corpus");
+}
+
+// 7. Bad plans come back as field errors
+{
+  const order = calculateRetirementPlan(Object.assign({}, retirementPlan, { retirementAge: 25 }));
+  const target = calculateRetirementPlan(Object.assign({}, retirementPlan, { targetAge: 60 }));
+  const nothing = calculateRetirementPlan(Object.assign({}, retirementPlan, { monthlySIP: 0 }));
+  const ages = calculateRetirementPlan(Object.assign({}, retirementPlan, { currentAge: 30.5, monthlyWithdrawal: 0 }));
+  assert(order.errors.map(e => e.field).join() === "retirementAge" && target.errors[0].field === "targetAge" &&
+    nothing.errors[0].field === "monthlySIP" && ages.errors.map(e => e.field).join() === "currentAge,monthlyWithdrawal",
+    "TC-RET-07: retiring before today, a target at retirement, no savings and fractional ages are rejected",
+    "got " + JSON.stringify(ages.errors));
+}
+
+// ─── Capital Gains Tax Tests ──────────────────────────────────────────────────
+section("Capital Gains Tax — FIFO lots, calculateLumpsumTax, calculateSWPTax");
+
+// 1. FIFO redeems the oldest lot first and splits short/long-term gains
+{
+  const lots = [
+    { month: 0,  units: 100, nav: 10 },
+    { month: 10, units: 100, nav: 20 }
+  ];
+  const r = redeemLotsFIFO(lots, 150, 30, 18, "equity");
+  assert(approxEqual(r.longTermGain, 2000, 1e-9) && approxEqual(r.shortTermGain, 500, 1e-9),
+    "TC-TAX-01: 150 units @ 30 at month 18 → LTCG 2,000 (lot 1) + STCG 500 (lot 2)",
+    "lt=" + r.longTermGain + " st=" + r.shortTermGain);
+  assert(lots.length === 1 && approxEqual(lots[0].units, 50, 1e-9),
+    "TC-TAX-02: first lot removed, 50 units left in second lot");
+}
+
+// 3. Holding exactly the threshold is still short-term
+{
+  const r = redeemLotsFIFO([{ month: 0, units: 10, nav: 100 }], 10, 110, 12, "equity");
+  assert(r.shortTermGain === 100 && r.longTermGain === 0,
+    "TC-TAX-03: equity held 12 months (not more) → short-term");
+}
+
+// 4. LTCG exemption and rates
+{
+  const r = calculateCapitalGainsTax(0, 225000, "equity");
+  assert(approxEqual(r.tax, 12500, 1e-9) && r.exemptionUsed === 125000,
+    "TC-TAX-04: equity LTCG 2,25,000 → 12.5% on 1,00,000 above exemption = 12,500", "got " + r.tax);
+}
+
+// 5. Short-term loss is set off against long-term gain
+{
+  const r = calculateCapitalGainsTax(-50000, 200000, "equity");
+  assert(approxEqual(r.tax, 3125, 1e-9),
+    "TC-TAX-05: STCL 50K set off against LTCG 2L → tax on 25K = 3,125", "got " + r.tax);
+}
+
+// 6. Rules are configurable
+{
+  const r = calculateCapitalGainsTax(10000, 0, { stcgRate: 15 });
+  assert(approxEqual(r.tax, 1500, 1e-9), "TC-TAX-06: custom stcgRate 15% applies", "got " + r.tax);
+}
+
+// 7. Lumpsum post-tax value = pre-tax value − tax
+{
+  const r = calculateLumpsumTax(100000, 12, 10, "equity");
+  const pre = calculateLumpsum(100000, 12, 10);
+  assert(r.isLongTerm && approxEqual(r.futureValue, pre.futureValue, 1e-6) &&
+    approxEqual(r.tax, (pre.estimatedReturns - 125000) * 0.125, 1e-6) &&
+    approxEqual(r.postTaxValue, r.futureValue - r.tax, 1e-6),
+    "TC-TAX-07: 1L @ 12% for 10yr equity → LTCG above 1.25L at 12.5%", "tax=" + r.tax);
+}
+
+// 8. Short holding in a debt fund is taxed at the short-term rate
+{
+  const r = calculateLumpsumTax(1000000, 12, 1, "debt");
+  assert(!r.isLongTerm && approxEqual(r.tax, 36000, 1e-6),
+    "TC-TAX-08: 10L debt fund for 1yr → STCG 1.2L at 30% = 36,000", "got " + r.tax);
+}
+
+// 9. SWP withdrawals reconcile: post-tax income + tax = gross withdrawn
+{
+  const r = calculateSWPTax(2000000, 20000, 8, "equity", 20);
+  const gross = r.yearlyBreakdown.reduce((sum, row) => sum + row.withdrawn, 0);
+  assert(approxEqual(r.totalWithdrawn, gross, 1e-6) &&
+    approxEqual(r.totalPostTaxIncome + r.totalTax, r.totalWithdrawn, 1e-6),
+    "TC-TAX-09: SWP totals reconcile (post-tax + tax = withdrawn)");
+}
+
+// 10. SWP equity: year-1 gains are short-term, later gains long-term; tax > 0 in year 1
+{
+  const r = calculateSWPTax(2000000, 20000, 8, "equity", 3);
+  const [y1, y2] = r.yearlyBreakdown;
+  assert(y1.longTermGain === 0 && y1.shortTermGain > 0 && y1.tax > 0 && y2.shortTermGain === 0 && y2.longTermGain > 0,
+    "TC-TAX-10: SWP year 1 STCG only, year 2 LTCG only");
+}
+
+// 11. SWP schedule ends when the corpus is exhausted, matching calculateSWP
+{
+  const swp = calculateSWP(2000000, 20000, 8);
+  const r = calculateSWPTax(2000000, 20000, 8, "equity", 30);
+  assert(r.yearlyBreakdown.length === swp.years + 1 && r.yearlyBreakdown[r.yearlyBreakdown.length - 1].closingCorpus === 0,
+    "TC-TAX-11: SWP tax schedule runs until depletion (" + (swp.years + 1) + " years)",
+    "got " + r.yearlyBreakdown.length);
+}
+
+// 12. Escalated SWP: tax follows the rising withdrawals
+{
+  const swp = calculateSWP(2000000, 20000, 8, null, 6);
+  const r = calculateSWPTax(2000000, 20000, 8, "equity", 30, 6);
+  assert(r.yearlyBreakdown.length === swp.yearlySchedule.length && approxEqual(r.yearlyBreakdown[1].withdrawn, 21200 * 12, 1e-6) &&
+    approxEqual(r.totalWithdrawn, swp.totalWithdrawn, 1e-6),
+    "TC-TAX-12: SWP tax with 6% step-up covers the shorter, rising plan");
+}
+
+// 13. Long-term loss is never set off against short-term gain; it is carried forward
+{
+  const r = calculateCapitalGainsTax(100000, -40000, "equity");
+  assert(approxEqual(r.tax, 20000, 1e-9) && r.stcgTax === r.tax && r.lossCarriedForward === 40000,
+    "TC-TAX-13: LTCL 40K against STCG 1L → STCG taxed in full at 20% = 20,000, 40K carried forward",
+    "tax=" + r.tax + " carried=" + r.lossCarriedForward);
+}
+
+// 14. Debt units are taxed at the slab however long they are held (s.50AA)
+{
+  const r = calculateLumpsumTax(1000000, 7, 10, "debt");
+  assert(!r.isLongTerm && approxEqual(r.tax, r.estimatedReturns * 0.3, 1e-6) &&
+    describeTaxRules("debt") === "Slab rate (30% assumed) on all gains, however long held",
+    "TC-TAX-14: 10L debt fund for 10yr → no long-term tier, whole gain at the 30% slab", "got " + r.tax);
+}
+
+// 15. Loss brought forward is set off against long-term gains only
+{
+  const r = calculateCapitalGainsTax(100000, 200000, "equity", 40000);
+  assert(approxEqual(r.stcgTax, 20000, 1e-9) && approxEqual(r.ltcgTax, 35000 * 0.125, 1e-9) && r.lossCarriedForward === 0,
+    "TC-TAX-15: 40K brought forward against LTCG 2L → 1.6L less 1.25L exemption taxed, STCG 1L untouched",
+    "ltcgTax=" + r.ltcgTax + " carried=" + r.lossCarriedForward);
+}
+
+// 16. SWP carries a year's unused loss into the next year
+{
+  const r = calculateSWPTax(1000000, 10000, -10, "equity", 2);
+  const [y1, y2] = r.yearlyBreakdown;
+  assert(y1.shortTermGain < 0 && approxEqual(y1.lossCarriedForward, -y1.shortTermGain, 1e-6) &&
+    approxEqual(y2.lossCarriedForward, -y1.shortTermGain - y2.longTermGain, 1e-6) && r.totalTax === 0,
+    "TC-TAX-16: falling NAV → year 1's loss is carried into year 2's", "carried=" + y1.lossCarriedForward + ", " + y2.lossCarriedForward);
+}
+
+// ─── Fund Costs Tests ─────────────────────────────────────────────────────────
+section("Fund Costs — Expense Ratio & Exit Load");
+
+// 1. Exit-load slabs pick the first slab the holding period falls inside
+{
+  const slabs = [{ maxMonths: 12, rate: 0.5 }, { maxMonths: 3, rate: 1 }];
+  assert(exitLoadRate(slabs, 1) === 1 && exitLoadRate(slabs, 6) === 0.5 && exitLoadRate(slabs, 12) === 0,
+    "TC-COST-01: exit load 1% < 3m, 0.5% < 12m, nil from 12m");
+}
+
+// 2. Zero costs leave the net corpus equal to the gross corpus
+{
+  const r = calculateSIP(10000, 12, 10, { ter: 0 });
+  assert(approxEqual(r.grossValue, r.futureValue, 1e-6) && r.netValue === r.grossValue && r.totalCosts === 0,
+    "TC-COST-02: SIP with TER 0% → net = gross, no costs");
+}
+
+// 3. Without a cost model the result shape is unchanged
+{
+  const r = calculateSIP(10000, 12, 10);
+  assert(!("netValue" in r) && !("totalCosts" in r), "TC-COST-03: no cost model → no cost fields");
+}
+
+// 4. Lumpsum TER drag compounds monthly on the fund value
+{
+  const r = calculateLumpsum(100000, 12, 10, { ter: 1.2 });
+  const expected = r.futureValue * Math.pow(1 - 0.001, 120);
+  assert(approxEqual(r.netValue, expected, 1e-9) && approxEqual(r.totalCosts, r.grossValue - r.netValue, 1e-9),
+    "TC-COST-04: lumpsum 1L @ 12%, TER 1.2% → FV × (1 − 0.1%)^120", "got " + r.netValue);
+}
+
+// 5. Exit load only hits a lumpsum redeemed inside the slab
+{
+  const slabs = [{ maxMonths: 12, rate: 1 }];
+  const early = calculateLumpsum(100000, 12, 0.5, { ter: 0, exitLoad: slabs });
+  const late = calculateLumpsum(100000, 12, 1, { ter: 0, exitLoad: slabs });
+  assert(approxEqual(early.exitLoadCost, early.futureValue * 0.01, 1e-9) && late.exitLoadCost === 0,
+    "TC-COST-05: 1% exit load applies at 6 months, not at 12 months");
+}
+
+// 6. SIP exit load applies only to the last instalments still inside the slab
+{
+  const r = calculateSIP(10000, 12, 5, { ter: 0, exitLoad: [{ maxMonths: 12, rate: 1 }] });
+  const monthly = 0.01;
+  let recent = 0;
+  for (let held = 1; held < 12; held++) recent += 10000 * Math.pow(1 + monthly, held);
+  assert(approxEqual(r.exitLoadCost, recent * 0.01, 1e-9),
+    "TC-COST-06: SIP exit load on the 11 instalments held under 12 months", "got " + r.exitLoadCost);
+}
+
+// 7. Regular plan (higher TER) ends with a smaller SIP corpus than direct
+{
+  const direct = calculateSIP(10000, 12, 20, { ter: 0.5 });
+  const regular = calculateSIP(10000, 12, 20, { ter: 1.5 });
+  assert(regular.netValue < direct.netValue && regular.totalCosts > direct.totalCosts &&
+    approxEqual(direct.expenseRatioCost + direct.exitLoadCost, direct.totalCosts, 1e-9),
+    "TC-COST-07: regular 1.5% TER < direct 0.5% TER; cost parts add up");
+}
+
+// 8. Step-up SIP net = headline corpus − costs
+{
+  const r = calculateTopUpSIP(10000, 12, 10, 10, { ter: 1 });
+  assert(r.grossValue === r.futureValue && approxEqual(r.netValue, r.futureValue - r.totalCosts, 1e-9) && r.totalCosts > 0,
+    "TC-COST-08: step-up SIP reports gross, net and total costs");
+}
+
+// 9. calculateFundCosts on a single instalment matches the lumpsum formula
+{
+  const c = calculateFundCosts([100000], 0.01, { ter: 1.2 });
+  assert(approxEqual(c.netValue, 100000 * 1.01 * 0.999, 1e-9), "TC-COST-09: one instalment held 1 month");
+}
+
+// 10. STP costs reduce the corpus; zero costs reproduce the gross corpus
+{
+  const gross = calculateSTP(1200000, 100000, 7, 12, 12, { ter: 0 });
+  const net = calculateSTP(1200000, 100000, 7, 12, 12, { ter: 1, debtTer: 0.3 });
+  assert(approxEqual(gross.netValue, gross.totalCorpus, 1e-6) && net.netValue < net.totalCorpus &&
+    approxEqual(net.totalCosts, net.grossValue - net.netValue, 1e-9),
+    "TC-COST-10: STP with costs → net < gross; no costs → net = gross");
+}
+
+// 11. SWP costs shorten how long the corpus lasts
+{
+  const r = calculateSWP(1000000, 15000, 8, { ter: 1, exitLoad: [{ maxMonths: 12, rate: 1 }] });
+  assert(r.net.months < r.months && r.totalCosts > 0 && r.exitLoadCost > 0,
+    "TC-COST-11: SWP lasts " + r.net.months + " months after costs vs " + r.months + " gross");
+}
+
+// 12. SWP with zero costs lasts as long as the closed-form schedule
+{
+  const r = calculateSWP(1000000, 15000, 8, { ter: 0 });
+  assert(r.net.months === r.months && r.totalCosts === 0, "TC-COST-12: SWP with no costs matches gross duration",
+    "got " + r.net.months + " vs " + r.months);
+}
+
+// ─── Schedule Tests ───────────────────────────────────────────────────────────
+section("Schedules — Monthly & Yearly");
+
+// Every row satisfies opening + contribution + returns − withdrawal = closing
+// and hands its closing balance to the next row's opening
+function scheduleReconciles(schedule) {
+  return schedule.every((row, i) =>
+    approxEqual(row.openingBalance + row.contribution + row.returns - row.withdrawal, row.closingBalance, 1e-6) &&
+    (i === 0 || row.openingBalance === schedule[i - 1].closingBalance));
+}
+
+// 1. buildScheduleRow derives returns from the balances
+{
+  const row = buildScheduleRow(1, 1000, 500, 200, 1400);
+  assert(row.returns === 100, "TC-SCHED-01: returns = closing − opening − contribution + withdrawal", "got " + row.returns);
+}
+
+// 2. SIP schedule ends at the headline corpus and contributions add up to invested
+{
+  const r = calculateSIP(5000, 12, 10);
+  const last = r.schedule[r.schedule.length - 1];
+  const invested = r.schedule.reduce((sum, row) => sum + row.contribution, 0);
+  assert(r.schedule.length === 120 && approxEqual(last.closingBalance, r.futureValue, 1e-6) &&
+    invested === r.totalInvested && scheduleReconciles(r.schedule),
+    "TC-SCHED-02: SIP schedule has 120 months, closes at futureValue");
+}
+
+// 3. Step-up SIP schedule year ends match yearlyBreakdown exactly
+{
+  const r = calculateTopUpSIP(5000, 12, 10, 10);
+  const years = groupScheduleByYear(r.schedule);
+  assert(years.every((y, i) => y.closingBalance === r.yearlyBreakdown[i].corpusAtEndOfYear &&
+    y.contribution === r.yearlyBreakdown[i].yearlyInvested) && scheduleReconciles(r.schedule),
+    "TC-SCHED-03: step-up SIP yearly roll-up = yearlyBreakdown");
+}
+
+// 4. Lumpsum schedule year ends compound annually to the headline value
+{
+  const r = calculateLumpsum(100000, 12, 10);
+  const years = groupScheduleByYear(r.schedule);
+  assert(years.length === 10 && approxEqual(years[0].closingBalance, 112000, 1e-6) &&
+    years[9].closingBalance === r.futureValue && years[0].contribution === 100000 && scheduleReconciles(r.schedule),
+    "TC-SCHED-04: lumpsum year 1 closes at 1,12,000, year 10 at futureValue");
+}
+
+// 5. SWP schedule runs to depletion and its withdrawals add up to totalWithdrawn
+{
+  const r = calculateSWP(2000000, 20000, 8);
+  const withdrawn = r.schedule.reduce((sum, row) => sum + row.withdrawal, 0);
+  assert(r.schedule.length === r.months && r.schedule[r.months - 1].closingBalance === 0 &&
+    approxEqual(withdrawn, r.totalWithdrawn, 1e-6) && scheduleReconciles(r.schedule),
+    "TC-SCHED-05: SWP schedule depletes in " + r.months + " months");
+}
+
+// 6. A self-sustaining SWP gets the longest schedule
+{
+  const r = calculateSWP(1000000, 5000, 10);
+  assert(r.isIndefinite && r.schedule.length === 1200 && r.schedule[1199].closingBalance > 1000000,
+    "TC-SCHED-06: indefinite SWP schedule covers 100 years");
+}
+
+// 7. STP schedule tracks both funds and closes at totalCorpus
+{
+  const r = calculateSTP(1200000, 100000, 7, 12, 12);
+  const last = r.schedule[11];
+  assert(approxEqual(last.closingBalance, r.totalCorpus, 1e-6) && last.debtBalance === r.debtCorpus &&
+    last.equityBalance === r.equityCorpus && scheduleReconciles(r.schedule),
+    "TC-SCHED-07: STP schedule closes at totalCorpus with debt/equity split");
+}
+
+// 8. Yearly roll-up sums flows and keeps period-end balances
+{
+  const r = calculateSTP(600000, 10000, 7, 12, 24);
+  const years = groupScheduleByYear(r.schedule);
+  const returns = r.schedule.slice(0, 12).reduce((sum, row) => sum + row.returns, 0);
+  assert(years.length === 2 && years[0].openingBalance === 0 && approxEqual(years[0].returns, returns, 1e-6) &&
+    years[1].openingBalance === years[0].closingBalance && years[0].equityBalance === r.schedule[11].equityBalance,
+    "TC-SCHED-08: yearly roll-up of a 24-month STP");
+}
+
+// ─── Precise Money Tests ──────────────────────────────────────────────────────
+section("Precise Money — Whole Paise");
+
+// Every row balances to the paisa, and each yearly roll-up adds up to its months
+function reconcilesInPaise(schedule) {
+  const sum = (rows, field) => rows.reduce((total, row) => total + toPaise(row[field]), 0);
+  return schedule.every(row =>
+    toPaise(row.openingBalance) + toPaise(row.contribution) + toPaise(row.returns) - toPaise(row.withdrawal) === toPaise(row.closingBalance) &&
+    row.returns === toPaise(row.returns) / 100) &&
+    groupScheduleByYear(schedule, true).every(year => ["contribution", "returns", "withdrawal"].every(field =>
+      toPaise(year[field]) === sum(year.months, field)));
+}
+
+// 1. Float mode leaves amounts alone; precise mode rounds halves away from zero
+{
+  const float = roundMoney(1.23456) + roundMoney(1.23456, false);
+  const halves = [1.005, -2.675, 0.125, 10.004].map(v => roundMoney(v, true));
+  assert(float === 2.46912 && halves.join() === "1.01,-2.68,0.13,10",
+    "TC-PREC-01: roundMoney is a no-op in float mode and rounds half away from zero to the paisa",
+    "got " + halves.join());
+}
+
+// 2. toPaise gives whole paise
+{
+  assert(toPaise(1234.56) === 123456 && toPaise(0.1 + 0.2) === 30 && toPaise(-0.005) === -1,
+    "TC-PREC-02: toPaise(1234.56) = 123456, 0.1 + 0.2 = 30 paise");
+}
+
+// 3. SIP: rows, years and headline total agree to the paisa
+{
+  const r = calculateSIP(5000, 12, 10, null, { precise: true });
+  const last = r.schedule[r.schedule.length - 1];
+  assert(reconcilesInPaise(r.schedule) && r.futureValue === last.closingBalance &&
+    toPaise(r.totalInvested) + toPaise(r.estimatedReturns) === toPaise(r.futureValue) &&
+    approxEqual(r.futureValue, calculateSIP(5000, 12, 10).futureValue, 1),
+    "TC-PREC-03: precise SIP reconciles; within Rs. 1 of the formula",
+    "got " + r.futureValue);
+}
+
+// 4. Step-up SIP keeps paise at year ends instead of rounding to rupees
+{
+  const r = calculateTopUpSIP(5000, 12, 10, 10, null, { precise: true });
+  const years = groupScheduleByYear(r.schedule, true);
+  assert(reconcilesInPaise(r.schedule) && r.futureValue !== Math.round(r.futureValue) &&
+    years.every((y, i) => y.closingBalance === r.yearlyBreakdown[i].corpusAtEndOfYear),
+    "TC-PREC-04: precise step-up SIP corpus is kept to the paisa and matches yearlyBreakdown",
+    "got " + r.futureValue);
+}
+
+// 5. Lumpsum reconciles from the first month's contribution
+{
+  const r = calculateLumpsum(100000, 12, 10, null, { precise: true });
+  assert(reconcilesInPaise(r.schedule) && r.futureValue === r.schedule[119].closingBalance &&
+    approxEqual(r.futureValue, 310584.82, 1),
+    "TC-PREC-05: precise lumpsum closes at futureValue ≈ 3,10,585",
+    "got " + r.futureValue);
+}
+
+// 6. SWP withdrawals add up to totalWithdrawn, flat and stepped up
+{
+  const flat = calculateSWP(1000000, 10000, 8, null, 0, { precise: true });
+  const rising = calculateSWP(1000000, 10000, 8, null, 5, { precise: true });
+  const ok = [flat, rising].every(r =>
+    reconcilesInPaise(r.schedule) &&
+    r.schedule.reduce((sum, row) => sum + toPaise(row.withdrawal), 0) === toPaise(r.totalWithdrawn) &&
+    r.yearlySchedule.reduce((sum, row) => sum + toPaise(row.withdrawal), 0) === toPaise(r.totalWithdrawn));
+  assert(ok && flat.schedule[flat.months - 1].closingBalance === 0,
+    "TC-PREC-06: precise SWP schedule and yearly rows add up to totalWithdrawn");
+}
+
+// 7. STP breakdown rows carry paise and end at the total corpus
+{
+  const r = calculateSTP(500000, 25000, 7, 14, 24, null, { precise: true });
+  const last = r.breakdown[r.breakdown.length - 1];
+  assert(reconcilesInPaise(r.schedule) && last.totalCorpus === r.totalCorpus &&
+    toPaise(r.debtCorpus) + toPaise(r.equityCorpus) === toPaise(r.totalCorpus) &&
+    r.breakdown.some(row => row.equityCorpus !== Math.round(row.equityCorpus)),
+    "TC-PREC-07: precise STP breakdown is to the paisa and ends at totalCorpus",
+    "got " + last.totalCorpus + " vs " + r.totalCorpus);
+}
+
+// 8. SWP tax per year adds up to the totals
+{
+  const r = calculateSWPTax(1000000, 10000, 8, "equity", 10, 0, { precise: true });
+  const tax = r.yearlyBreakdown.reduce((sum, row) => sum + toPaise(row.tax), 0);
+  const income = r.yearlyBreakdown.reduce((sum, row) => sum + toPaise(row.postTaxIncome), 0);
+  assert(tax === toPaise(r.totalTax) && income === toPaise(r.totalPostTaxIncome),
+    "TC-PREC-08: precise SWP tax and post-tax income rows add up to the totals");
+}
+
+// 9. Money is shown with paise only when the display format asks for it
+{
+  const whole = formatINR(1234567.5) + " " + formatAmount(99.4) + " " + formatMoney(99.4);
+  const paise = formatINR(1234567.5, true) + " " + formatAmount(99.4, { precise: true }) + " " + formatMoney(99.4, { precise: true });
+  assert(whole === "Rs. 12,34,568 99 Rs. 99" && paise === "Rs. 12,34,567.50 99.40 Rs. 99.40",
+    "TC-PREC-09: formatINR / formatAmount / formatMoney show paise when precise",
+    whole + " | " + paise);
+}
+
+// 10. Precise mode is per call: a precise run leaves the next float run alone
+{
+  const precise = calculateTopUpSIP(5000, 12, 10, 10, null, { precise: true });
+  const r = calculateTopUpSIP(5000, 12, 10, 10);
+  assert(precise.futureValue !== Math.round(precise.futureValue) && r.futureValue === Math.round(r.futureValue) &&
+    calculateSIP(1000, 0, 1).futureValue === 12000,
+    "TC-PREC-10: without options.precise the step-up corpus is rounded to rupees");
+}
+
+// ─── Rate Convention Tests ───────────────────────────────────────────────────
+section("Rate Conventions — Compounding, Timing & Rate Type");
+
+// 1. Each calculator keeps its own convention unless the call overrides it
+{
+  const sip = conventionFor("sip");
+  const swp = conventionFor("swp");
+  const overridden = conventionFor("lumpsum", { rateType: "effective", timing: "end" });
+  assert(overridden.rateType === "effective" && overridden.compounding === "yearly" && overridden.timing === null &&
+    sip.rateType === "nominal" && sip.compounding === "monthly" && sip.timing === "start" &&
+    swp.timing === "end" && conventionFor("lumpsum").compounding === "yearly" &&
+    monthlyRate(12, sip) === 0.01 && approxEqual(calculateSIP(10000, 12, 10).futureValue, 2323391),
+    "TC-CONV-01: no overrides → SIP nominal monthly at the start, SWP at the end, lumpsum yearly; a lumpsum has no timing");
+}
+
+// 2. Nominal and effective annual rates convert both ways
+{
+  const monthly = { rateType: "nominal", compounding: "monthly" };
+  const quarterly = { rateType: "nominal", compounding: "quarterly" };
+  assert(approxEqual(effectiveAnnualRate(12, monthly), 12.6825, 0.0001) &&
+    approxEqual(effectiveAnnualRate(12, quarterly), 12.5509, 0.0001) &&
+    effectiveAnnualRate(12, { rateType: "effective", compounding: "monthly" }) === 12 &&
+    effectiveAnnualRate(12, { rateType: "nominal", compounding: "yearly" }) === 12 &&
+    approxEqual(nominalAnnualRate(effectiveAnnualRate(9, quarterly), "quarterly"), 9, 1e-9) &&
+    approxEqual(monthlyRate(12, { rateType: "effective", compounding: "monthly" }), Math.pow(1.12, 1 / 12) - 1, 1e-15),
+    "TC-CONV-02: 12% monthly → 12.68% effective, quarterly → 12.55%; nominalAnnualRate inverts");
+}
+
+// 3. SIP instalments at the end of the month lose one month's growth
+{
+  const start = calculateSIP(10000, 12, 10);
+  const end = calculateSIP(10000, 12, 10, null, { convention: { timing: "end" } });
+  const last = end.schedule[end.schedule.length - 1];
+  assert(approxEqual(start.futureValue / end.futureValue, 1.01, 1e-12) && end.schedule[0].closingBalance === 10000 &&
+    approxEqual(last.closingBalance, end.futureValue, 0.01) && end.totalInvested === 1200000,
+    "TC-CONV-03: end-of-month SIP → Rs. 23,00,387, the start-of-month value ÷ 1.01",
+    "got " + end.futureValue);
+}
+
+// 4. Compounding frequency and effective rates reach every calculator
+{
+  const quarterly = { convention: { compounding: "quarterly" } };
+  const effective = { convention: { rateType: "effective" } };
+  const lumpsum = calculateLumpsum(100000, 12, 1, null, quarterly).futureValue;
+  const quarter = calculateSIP(10000, 12, 1, null, quarterly).schedule[2].closingBalance;
+  const sip = calculateSIP(10000, 12, 1, null, effective);
+  const allocation = calculateAllocation({ assets: [{ name: "Equity", annualRate: 12, weight: 100 }], lumpSum: 100000, years: 1 }, effective);
+  const r = Math.pow(1.12, 1 / 12) - 1;
+  assert(approxEqual(lumpsum, 112550.88, 0.01) && approxEqual(quarter, 10000 * (1.03 + Math.pow(1.03, 2 / 3) + Math.pow(1.03, 1 / 3)), 1e-6) &&
+    approxEqual(sip.futureValue, 10000 * 0.12 / r * (1 + r), 1e-6) &&
+    approxEqual(allocation.futureValue, 112000, 1e-6),
+    "TC-CONV-04: 12% compounded quarterly → Rs. 1,12,551 lumpsum; effective 12% → 12% a year",
+    "got " + lumpsum);
+}
+
+// 5. SWP withdrawals at the start of the month come out before the growth
+{
+  const end = calculateSWP(500000, 10000, 12);
+  const options = { convention: { timing: "start" } };
+  const start = calculateSWP(500000, 10000, 12, null, null, options);
+  const interestOnly = calculateSWP(1000000, 10000, 12, null, null, options);
+  const withdrawn = start.schedule.reduce((sum, row) => sum + row.withdrawal, 0);
+  assert(end.months === 70 && start.months === 69 && start.schedule[0].closingBalance === 494900 &&
+    approxEqual(withdrawn, start.totalWithdrawn, 0.01) && !interestOnly.isIndefinite,
+    "TC-CONV-05: Rs. 10,000 a month from Rs. 5L at 12% → 70 months, 69 taken at the start",
+    "got " + end.months + " / " + start.months);
+}
+
+// 6. STP transfers at the end of the month start earning in equity the next month
+{
+  const start = calculateSTP(500000, 50000, 7, 12, 10);
+  const end = calculateSTP(500000, 50000, 7, 12, 10, { ter: 1 }, { convention: { timing: "end" } });
+  assert(end.breakdown[0].equityCorpus === 50000 && end.totalCorpus < start.totalCorpus &&
+    end.directEquityValue === start.directEquityValue && end.grossValue === end.totalCorpus && end.totalCosts > 0,
+    "TC-CONV-06: end-of-month STP → first transfer Rs. 50,000 with no growth; direct equity unchanged");
+}
+
+// 7. Goal solvers invert their calculators under any convention
+{
+  const options = { convention: { rateType: "effective", timing: "end" } };
+  const goal = calculateGoalSIP(10000000, 12, 15, options);
+  const back = calculateSIP(goal.monthlySIP, 12, 15, null, options).futureValue;
+  const rate = calculateGoalRate(10000000, goal.monthlySIP, 15, "sip", options).rate;
+  const lumpsum = calculateGoalLumpsum(10000000, 12, 15, options).lumpsum;
+  const topUp = calculateGoalTopUpSIP(10000000, 12, 15, 10, options);
+  assert(approxEqual(back, 10000000, 0.01) && approxEqual(rate, 12, 1e-6) &&
+    approxEqual(lumpsum, 10000000 / Math.pow(1.12, 15), 1e-6) && topUp.futureValue >= 10000000,
+    "TC-CONV-07: effective rate, end-of-month SIP → goal SIP, rate and lumpsum round-trip",
+    "got " + back);
+}
+
+// 8. A retirement plan's drawdown and the Monte Carlo median follow the convention
+{
+  const convention = { timing: "start", compounding: "quarterly" };
+  const swp = calculateSWP(5000000, 40000, 8, null, 6, { convention });
+  const plan = calculateRetirementPlan({
+    currentAge: 60, retirementAge: 60, targetAge: 90, currentCorpus: 5000000, monthlySIP: 0, stepUpRate: 0,
+    accumulationRate: 12, monthlyWithdrawal: 40000, withdrawalIncrease: 6, drawdownRate: 8
+  }, { convention });
+  const sip = calculateSIP(10000, 12, 5, null, { convention }).futureValue;
+  const mc = calculateSIPMonteCarlo(10000, 12, 5, 0, { paths: 3, seed: 1, convention });
+  assert(plan.months === swp.months && plan.totalWithdrawn === swp.totalWithdrawn && approxEqual(mc.p50[5], sip, 0.01),
+    "TC-CONV-08: retirement drawdown matches the SWP; 0% volatility Monte Carlo matches the SIP",
+    "got " + plan.months + " / " + swp.months);
+}
+
+// 9. Overrides are checked, apply to one call only and are saved per browser
+{
+  const merged = normalizeRateConvention({ timing: "end", compounding: "daily", rateType: "simple" });
+  const once = calculateSIP(10000, 12, 10, null, { convention: { timing: "end" } }).futureValue;
+  const storage = memoryStorage();
+  const fresh = loadRateConvention(storage);
+  const saved = saveRateConvention({ rateType: "effective", timing: "end" }, storage);
+  const loaded = loadRateConvention(storage);
+  storage.setItem(RATE_CONVENTION_KEY, "{not json");
+  const broken = loadRateConvention(storage);
+  assert(merged.timing === "end" && merged.compounding === "daily" && merged.rateType === null &&
+    once < calculateSIP(10000, 12, 10).futureValue && approxEqual(calculateSIP(10000, 12, 10).futureValue, 2323391) &&
+    fresh.timing === null && saved && loaded.rateType === "effective" && loaded.timing === "end" &&
+    broken.rateType === null && normalizeRateConvention({ timing: "middle" }).timing === null,
+    "TC-CONV-09: unknown values dropped; an override leaves the next call alone; save → load round trip");
+}
+
+// 10. The convention in use is described in words
+{
+  const sip = describeConvention(conventionFor("sip"), 12);
+  const lumpsum = describeConvention(conventionFor("lumpsum"));
+  const halfYearly = describeConvention(conventionFor("swp", { compounding: "halfYearly", timing: "end" }), 8);
+  assert(sip === "12% nominal, compounded monthly (12.68% effective), with money moving at the start of each month" &&
+    lumpsum === "Effective annual rate" &&
+    halfYearly === "8% nominal, compounded half-yearly (8.16% effective), with money moving at the end of each month" &&
+    Object.keys(CALCULATOR_CONVENTIONS).every(key => COMPOUNDING_FREQUENCIES[CALCULATOR_CONVENTIONS[key].compounding] &&
+      RATE_TYPES[CALCULATOR_CONVENTIONS[key].rateType] && (key === "lumpsum" || CONTRIBUTION_TIMINGS[CALCULATOR_CONVENTIONS[key].timing])),
+    "TC-CONV-10: describeConvention names the rate, compounding, effective rate and timing (none for a lumpsum)", "got " + halfYearly);
+}
+
+// ─── Currency & Number Formatting Tests ──────────────────────────────────────
+section("Currency & Number Formatting — Display Format");
+
+// 1. Without a display format, amounts are rupees with lakh/crore grouping
+{
+  const format = DEFAULT_DISPLAY_FORMAT;
+  assert(format.currency === "INR" && format.grouping === "indian" && !format.compact && Object.isFrozen(format) &&
+    formatMoney(1161695.38) === "Rs. 11,61,695" && formatMoney(1161695.38, format) === formatINR(1161695.38),
+    "TC-CUR-01: default display format → Rs. 11,61,695, same as formatINR");
+}
+
+// 2. Picking a currency brings its usual grouping; formatINR stays in rupees
+{
+  const format = changeDisplayFormat(DEFAULT_DISPLAY_FORMAT, { currency: "USD" });
+  const dollars = formatMoney(1234567.5, format) + " " + formatAmount(1234567.5, format) + " " + formatINR(1234567.5);
+  assert(format.grouping === "international" && dollars === "$1,234,568 1,234,568 Rs. 12,34,568" &&
+    DEFAULT_DISPLAY_FORMAT.currency === "INR",
+    "TC-CUR-02: USD → $1,234,568 with western grouping; formatINR unchanged", "got " + dollars);
+}
+
+// 3. A grouping can be chosen apart from the currency, and rates follow it
+{
+  const pounds = changeDisplayFormat(DEFAULT_DISPLAY_FORMAT, { currency: "GBP", grouping: "indian" });
+  const indianPounds = formatMoney(1234567, pounds);
+  const format = changeDisplayFormat(pounds, { currency: "EUR" });
+  const euros = formatMoney(1234567, format) + " " + formatPercent(7.25, format) + " " + formatPercent("12", format);
+  assert(indianPounds === "£12,34,567" && euros === "€1.234.567 7,25% 12%" && formatPercent(7.25) === "7.25%",
+    "TC-CUR-03: £ with lakh grouping; € with european grouping and decimal comma",
+    "got " + indianPounds + " / " + euros);
+}
+
+// 4. Compact lakh/crore units
+{
+  const got = [1161695, 12345678, 45000, 999, 9999999, -150000].map(v => formatCompact(v, "indian")).join(" ");
+  assert(got === "11.62L 1.23Cr 45K 999 1Cr -1.5L",
+    "TC-CUR-04: compact indian → L / Cr / K, rounding up to the next unit", "got " + got);
+}
+
+// 5. Compact K/M/B units, and compact display in formatMoney
+{
+  const got = [1161695, 2.5e9, 99999].map(v => formatCompact(v, "international")).join(" ");
+  const money = formatMoney(1161695, { currency: "USD", compact: true });
+  assert(got === "1.16M 2.5B 100K" && money === "$1.16M",
+    "TC-CUR-05: compact international → K / M / B; formatMoney → $1.16M", "got " + got + " / " + money);
+}
+
+// 6. Precise money keeps its paise in every grouping
+{
+  const format = { currency: "EUR", precise: true };
+  const euros = formatMoney(1234.5, format) + " " + formatAmount(99.4, format);
+  assert(euros === "€1.234,50 99,40", "TC-CUR-06: precise money in european grouping → €1.234,50", "got " + euros);
+}
+
+// 7. Unknown settings fall back, symbols and labels follow the currency
+{
+  const fallback = normalizeDisplayFormat({ currency: "XYZ", grouping: "roman", compact: "yes" });
+  const sgd = normalizeDisplayFormat({ currency: "SGD" });
+  const format = { currency: "AED" };
+  const label = moneyLabel("Monthly Investment", format) + " " + formatMoney(2500, format);
+  assert(fallback.currency === "INR" && fallback.grouping === "indian" && fallback.compact === false &&
+    sgd.grouping === "international" && currencySymbol("EUR") === "€" && currencySymbol() === "Rs." &&
+    label === "Monthly Investment (AED) AED 2,500" && moneyLabel("Corpus") === "Corpus (Rs.)" &&
+    Object.keys(CURRENCIES).every(code => NUMBER_GROUPINGS[CURRENCIES[code].grouping]),
+    "TC-CUR-07: unknown currency/grouping fall back; moneyLabel uses the symbol", "got " + label);
+}
+
+// 8. Manual exchange rates
+{
+  const precise = convertCurrency(12345.67, "USD", "INR", 83.456, true);
+  assert(convertCurrency(50000, "USD", "INR", 83) === 4150000 && convertCurrency(5000, "INR", "INR", 0) === 5000 &&
+    convertCurrency(5000, "USD", "INR", 0) === null && convertCurrency(5000, "GBP", "USD", NaN) === null &&
+    precise === 1030320.24,
+    "TC-CUR-08: $50,000 at 83 → Rs. 41,50,000; same currency needs no rate; bad rate → null", "got " + precise);
+}
+
+// 9. Validation messages name the given currency; goals check the exchange rate
+{
+  const sip = validateInputs("sip", { P: 0, annualRate: 12, years: 10 }, { currency: "USD" });
+  const goal = validateInputs("goal", { target: 50000, annualRate: 12, years: 10, fxRate: 0 });
+  const swp = validateInputs("swp", { corpus: 0, monthlyWithdrawal: 5000, annualRate: 8 });
+  assert(sip.errors[0].message === "Monthly investment must be more than $0." &&
+    swp.errors[0].message === "Corpus must be more than Rs. 0." &&
+    goal.errors.length === 1 && goal.errors[0].field === "fxRate" && goal.errors[0].message === "Exchange rate must be more than 0.",
+    "TC-CUR-09: amount errors use $ under USD; a goal's exchange rate must be above 0",
+    "got " + sip.errors[0].message);
+}
+
+// 10. The display format is saved per browser, apart from the store
+{
+  const storage = memoryStorage();
+  const fresh = loadDisplayFormat(storage);
+  const saved = saveDisplayFormat({ currency: "GBP", compact: true }, storage);
+  const loaded = loadDisplayFormat(storage);
+  storage.setItem(DISPLAY_FORMAT_KEY, "{not json");
+  const broken = loadDisplayFormat(storage);
+  assert(fresh.currency === "INR" && saved && loaded.currency === "GBP" && loaded.grouping === "international" &&
+    loaded.compact === true && broken.currency === "INR" && formatNumber(1234567, { grouping: "indian" }) === "12,34,567",
+    "TC-CUR-10: saveDisplayFormat → loadDisplayFormat round trip; unreadable → rupees");
+}
+
+// 11. Descriptions and charts write amounts in the format they are given
+{
+  const format = { currency: "USD" };
+  const scenario = { calculator: "swp", inputs: { monthlyWithdrawal: 2000, corpus: 500000, annualRate: 8 } };
+  const chart = buildLineChartSVG({ series: [{ label: "Corpus", color: "#fff", points: [{ x: 0, y: 0 }, { x: 1, y: 200000 }] }], format });
+  assert(describeScenario(scenario, format) === "SWP $2,000/mo from $500,000 @ 8%" &&
+    describeScenario(scenario) === "SWP Rs. 2,000/mo from Rs. 5,00,000 @ 8%" &&
+    describeTaxRules("equity", format).endsWith("$125,000/yr exempt") &&
+    chart.includes("$200,000") && !chart.includes("Rs."),
+    "TC-CUR-11: describeScenario, describeTaxRules and chart labels take the display format");
+}
+
+// ─── Export Tests ─────────────────────────────────────────────────────────────
+section("Export — CSV, JSON & Print Report");
+
+const sampleReport = Object.assign(
+  buildReport("SIP Calculator",
+    [{ label: "Monthly Investment (Rs.)", value: 5000 }, { label: "Fund Type", value: "Equity" }],
+    [{ label: "Total Value", value: 1161695.3817 }],
+    groupScheduleByYear(calculateSIP(5000, 12, 2).schedule)),
+  { generatedAt: "2026-01-31" });
+
+// 1. CSV cells with commas, quotes or newlines are quoted
+{
+  const csv = toCSV([["a,b", 'say "hi"', "plain", 1.006, null]]);
+  assert(csv === '"a,b","say ""hi""",plain,1.01,', "TC-EXP-01: CSV quoting and paise rounding", "got " + csv);
+}
+
+// 2. Report CSV has inputs, results and one schedule row per period
+{
+  const lines = buildReportCSV(sampleReport).split("\r\n");
+  const header = lines.indexOf("Year,Opening Balance,Contribution,Withdrawal,Returns,Closing Balance");
+  assert(lines[0] === "SIP Calculator Report" && lines.includes("Monthly Investment (Rs.),5000") &&
+    lines.includes("Total Value,1161695.38") && header > 0 && lines[header + 1].startsWith("1,0,60000,0,"),
+    "TC-EXP-02: CSV sections in order with a yearly schedule");
+}
+
+// 3. JSON round-trips and drops the nested months of yearly rows
+{
+  const json = JSON.parse(buildReportJSON(sampleReport));
+  assert(json.schedule.length === 2 && !("months" in json.schedule[0]) &&
+    json.schedule[1].closingBalance === Math.round(sampleReport.schedule[1].closingBalance * 100) / 100 &&
+    json.inputs[1].value === "Equity",
+    "TC-EXP-03: JSON export has the schedule without nested months");
+}
+
+// 4. Print layout lists every schedule row and escapes text
+{
+  const report = buildReport("<Test>", [{ label: "A & B", value: 100000 }], [], calculateSIP(1000, 12, 1).schedule);
+  const html = renderReportHTML(report);
+  assert(html.includes("&lt;Test&gt; Report") && html.includes("A &amp; B") && html.includes("1,00,000") &&
+    (html.match(/<tr>/g) || []).length === 1 + 1 + 12,
+    "TC-EXP-04: print report escapes HTML and renders 12 schedule rows");
+}
+
+// 5. File names are slugged from the title and dated
+{
+  assert(reportFileName(sampleReport, "csv") === "sip-calculator-2026-01-31.csv",
+    "TC-EXP-05: report file name", "got " + reportFileName(sampleReport, "csv"));
+}
+
+// 6. Text that would open as a formula is kept as text; negative numbers are not touched
+{
+  const csv = toCSV([["=HYPERLINK(\"http://x\")", "+1", "-1", "@SUM(A1)", "a=b", -1500.5]]);
+  assert(csv === '"\'=HYPERLINK(""http://x"")",\'+1,\'-1,\'@SUM(A1),a=b,-1500.5',
+    "TC-EXP-06: CSV formula-like text gets a leading ', negative amounts stay numbers", "got " + csv);
+}
+
+// ─── Backtest Tests ───────────────────────────────────────────────────────────
+section("Backtest — Historical NAVs");
+
+// Weekday NAVs growing at exactly 12% a year from 1 Jan 2018, so a backtest can
+// be checked against the assumed-rate calculators. Those compound 1% a month
+// (12.68% a year), so corpora agree within 2% rather than exactly.
+const backtestNAVs = (function () {
+  const navs = [];
+  const start = Date.UTC(2018, 0, 1);
+  for (let day = 0; day <= 6 * 365; day++) {
+    const date = new Date(start + day * 86400000);
+    if (date.getUTCDay() % 6 === 0) continue;
+    navs.push({ date: date.toISOString().slice(0, 10), nav: 10 * Math.pow(1.12, day / 365) });
+  }
+  return navs;
+})();
+
+// 1. NAV dates in every supported format
+{
+  assert(parseNAVDate("2024-04-01") === "2024-04-01" && parseNAVDate("01-Apr-2024") === "2024-04-01" &&
+    parseNAVDate("1/4/2024") === "2024-04-01" && parseNAVDate("29-02-2024") === "2024-02-29" &&
+    parseNAVDate("29-02-2023") === null && parseNAVDate("01-Abc-2024") === null && parseNAVDate("") === null,
+    "TC-BT-01: parseNAVDate reads ISO, DD-MM-YYYY, DD/MM/YYYY and DD-Mon-YYYY");
+}
+
+// 2. Monthly dates keep the day, capped at short month ends
+{
+  assert(addMonthsToDate("2024-01-31", 1) === "2024-02-29" && addMonthsToDate("2024-01-31", 2) === "2024-03-31" &&
+    addMonthsToDate("2023-11-15", 3) === "2024-02-15" && addMonthsToDate("2024-05-10", 0) === "2024-05-10",
+    "TC-BT-02: addMonthsToDate");
+}
+
+// 3. CSV cells with quotes, embedded delimiters and CRLF
+{
+  const rows = parseCSV('a,"b,c","say ""hi"""\r\n1;2,3\n', ",");
+  assert(rows.length === 3 && rows[0].join("|") === 'a|b,c|say "hi"' && rows[1].length === 2 && rows[2][0] === "",
+    "TC-BT-03: parseCSV handles RFC 4180 quoting");
+}
+
+// 4. AMFI download: semicolons, section headings, N.A. NAVs, unsorted rows
+{
+  const amfi = [
+    "Scheme Code;Scheme Name;ISIN Div Payout/ISIN Growth;ISIN Div Reinvestment;Net Asset Value;Repurchase Price;Sale Price;Date",
+    "",
+    "Open Ended Schemes(Equity Scheme - Large Cap Fund)",
+    "",
+    "120503;Axis Bluechip Fund - Direct Plan - Growth;INF846K01DP8;;45.5100;;;03-Apr-2023",
+    "120503;Axis Bluechip Fund - Direct Plan - Growth;INF846K01DP8;;45.2300;;;31-Mar-2023",
+    "120503;Axis Bluechip Fund - Direct Plan - Growth;INF846K01DP8;;N.A.;;;01-Apr-2023"
+  ].join("\r\n");
+  const result = parseNAVHistory(amfi);
+  assert(result.ok && result.navs.length === 2 && result.navs[0].date === "2023-03-31" && result.navs[1].nav === 45.51 &&
+    result.fund === "Axis Bluechip Fund - Direct Plan - Growth" && result.skipped === 2,
+    "TC-BT-04: parseNAVHistory reads an AMFI NAV history", JSON.stringify(result));
+}
+
+// 5. Plain CSV, headerless CSV and JSON
+{
+  const csv = parseNAVHistory('Date,NAV\n2024-01-02,"1,010.50"\n2024-01-01,1000\n2024-01-02,1011');
+  const bare = parseNAVHistory("01/01/2024,10\n02/01/2024,11");
+  const json = parseNAVHistory(JSON.stringify({ meta: { scheme_name: "Gilt Fund" }, data: [{ date: "02-01-2024", nav: "11.5" }, { date: "01-01-2024", nav: "11" }] }));
+  assert(csv.ok && csv.navs.length === 2 && csv.navs[1].nav === 1011 && bare.ok && bare.navs[1].date === "2024-01-02" &&
+    json.ok && json.fund === "Gilt Fund" && json.navs[0].nav === 11,
+    "TC-BT-05: CSV with a header, headerless CSV and JSON all load; a repeated date keeps its last NAV");
+}
+
+// 6. Files that can't be used are refused with a message
+{
+  const empty = parseNAVHistory("  ");
+  const noColumns = parseNAVHistory("Fund,Value\nX,10");
+  const oneNAV = parseNAVHistory("Date,NAV\n2024-01-01,10");
+  const twoSchemes = parseNAVHistory("Scheme Code;Net Asset Value;Date\n1;10;01-Jan-2024\n2;20;02-Jan-2024");
+  const badJSON = parseNAVHistory("{oops");
+  assert(!empty.ok && !noColumns.ok && !oneNAV.ok && !twoSchemes.ok && /2 schemes/.test(twoSchemes.error) && !badJSON.ok,
+    "TC-BT-06: empty, unrecognised, too-short, multi-scheme and invalid JSON files are refused");
+}
+
+// 7. Gaps use the next available NAV
+{
+  const saturday = "2018-01-06";
+  const index = navIndexOnOrAfter(backtestNAVs, saturday);
+  const last = backtestNAVs[backtestNAVs.length - 1].date;
+  assert(backtestNAVs[index].date === "2018-01-08" && navIndexOnOrAfter(backtestNAVs, "2030-01-01") === -1 &&
+    navIndexOnOrAfter(backtestNAVs, "2000-01-01") === 0 && backtestMaxMonths(backtestNAVs, "2018-01-01") === 71 &&
+    addMonthsToDate("2018-01-01", 71) <= last && addMonthsToDate("2018-01-01", 72) > last,
+    "TC-BT-07: navIndexOnOrAfter skips weekends; backtestMaxMonths fits the history");
+}
+
+// 8. Maximum drawdown finds the deepest fall from a peak
+{
+  const navs = [10, 12, 9, 11, 13, 7.8, 14].map((nav, i) => ({ date: "2024-01-0" + (i + 1), nav }));
+  const drawdown = calculateMaxDrawdown(navs);
+  assert(approxEqual(drawdown.percent, 40, 1e-9) && drawdown.peakDate === "2024-01-05" && drawdown.troughDate === "2024-01-06" &&
+    calculateMaxDrawdown(backtestNAVs).percent === 0,
+    "TC-BT-08: calculateMaxDrawdown", JSON.stringify(drawdown));
+}
+
+// 9. SIP on a steady 12% NAV tracks calculateSIP and returns an XIRR near 12%
+{
+  const result = runBacktest(backtestNAVs, "sip", { P: 10000, annualRate: 12 }, "2018-01-01", 60);
+  const units = result.schedule.reduce((sum, row) => sum + row.units, 0);
+  const returns = result.schedule.reduce((sum, row) => sum + row.returns, 0);
+  assert(result.ok && result.invested === 600000 && result.schedule.length === 60 && result.schedule[0].tradeDate === "2018-01-01" &&
+    approxEqual(units, result.units, 1e-6) && approxEqual(result.invested + returns, result.corpus, 0.01) &&
+    Math.abs(result.corpus / result.assumed.corpus - 1) < 0.02 && Math.abs(result.xirr - 12) < 0.01 && result.maxDrawdown.percent === 0,
+    "TC-BT-09: SIP backtest matches the assumed-rate SIP on a 12% NAV", result.corpus + " vs " + result.assumed.corpus + ", XIRR " + result.xirr);
+}
+
+// 10. Lumpsum growth equals the NAV ratio between the trade and valuation dates
+{
+  const result = runBacktest(backtestNAVs, "lumpsum", { P: 100000, annualRate: 12 }, "2018-03-10", 36);
+  const buy = backtestNAVs[navIndexOnOrAfter(backtestNAVs, "2018-03-10")];
+  const sell = backtestNAVs[navIndexOnOrAfter(backtestNAVs, "2021-03-10")];
+  assert(result.ok && result.startDate === "2018-03-12" && result.endDate === sell.date &&
+    approxEqual(result.corpus, 100000 * sell.nav / buy.nav, 1e-6) && result.schedule[1].units === 0 &&
+    Math.abs(result.corpus / result.assumed.corpus - 1) < 0.02,
+    "TC-BT-10: lumpsum backtest buys on the next NAV day and values at the real NAV");
+}
+
+// 11. STP moves the debt fund into units month by month
+{
+  const result = runBacktest(backtestNAVs, "stp", { lumpSum: 500000, monthlyTransfer: 50000, debtRate: 7, annualRate: 12 }, "2018-01-01", 12);
+  const last = result.schedule[11];
+  assert(result.ok && result.invested === 500000 && last.debtBalance < 50000 &&
+    approxEqual(last.equityBalance, result.units * result.nav, 1e-6) && approxEqual(result.corpus, last.debtBalance + last.equityBalance, 1e-6) &&
+    Math.abs(result.corpus / result.assumed.corpus - 1) < 0.02,
+    "TC-BT-11: STP backtest splits debt and fund balances and tracks calculateSTP");
+}
+
+// 12. SWP sells units, steps withdrawals up and reports when the corpus runs out
+{
+  const steady = runBacktest(backtestNAVs, "swp", { corpus: 1000000, monthlyWithdrawal: 10000, escalationRate: 10, annualRate: 12 }, "2018-01-01", 24);
+  const depleting = runBacktest(backtestNAVs, "swp", { corpus: 100000, monthlyWithdrawal: 20000, annualRate: 12 }, "2018-01-01", 24);
+  assert(steady.ok && steady.withdrawn === 12 * 10000 + 12 * 11000 && steady.schedule[12].units < 0 && steady.depletedMonth === null &&
+    Math.abs((steady.corpus + steady.withdrawn) / (steady.assumed.corpus + steady.assumed.withdrawn) - 1) < 0.02 &&
+    depleting.depletedMonth === 6 && depleting.units === 0 && depleting.corpus === 0 && depleting.schedule.length === 6 &&
+    approxEqual(depleting.withdrawn, depleting.gain + depleting.invested, 1e-6),
+    "TC-BT-12: SWP backtest with a step-up, and one that runs out in month 6");
+}
+
+// 13. Plans outside the history are refused with a message
+{
+  const early = runBacktest(backtestNAVs, "sip", { P: 1000 }, "2017-06-01", 12);
+  const late = runBacktest(backtestNAVs, "sip", { P: 1000 }, "2023-06-01", 12);
+  const noData = runBacktest([], "sip", { P: 1000 }, "2018-01-01", 12);
+  const badDate = runBacktest(backtestNAVs, "sip", { P: 1000 }, "someday", 12);
+  const unknown = runBacktest(backtestNAVs, "fd", { P: 1000 }, "2018-01-01", 12);
+  assert(!early.ok && /starts on 2018-01-01/.test(early.error) && !late.ok && /ends on/.test(late.error) &&
+    !noData.ok && !badDate.ok && !unknown.ok && !("assumed" in runBacktest(backtestNAVs, "sip", { P: 1000 }, "2018-01-01", 12)),
+    "TC-BT-13: runBacktest refuses dates outside the history and unknown plans");
+}
+
+// 14. The STP's debt fund grows at the monthly rate of the STP's rate convention
+{
+  const inputs = { lumpSum: 500000, monthlyTransfer: 50000, debtRate: 7 };
+  const nominal = runBacktest(backtestNAVs, "stp", inputs, "2018-01-01", 3);
+  const effective = runBacktest(backtestNAVs, "stp", inputs, "2018-01-01", 3, { convention: { rateType: "effective" } });
+  assert(approxEqual(nominal.schedule[0].debtBalance, 500000 * (1 + 0.07 / 12) - 50000, 1e-6) &&
+    approxEqual(effective.schedule[0].debtBalance, 500000 * Math.pow(1.07, 1 / 12) - 50000, 1e-6),
+    "TC-BT-14: STP backtest debt fund follows the rate convention (7% nominal monthly, or 7% effective)",
+    nominal.schedule[0].debtBalance + " / " + effective.schedule[0].debtBalance);
+}
+
+// ─── Rolling Returns Tests ────────────────────────────────────────────────────
+section("Rolling Returns — CAGR Distribution");
+
+// 1. A steady 12% history gives 12% in every window it can fill
+{
+  const all = ROLLING_WINDOWS.map(years => calculateRollingReturns(backtestNAVs, years, 10));
+  const three = all[1];
+  assert(all[0].count > all[1].count && all[1].count > all[2].count && all[3].count === 0 && all[3].median === null &&
+    three.periods[0].start === "2018-01-01" && three.periods[0].end === "2021-01-01" &&
+    Math.abs(three.min.cagr - 12) < 0.2 && Math.abs(three.max.cagr - 12) < 0.2 && Math.abs(three.median - 12) < 0.05 &&
+    three.beatHurdle === 100,
+    "TC-ROLL-01: rolling 1/3/5-year CAGRs on a steady 12% history; no 10-year periods in 6 years");
+}
+
+// 2. Min, max, median and hurdle share on a known series
+{
+  const navs = [100, 110, 90, 120, 150].map((nav, i) => ({ date: (2018 + i) + "-01-01", nav }));
+  const result = calculateRollingReturns(navs, 1, 10);
+  assert(result.count === 4 && approxEqual(result.min.cagr, -18.1818, 1e-3) && result.min.start === "2019-01-01" &&
+    approxEqual(result.max.cagr, 33.3333, 1e-3) && result.max.end === "2021-01-01" &&
+    approxEqual(result.median, (10 + 25) / 2, 1e-9) && result.beatHurdle === 75,
+    "TC-ROLL-02: calculateRollingReturns min, max, median and % beating the hurdle", JSON.stringify(result.periods));
+}
+
+// 3. Windows ending on a holiday use the next price, and CAGR is still over whole years
+{
+  const navs = [{ date: "2020-03-02", nav: 100 }, { date: "2021-03-01", nav: 105 }, { date: "2021-03-03", nav: 110 }];
+  const result = calculateRollingReturns(navs, 1);
+  assert(result.count === 1 && result.periods[0].end === "2021-03-03" && approxEqual(result.periods[0].cagr, 10, 1e-9) &&
+    result.beatHurdle === 100,
+    "TC-ROLL-03: a missing end date rolls to the next available price");
+}
+
+// 4. Histogram bins are round, cover every value and count each once
+{
+  const values = [-3.2, 0, 4.9, 5, 5.1, 12.4, 18];
+  const bins = histogramBins(values);
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  const width = bins[0].to - bins[0].from;
+  assert(total === values.length && bins[0].from <= -3.2 && bins[bins.length - 1].to > 18 && width === 2 &&
+    bins.find(bin => bin.from === 4).count === 3 && histogramBins([]).length === 0 && histogramBins([7, 7])[0].count === 2,
+    "TC-ROLL-04: histogramBins", JSON.stringify(bins));
+}
+
+// 5. The histogram SVG has a bar per bin, coloured by the hurdle, and a hurdle line
+{
+  const bins = histogramBins([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  const svg = buildHistogramSVG(bins, 5);
+  assert((svg.match(/<rect/g) || []).length === bins.length && svg.indexOf("Hurdle 5%") !== -1 &&
+    svg.indexOf("#F87171") !== -1 && svg.indexOf("of periods") !== -1 && svg.indexOf("<title>") !== -1,
+    "TC-ROLL-05: buildHistogramSVG draws bars, hurdle line and hover titles");
+}
+
+// ─── Transaction Ledger Tests ─────────────────────────────────────────────────
+section("Transaction Ledger — Import, Unit Balances & Gains");
+
+const sampleLedger = [
+  "Date,Folio,Scheme,Transaction Type,Amount,Units,NAV",
+  "01-Jan-2022,123/45,Nifty 50 Index Fund,Purchase,\"10,000.00\",500.000,20.00",
+  "05-Feb-2022,123/45,Nifty 50 Index Fund,SIP Purchase,5000,238.095,21.00",
+  "10-Mar-2023,123/45,Nifty 50 Index Fund,Redemption,-6000,-300.000,20.00",
+  "01-Apr-2023,999/1,Liquid Fund,Switch In,20000,10,2000",
+  "01-May-2023,999/1,Liquid Fund,Switch Out,21000,10,2100",
+  "15-Jun-2023,777,Nifty 50 Index Fund,Purchase,9000,400,22.5"
+].join("\n");
+
+// 1. Each row becomes a dated transaction of a known type
+{
+  const r = parseLedger(sampleLedger);
+  const types = r.transactions.map(t => t.type).join(",");
+  assert(r.ok && r.transactions.length === 6 && types === "purchase,sip,redemption,switchIn,switchOut,purchase" &&
+    r.transactions[0].amount === 10000 && r.transactions[0].date === "2022-01-01" && r.transactions[0].line === 2 &&
+    r.transactions[2].units === 300 && r.transactions[3].folio === "999/1",
+    "TC-LED-01: parseLedger reads dates, folios, types, grouped amounts and unsigned units", types);
+}
+
+// 2. Malformed rows fail the import with their line numbers
+{
+  const r = parseLedger([
+    "Date;Scheme;Type;Units;NAV",
+    "31-02-2024;Fund A;Purchase;10;12",
+    "",
+    "2024-01-01;Fund A;Dividend;10;12",
+    "2024-01-01;;Purchase;10;12",
+    "2024-01-01;Fund A;Purchase;abc;12",
+    "2024-01-01;Fund A;Purchase;10;",
+    "2024-01-02;Fund A;Purchase;10;12"
+  ].join("\r\n"));
+  const lines = r.ok ? "" : r.errors.map(e => e.line).join(",");
+  assert(!r.ok && lines === "2,4,5,6,7" && /isn't a date/.test(r.errors[0].message) && /Dividend/.test(r.errors[1].message),
+    "TC-LED-02: malformed rows are rejected with line numbers (blank lines counted)", lines);
+}
+
+// 3. Missing columns, empty files and quoted line breaks
+{
+  const noColumns = parseLedger("Date,Scheme,Units\n2024-01-01,Fund A,10");
+  const quoted = parseLedger("Date,Scheme,Type,Units,Amount\n2024-01-01,\"Fund\nA\",Purchase,10,100\n2024-01-01,Fund B,Bonus,10,100");
+  assert(!noColumns.ok && noColumns.errors.map(e => e.message).join(" ") === "No Type column in the header. No Amount or NAV column in the header." &&
+    !parseLedger("  ").ok && !quoted.ok && quoted.errors[0].line === 4,
+    "TC-LED-03: missing columns, empty files and quoted line breaks", JSON.stringify(quoted.errors));
+}
+
+// 4. Units run per folio and scheme; redemptions use up the oldest lots first
+{
+  const r = summarizeLedger(parseLedger(sampleLedger).transactions, { "Nifty 50 Index Fund": 25 }, "2024-01-01");
+  const main = r.holdings[0];
+  assert(r.ok && r.holdings.length === 2 && r.closed === 1 && main.folio === "123/45" &&
+    approxEqual(main.units, 438.095, 1e-9) && approxEqual(main.invested, 9000, 1e-9) &&
+    main.lots[0].units === 200 && approxEqual(main.lots[0].cost, 4000, 1e-9) &&
+    approxEqual(main.currentValue, 438.095 * 25, 1e-9) && approxEqual(main.gain, 438.095 * 25 - 9000, 1e-9) &&
+    approxEqual(main.gainPercent, (438.095 * 25 - 9000) / 90, 1e-9),
+    "TC-LED-04: FIFO cost basis, current value and absolute gain", JSON.stringify(main));
+  assert(main.since === "2022-01-01" && main.lots[0].days === 730 &&
+    approxEqual(main.holdingDays, (730 * 4000 + 695 * 5000) / 9000, 1e-9) && daysBetween("2024-02-28", "2024-03-01") === 2,
+    "TC-LED-05: holding periods in days, weighted by cost");
+}
+
+// 5. The annualised return is the XIRR of the lots still held
+{
+  const transactions = parseLedger("Date,Scheme,Type,Units,Amount\n2022-01-01,Fund A,Purchase,100,10000").transactions;
+  const r = summarizeLedger(transactions, { "Fund A": 121 }, "2024-01-01");
+  assert(approxEqual(r.holdings[0].annualisedReturn, (Math.pow(1.21, 365 / 730) - 1) * 100, 1e-6) &&
+    approxEqual(r.totals.annualisedReturn, r.holdings[0].annualisedReturn, 1e-9),
+    "TC-LED-06: annualised return over 730 days", r.holdings[0].annualisedReturn);
+}
+
+// 6. Holdings without a NAV are listed but left out of the valued totals
+{
+  const r = summarizeLedger(parseLedger(sampleLedger).transactions, {}, "2024-01-01");
+  assert(r.ok && r.holdings.every(h => h.nav === null && h.currentValue === null && h.annualisedReturn === null) &&
+    approxEqual(r.totals.invested, 18000, 1e-9) && r.totals.currentValue === 0 && r.totals.unvalued === 2 &&
+    r.totals.gainPercent === null && r.totals.annualisedReturn === null,
+    "TC-LED-07: holdings without a NAV stay unvalued");
+}
+
+// 7. Redeeming more than is held, or trading after the valuation date, is an error on that line
+{
+  const transactions = parseLedger([
+    "Date,Folio,Scheme,Type,Units,Amount",
+    "2023-01-01,1,Fund A,Purchase,10,1000",
+    "2023-02-01,2,Fund A,Redemption,5,600",
+    "2024-06-01,1,Fund A,Purchase,10,1000"
+  ].join("\n")).transactions;
+  const r = summarizeLedger(transactions, { "Fund A": 120 }, "2024-01-01");
+  assert(!r.ok && r.errors.length === 2 && r.errors[0].line === 3 && /folio 2/.test(r.errors[0].message) && r.errors[1].line === 4,
+    "TC-LED-08: units can't be redeemed from a folio that doesn't hold them", JSON.stringify(r.errors));
+}
+
+// 9. Rows that move no units are skipped; types are matched whole, not by substring
+{
+  const r = parseLedger([
+    "Date,Scheme,Transaction Type,Amount,Units,NAV",
+    "2024-01-01,Fund A,Purchase,9999.50,500,20",
+    "2024-01-01,Fund A,Stamp Duty,0.50,,",
+    "2024-02-01,Fund A,Systematic Withdrawal,2100,100,21",
+    "2024-03-01,Fund A,Dividend Payout,150,,"
+  ].join("\n"));
+  const loose = parseLedger("Date,Scheme,Type,Units,NAV\n2024-01-01,Fund A,Investment Sale,10,12\n2024-01-01,Fund A,Stamp Duty,10,12");
+  assert(r.ok && r.transactions.map(t => t.type).join() === "purchase,redemption" &&
+    r.skipped.map(row => row.line + ":" + row.type).join() === "3:Stamp Duty,5:Dividend Payout" &&
+    !loose.ok && loose.errors.map(e => e.line).join() === "2,3",
+    "TC-LED-09: stamp duty and payouts skipped, loose or unit-bearing types rejected", JSON.stringify(r.skipped || r.errors));
+}
+
+// ─── Chart Tests ──────────────────────────────────────────────────────────────
+section("Charts — SVG Line Charts");
+
+const sampleChart = {
+  series: [
+    { label: "Invested", color: "#93C5FD", points: [{ x: 0, y: 0 }, { x: 1, y: 120000 }, { x: 2, y: 240000 }] },
+    { label: "Corpus", color: "#D4AF37", dashed: true, points: [{ x: 0, y: 0 }, { x: 1, y: 128093 }, { x: 2, y: 272432 }] }
+  ]
+};
+
+// 1. Axis maximum rounds up to a readable number
+{
+  assert(niceCeil(272432) === 500000 && niceCeil(180000) === 200000 && niceCeil(1000) === 1000 &&
+    niceCeil(2300) === 2500 && niceCeil(0) === 1,
+    "TC-CHART-01: niceCeil rounds up to 1, 2, 2.5 or 5 × a power of ten");
+}
+
+// 2. Layout spans every x and maps values onto the plot area
+{
+  const layout = lineChartLayout(sampleChart);
+  assert(layout.xMin === 0 && layout.xMax === 2 && layout.yMax === 500000 && layout.yTicks.length === 5 &&
+    layout.xTicks.join(",") === "0,1,2" && layout.x(0) < layout.x(2) && layout.y(0) > layout.y(500000),
+    "TC-CHART-02: lineChartLayout ticks and scales");
+}
+
+// 3. Long horizons keep the x axis readable
+{
+  const points = [];
+  for (let month = 0; month <= 360; month++) points.push({ x: month, y: month * 1000 });
+  const layout = lineChartLayout({ series: [{ points }] });
+  assert(layout.xTicks.length <= 7 && layout.xTicks[0] === 0, "TC-CHART-03: at most 7 x-axis labels", layout.xTicks.join(","));
+}
+
+// 4. SVG markup draws one line per series with rupee labels and a legend
+{
+  const svg = buildLineChartSVG(sampleChart);
+  const noLegend = buildLineChartSVG(Object.assign({ legend: false }, sampleChart));
+  assert((svg.match(/<polyline/g) || []).length === 2 && svg.indexOf(formatINR(500000)) !== -1 &&
+    svg.indexOf("Year 2") !== -1 && svg.indexOf("stroke-dasharray") !== -1 && svg.indexOf(">Corpus<") !== -1 &&
+    noLegend.indexOf(">Corpus<") === -1 && svg.indexOf("data-chart-overlay") !== -1,
+    "TC-CHART-04: buildLineChartSVG has a polyline per series, formatINR axis and legend");
+}
+
+// 5. Tooltip values come from every series at the hovered x
+{
+  const values = chartValuesAt(sampleChart, 1);
+  assert(values.length === 2 && values[0].label === "Invested" && values[1].y === 128093 &&
+    chartValuesAt(sampleChart, 5).length === 0,
+    "TC-CHART-05: chartValuesAt returns each series' value at x");
+}
+
+// 6. Growth series match the calculator schedule year by year
+{
+  const sip = calculateSIP(10000, 12, 10);
+  const series = growthChartSeries(sip.schedule, { inflationRate: 6 });
+  const corpus = series[1].points;
+  const real = series[2].points;
+  assert(series.length === 3 && corpus.length === 11 && corpus[0].y === 0 &&
+    approxEqual(corpus[10].y, sip.futureValue) && series[0].points[10].y === sip.totalInvested &&
+    approxEqual(real[10].y, sip.futureValue / Math.pow(1.06, 10)) && real[0].x === 0,
+    "TC-CHART-06: growthChartSeries follows calculateSIP with an inflation-adjusted line");
+}
+
+// 7. A lumpsum starts invested at year 0
+{
+  const lumpsum = calculateLumpsum(100000, 12, 5);
+  const series = growthChartSeries(lumpsum.schedule, { initial: 100000, corpusLabel: "Value" });
+  assert(series.length === 2 && series[1].label === "Value" && series[0].points[0].y === 100000 &&
+    series[1].points[0].y === 100000 && series[0].points[5].y === 100000 &&
+    approxEqual(series[1].points[5].y, lumpsum.futureValue),
+    "TC-CHART-07: growthChartSeries honours the initial lumpsum");
+}
+
+// 8. A chart can label its own y values, e.g. weights in percent
+{
+  const svg = buildLineChartSVG({ yFormat: value => value + "%", series: [{ label: "Equity", color: "#34D399", points: [{ x: 0, y: 60 }, { x: 1, y: 64 }] }] });
+  assert(svg.indexOf(">100%<") !== -1 && svg.indexOf(formatINR(100)) === -1,
+    "TC-CHART-08: yFormat replaces money on the y axis");
+}
+
+// ─── Permalink Tests ──────────────────────────────────────────────────────────
+section("Permalinks — URL State");
+
+const sipLinkSpec = {
+  principal: { min: 500, max: 100000, step: 500 },
+  rate: { min: 1, max: 30, step: 0.5 },
+  topupToggle: { toggle: true },
+  view: { options: ["yearly", "monthly"] }
+};
+
+// 1. Values outside the slider are clamped to its bounds
+{
+  assert(clampToSlider("250000", 500, 100000, 500) === 100000 && clampToSlider("-5", 500, 100000, 500) === 500,
+    "TC-LINK-01: out-of-range values clamp to min/max");
+}
+
+// 2. Values snap to the slider step without float noise
+{
+  assert(clampToSlider("12.3", 1, 30, 0.5) === 12.5 && clampToSlider("0.12", 0.05, 2.5, 0.05) === 0.1,
+    "TC-LINK-02: values snap to the step", "got " + clampToSlider("0.12", 0.05, 2.5, 0.05));
+}
+
+// 3. Non-numbers are rejected
+{
+  assert(clampToSlider("abc", 1, 30, 1) === null && clampToSlider("", 1, 30, 1) === null,
+    "TC-LINK-03: non-numeric values are rejected");
+}
+
+// 4. Bad parameters are dropped, good ones are kept and typed
+{
+  const state = parsePermalink("?principal=12345&rate=abc&topupToggle=1&view=weekly&extra=9", sipLinkSpec);
+  assert(JSON.stringify(state) === JSON.stringify({ principal: 12500, topupToggle: true }),
+    "TC-LINK-04: invalid rate/view and unknown keys are dropped", "got " + JSON.stringify(state));
+}
+
+// 5. State survives a round trip through the query string
+{
+  const state = { principal: 5000, rate: 12.5, topupToggle: false, view: "monthly" };
+  const query = buildPermalinkQuery(state);
+  assert(query === "?principal=5000&rate=12.5&topupToggle=0&view=monthly" &&
+    JSON.stringify(parsePermalink(query, sipLinkSpec)) === JSON.stringify(state),
+    "TC-LINK-05: buildPermalinkQuery → parsePermalink round trip", "got " + query);
+}
+
+// 6. Rows of an extra need strict dates, so crafted text is dropped
+{
+  const crafted = '2020/01/01 ("><img id=pwn src=x onerror=alert(1)>)';
+  const pauses = parsePermalinkRows("2026-04-01.2026-06-30_" + crafted + ".2020-03-01_2026-02-30.2026-03-01", ["from", "to"], ["from", "to"]);
+  const lumpsums = parsePermalinkRows(crafted + ".50000.1_2027-03-10.12345.0", ["date", "amount", "yearly"], ["date"]);
+  assert(JSON.stringify(pauses) === JSON.stringify([{ from: "2026-04-01", to: "2026-06-30" }]) &&
+    JSON.stringify(lumpsums) === JSON.stringify([{ date: "2027-03-10", amount: "12345", yearly: "0" }]) &&
+    !isNaN(Date.parse(crafted)),
+    "TC-LINK-06: parsePermalinkRows keeps YYYY-MM-DD rows and drops crafted or impossible dates",
+    "got " + JSON.stringify(pauses) + " " + JSON.stringify(lumpsums));
+}
+
+// 7. XIRR cash flows from a link go through the same check
+{
+  const flows = parsePermalinkRows('2020/01/01 ("><img id=pwn>).invest.1000_2021-01-01.invest.1000_24-01-01.value.1500',
+    ["date", "type", "amount"], ["date"]);
+  assert(flows.length === 1 && flows[0].date === "2021-01-01" && flows[0].type === "invest",
+    "TC-LINK-07: a crafted or short-year cash flow date is dropped", "got " + JSON.stringify(flows));
+}
+
+// ─── Monte Carlo Tests ────────────────────────────────────────────────────────
+section("Monte Carlo — Simulated Markets");
+
+// 1. The same seed reproduces the same bands
+{
+  const a = calculateSIPMonteCarlo(5000, 12, 10, 15, { paths: 500, seed: 42 });
+  const b = calculateSIPMonteCarlo(5000, 12, 10, 15, { paths: 500, seed: 42 });
+  const c = calculateSIPMonteCarlo(5000, 12, 10, 15, { paths: 500, seed: 43 });
+  assert(JSON.stringify(a) === JSON.stringify(b) && a.p50[10] !== c.p50[10],
+    "TC-MC-01: seeded runs are reproducible and differ across seeds");
+}
+
+// 2. Zero volatility collapses every band onto calculateSIP
+{
+  const mc = calculateSIPMonteCarlo(5000, 12, 10, 0, { paths: 10, seed: 1 });
+  const { futureValue } = calculateSIP(5000, 12, 10);
+  assert(approxEqual(mc.p10[10], futureValue, 0.01) && approxEqual(mc.p90[10], futureValue, 0.01),
+    "TC-MC-02: σ = 0 SIP bands equal calculateSIP", "got " + mc.p50[10] + " vs " + futureValue);
+}
+
+// 3. Zero volatility lumpsum and step-up SIP match their calculators
+{
+  const lump = calculateLumpsumMonteCarlo(100000, 12, 10, 0, { paths: 10 });
+  const topUp = calculateSIPMonteCarlo(5000, 12, 10, 0, { paths: 10, topUpRate: 10 });
+  assert(approxEqual(lump.p50[10], calculateLumpsum(100000, 12, 10).futureValue, 0.01) &&
+    approxEqual(topUp.p50[10], calculateTopUpSIP(5000, 12, 10, 10).futureValue),
+    "TC-MC-03: σ = 0 lumpsum and step-up SIP match the deterministic calculators");
+}
+
+// 4. Percentile bands are ordered and start at the initial balance
+{
+  const mc = calculateLumpsumMonteCarlo(100000, 12, 15, 20, { paths: 1000, seed: 7 });
+  const ordered = mc.p10.every((v, i) => v <= mc.p50[i] && mc.p50[i] <= mc.p90[i]);
+  assert(ordered && mc.p10[0] === 100000 && mc.p10.length === 16 && mc.paths === 1000,
+    "TC-MC-04: P10 ≤ P50 ≤ P90 every year, index 0 is the start");
+}
+
+// 5. Volatility drags the median below the deterministic value
+{
+  const mc = calculateLumpsumMonteCarlo(100000, 12, 20, 20, { paths: 2000, seed: 3 });
+  const deterministic = calculateLumpsum(100000, 12, 20).futureValue;
+  assert(mc.p50[20] < deterministic && mc.p90[20] > deterministic,
+    "TC-MC-05: median < deterministic < P90 under 20% volatility");
+}
+
+// 6. A corpus that never runs out survives every path at zero volatility
+{
+  const mc = calculateSWPMonteCarlo(2000000, 10000, 8, 30, 0, { paths: 10 });
+  assert(mc.survivalProbability === 1 && mc.p50[30] > 2000000,
+    "TC-MC-06: indefinite SWP has 100% survival at σ = 0");
+}
+
+// 7. A corpus that runs out early never survives the horizon at low volatility
+{
+  const deterministic = calculateSWP(2000000, 30000, 8);
+  const mc = calculateSWPMonteCarlo(2000000, 30000, 8, 20, 2, { paths: 500, seed: 1 });
+  assert(deterministic.years < 8 && mc.survivalProbability === 0 && mc.p90[20] === 0,
+    "TC-MC-07: SWP depleting in " + deterministic.years + " yrs has 0% survival over 20",
+    "got " + mc.survivalProbability);
+}
+
+// 8. Survival can only fall as the years go by
+{
+  const mc = calculateSWPMonteCarlo(2000000, 20000, 8, 30, 15, { paths: 1000, seed: 5 });
+  const nonIncreasing = mc.survivalByYear.every((v, i) => i === 0 || v <= mc.survivalByYear[i - 1]);
+  assert(nonIncreasing && mc.survivalByYear[0] === 1 && mc.survivalProbability === mc.survivalByYear[30] &&
+    mc.survivalProbability > 0 && mc.survivalProbability < 1,
+    "TC-MC-08: survivalByYear is non-increasing and ends at survivalProbability",
+    "got " + mc.survivalProbability);
+}
+
+// 9. runMonteCarlo takes any contribution pattern
+{
+  const mc = runMonteCarlo(0, [1000, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 0, 0, 0, { paths: 5 });
+  assert(mc.p50.length === 2 && approxEqual(mc.p50[1], 1000, 1e-9),
+    "TC-MC-09: one contribution at 0% return stays put");
+}
+
+// 10. Rising withdrawals lower the chance of lasting
+{
+  const flat = calculateSWPMonteCarlo(2000000, 12000, 8, 25, 12, { paths: 1000, seed: 9 });
+  const rising = calculateSWPMonteCarlo(2000000, 12000, 8, 25, 12, { paths: 1000, seed: 9, escalationRate: 6 });
+  assert(rising.survivalProbability < flat.survivalProbability,
+    "TC-MC-10: 6% yearly step-up lowers SWP survival",
+    flat.survivalProbability + " → " + rising.survivalProbability);
+}
+
+// ─── Scenario Tests ───────────────────────────────────────────────────────────
+section("Scenarios — Save & Compare");
+
+// In-memory stand-in for localStorage
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; }
+  };
+}
+
+const sipScenario = { calculator: "sip", inputs: { P: 10000, annualRate: 12, years: 20 } };
+
+// 1. Default names describe the plan
+{
+  const names = [
+    describeScenario(sipScenario),
+    describeScenario({ calculator: "lumpsum", inputs: { P: 1500000, annualRate: 11, years: 20 } }),
+    describeScenario({ calculator: "stp", inputs: { lumpSum: 1500000, months: 24 } })
+  ];
+  assert(names.join(" | ") === "SIP Rs. 10,000/mo @ 12% 20y | Lumpsum Rs. 15,00,000 @ 11% 20y | STP Rs. 15,00,000 over 24 months",
+    "TC-SCN-01: describeScenario names SIP, lumpsum and STP plans", "got " + names.join(" | "));
+}
+
+// 2. A SIP scenario matches calculateSIP
+{
+  const r = evaluateScenario(sipScenario, 6);
+  const sip = calculateSIP(10000, 12, 20);
+  assert(approxEqual(r.corpus, sip.futureValue, 1e-6) && r.invested === sip.totalInvested &&
+    approxEqual(r.returns, sip.estimatedReturns, 1e-6) && r.months === 240 && r.curve.length === 21,
+    "TC-SCN-02: SIP scenario corpus/invested/returns match calculateSIP");
+}
+
+// 3. Real value discounts the corpus over the scenario's own horizon
+{
+  const r = evaluateScenario({ calculator: "stp", inputs: { lumpSum: 1500000, monthlyTransfer: 62500, debtRate: 7, equityRate: 12, months: 24 } }, 6);
+  const stp = calculateSTP(1500000, 62500, 7, 12, 24);
+  assert(approxEqual(r.corpus, stp.totalCorpus, 1e-6) && approxEqual(r.realValue, stp.totalCorpus / Math.pow(1.06, 2), 1e-6) &&
+    r.invested === 1500000 && r.curve[0].corpus === 0 && r.curve.length === 3,
+    "TC-SCN-03: STP scenario real value = corpus / 1.06² after 24 months");
+}
+
+// 4. SWP scenarios count withdrawals in returns
+{
+  const r = evaluateScenario({ calculator: "swp", inputs: { corpus: 2000000, monthlyWithdrawal: 20000, annualRate: 8 } }, 6);
+  const swp = calculateSWP(2000000, 20000, 8);
+  assert(r.invested === 2000000 && r.corpus < 1e-6 && approxEqual(r.withdrawn, swp.totalWithdrawn, 1e-6) &&
+    approxEqual(r.returns, swp.totalWithdrawn - 2000000, 1e-6) && r.curve[0].corpus === 2000000,
+    "TC-SCN-04: SWP scenario returns = withdrawn − starting corpus");
+}
+
+// 5. An SWP that never runs out is compared over 30 years; unknown calculators are skipped
+{
+  const r = evaluateScenario({ calculator: "swp", inputs: { corpus: 5000000, monthlyWithdrawal: 10000, annualRate: 12 } }, 6);
+  assert(r.months === 360 && r.corpus > 5000000 && evaluateScenario({ calculator: "cagr", inputs: {} }, 6) === null,
+    "TC-SCN-05: indefinite SWP runs 30 years; unknown calculator → null");
+}
+
+// 6. Scenarios save, load and delete through the given storage
+{
+  const storage = memoryStorage();
+  const first = saveScenario(sipScenario, storage);
+  const second = saveScenario({ name: "Lumpsum 15L", calculator: "lumpsum", inputs: { P: 1500000, annualRate: 11, years: 20 } }, storage);
+  const loaded = loadScenarios(storage);
+  deleteScenario(first.id, storage);
+  const left = loadScenarios(storage);
+  assert(first.name === "SIP Rs. 10,000/mo @ 12% 20y" && first.id !== second.id && loaded.length === 2 &&
+    left.length === 1 && left[0].name === "Lumpsum 15L",
+    "TC-SCN-06: saveScenario → loadScenarios → deleteScenario round trip");
+}
+
+// 7. Corrupt or missing storage loads as no scenarios
+{
+  const storage = memoryStorage();
+  storage.setItem(SCENARIO_STORAGE_KEY, "{not json");
+  assert(loadScenarios(storage).length === 0 && loadScenarios().length === 0 && saveScenario(sipScenario) === null,
+    "TC-SCN-07: unreadable data or no localStorage → empty list, nothing saved");
+}
+
+// 8. A lumpsum scenario with a SIP is a Lumpsum + SIP plan
+{
+  const scenario = { calculator: "lumpsum", inputs: { P: 100000, annualRate: 12, years: 10, monthlySIP: 10000, topUpRate: 5 } };
+  const r = evaluateScenario(scenario, 6);
+  const plan = calculateLumpsumSIP({ lumpSum: 100000, monthlySIP: 10000, annualRate: 12, years: 10, stepUpRate: 5 });
+  assert(describeScenario(scenario) === "Lumpsum Rs. 1,00,000 + SIP Rs. 10,000/mo @ 12% 10y +5%/yr" &&
+    approxEqual(r.corpus, plan.futureValue, 1e-6) && r.invested === plan.totalInvested && r.curve[0].invested === 0,
+    "TC-SCN-08: lumpsum scenarios with a monthlySIP evaluate with calculateLumpsumSIP",
+    "got " + describeScenario(scenario));
+}
+
+// 9. An STP scenario keeps its strategy and frequency
+{
+  const inputs = { lumpSum: 1500000, monthlyTransfer: 62500, debtRate: 7, equityRate: 12, months: 24 };
+  const scenario = { calculator: "stp", inputs: Object.assign({ strategy: "valueAveraging", frequency: "weekly", targetGrowth: 10 }, inputs) };
+  const r = evaluateScenario(scenario, 6);
+  const stp = calculateSTP(1500000, 62500, 7, 12, 24, null, { strategy: "valueAveraging", frequency: "weekly", targetGrowth: 10 });
+  assert(describeScenario(scenario) === "STP Rs. 15,00,000 over 24 months value averaging weekly" &&
+    approxEqual(r.corpus, stp.totalCorpus, 1e-6) &&
+    evaluateScenario({ calculator: "stp", inputs: Object.assign({ frequency: "daily" }, inputs) }, 6) === null,
+    "TC-SCN-09: STP scenarios evaluate with their strategy and frequency",
+    "got " + describeScenario(scenario));
+}
+
+// 10. Only same-site relative links are kept
+{
+  const storage = memoryStorage();
+  const safe = saveScenario(Object.assign({ link: "../sip-calculator/index.html?principal=10000" }, sipScenario), storage);
+  const unsafe = saveScenario(Object.assign({ link: "javascript:alert(1)" }, sipScenario), storage);
+  const rejected = ["javascript:alert(1)", "JAVASCRIPT:alert(1)", "https://example.com/", "//example.com/x",
+    "/\\example.com", "/\t/example.com", "data:text/html,x", "sip-calculator/index.html", 42, null];
+  assert(safe.link === "../sip-calculator/index.html?principal=10000" && !("link" in unsafe) &&
+    scenarioLink("/docs/sip-calculator/index.html?principal=1#top") !== null &&
+    rejected.every(link => scenarioLink(link) === null),
+    "TC-SCN-10: scenario links must be same-site relative paths",
+    rejected.filter(link => scenarioLink(link) !== null).join(" | "));
+}
+
+// ─── Local Storage Tests ──────────────────────────────────────────────────────
+section("Local Storage — Versioned Store");
+
+const sampleHolding = { fund: "Nifty 50 Index Fund", units: 123.456, cost: 25000, purchaseDate: "2023-04-10" };
+
+// 1. The unversioned scenario list migrates into the store and is cleaned up on save
+{
+  const storage = memoryStorage();
+  storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify([{ id: "a", name: "Old SIP", calculator: "sip", inputs: sipScenario.inputs }]));
+  const store = loadStore(storage);
+  saveHolding(sampleHolding, storage);
+  const saved = JSON.parse(storage.getItem(STORE_KEY));
+  assert(store.version === STORE_VERSION && store.scenarios[0].name === "Old SIP" && store.holdings.length === 0 &&
+    saved.scenarios.length === 1 && saved.holdings.length === 1 && storage.getItem(SCENARIO_STORAGE_KEY) === null,
+    "TC-STORE-01: legacy scenarios load as v" + STORE_VERSION + " and move to the store key");
+}
+
+// 2. Migration accepts any earlier version and refuses unknown data
+{
+  const v0 = migrateStore({ scenarios: [{ id: "a" }] });
+  assert(v0.version === STORE_VERSION && v0.scenarios.length === 1 && Array.isArray(v0.holdings) &&
+    migrateStore({ version: STORE_VERSION + 1 }) === null && migrateStore([1, 2]) === null && migrateStore("x") === null,
+    "TC-STORE-02: migrateStore upgrades v0, rejects newer versions and non-stores");
+}
+
+// 3. Holdings are validated and tidied
+{
+  const ok = normalizeHolding({ fund: "  Liquid Fund ", units: "10.5", cost: "1050", purchaseDate: "2024-02-29" });
+  assert(ok && ok.fund === "Liquid Fund" && ok.units === 10.5 && ok.cost === 1050 && ok.id &&
+    normalizeHolding(Object.assign({}, sampleHolding, { units: 0 })) === null &&
+    normalizeHolding(Object.assign({}, sampleHolding, { fund: " " })) === null &&
+    normalizeHolding(Object.assign({}, sampleHolding, { purchaseDate: "2023-02-30" })) === null &&
+    normalizeHolding(Object.assign({}, sampleHolding, { purchaseDate: "10/04/2023" })) === null,
+    "TC-STORE-03: normalizeHolding trims, converts numbers and rejects bad units, names and dates");
+}
+
+// 4. Holdings save, load and delete
+{
+  const storage = memoryStorage();
+  const first = saveHolding(sampleHolding, storage);
+  saveHolding(Object.assign({}, sampleHolding, { fund: "Gilt Fund" }), storage);
+  const invalid = saveHolding({ fund: "Bad", units: -1, cost: 0, purchaseDate: "2023-01-01" }, storage);
+  deleteHolding(first.id, storage);
+  const left = loadHoldings(storage);
+  assert(invalid === null && left.length === 1 && left[0].fund === "Gilt Fund",
+    "TC-STORE-04: saveHolding → loadHoldings → deleteHolding round trip");
+}
+
+// 5. Export → import moves everything to another browser, once
+{
+  const from = memoryStorage();
+  saveScenario(sipScenario, from);
+  saveHolding(sampleHolding, from);
+  const file = exportStore(from);
+  const to = memoryStorage();
+  const first = importStore(file, to);
+  const again = importStore(file, to);
+  assert(JSON.parse(file).app === "wealth-builder" && first.ok && first.scenarios === 1 && first.holdings === 1 &&
+    again.ok && again.scenarios === 0 && again.holdings === 0 &&
+    loadScenarios(to).length === 1 && loadHoldings(to)[0].fund === sampleHolding.fund,
+    "TC-STORE-05: exportStore → importStore copies scenarios and holdings without duplicates");
+}
+
+// 6. Import rejects bad files with a message and skips bad holdings
+{
+  const storage = memoryStorage();
+  const notJSON = importStore("{oops", storage);
+  const foreign = importStore(JSON.stringify({ scenarios: [] }), storage);
+  const newer = importStore(JSON.stringify({ app: "wealth-builder", version: STORE_VERSION + 1 }), storage);
+  const partial = importStore(JSON.stringify({ app: "wealth-builder", version: STORE_VERSION, holdings: [sampleHolding, { fund: "Bad" }] }), storage);
+  assert(!notJSON.ok && !foreign.ok && !newer.ok && /newer version/.test(newer.error) &&
+    partial.ok && partial.holdings === 1 && partial.skipped === 1,
+    "TC-STORE-06: invalid, foreign and newer files are refused; invalid holdings skipped");
+}
+
+// 7. Imported scenario links that could run script or leave the site are dropped
+{
+  const storage = memoryStorage();
+  const result = importStore(JSON.stringify({
+    app: "wealth-builder",
+    version: STORE_VERSION,
+    scenarios: [
+      Object.assign({ id: "evil", name: "Evil", link: "javascript:alert(document.cookie)" }, sipScenario),
+      Object.assign({ id: "away", name: "Away", link: "https://example.com/phish" }, sipScenario),
+      Object.assign({ id: "good", name: "Good", link: "../sip-calculator/index.html#principal=10000" }, sipScenario)
+    ]
+  }), storage);
+  const links = loadScenarios(storage).map(s => s.id + "=" + s.link).join(" ");
+  assert(result.ok && result.scenarios === 3 && links === "evil=undefined away=undefined good=../sip-calculator/index.html#principal=10000",
+    "TC-STORE-07: importStore drops javascript: and off-site scenario links", links);
+}
+
+// ─── Benchmark Tests ──────────────────────────────────────────────────────────
+section("Benchmarks — Editable CAGR Comparisons");
+
+// 1. Defaults until the user saves their own list
+{
+  const storage = memoryStorage();
+  const defaults = loadBenchmarks(storage);
+  defaults[0].name = "Changed";
+  assert(loadBenchmarks(storage)[0].name === DEFAULT_BENCHMARKS[0].name && DEFAULT_BENCHMARKS.length === 4,
+    "TC-BENCH-01: loadBenchmarks returns copies of the defaults");
+}
+
+// 2. Saved benchmarks replace the defaults; invalid rows are left out; reset restores them
+{
+  const storage = memoryStorage();
+  saveBenchmarks([{ name: " PPF ", min: "7.1", max: 7.1 }, { name: "", min: 1, max: 2 }, { name: "Bad", min: 9, max: 3 }], storage);
+  const saved = loadBenchmarks(storage);
+  resetBenchmarks(storage);
+  assert(saved.length === 1 && saved[0].name === "PPF" && saved[0].min === 7.1 &&
+    loadBenchmarks(storage).length === DEFAULT_BENCHMARKS.length,
+    "TC-BENCH-02: saveBenchmarks → loadBenchmarks → resetBenchmarks");
+}
+
+// 3. Validation and comparison
+{
+  const fd = { min: 6, max: 7 };
+  assert(normalizeBenchmark({ name: "X", min: "", max: 5 }) === null && normalizeBenchmark({ name: "X", min: "a", max: 5 }) === null &&
+    normalizeBenchmark({ name: "Loss", min: -5, max: 0 }).min === -5 &&
+    compareWithBenchmark(7.5, fd) === "above" && compareWithBenchmark(7, fd) === "within" &&
+    compareWithBenchmark(6, fd) === "within" && compareWithBenchmark(5.99, fd) === "below",
+    "TC-BENCH-03: normalizeBenchmark and compareWithBenchmark");
+}
+
+// 4. A v1 store upgrades with default benchmarks; exports carry the user's list
+{
+  const storage = memoryStorage();
+  storage.setItem(STORE_KEY, JSON.stringify({ version: 1, scenarios: [], holdings: [sampleHolding] }));
+  const upgraded = loadStore(storage);
+  saveBenchmarks([{ name: "PPF", min: 7, max: 7.5 }], storage);
+  const to = memoryStorage();
+  const result = importStore(exportStore(storage), to);
+  const plain = importStore(JSON.stringify({ app: "wealth-builder", version: 1, holdings: [] }), to);
+  assert(upgraded.version === 2 && upgraded.benchmarks === null && upgraded.holdings.length === 1 &&
+    result.ok && result.benchmarks === 1 && loadBenchmarks(to)[0].name === "PPF" &&
+    plain.ok && plain.benchmarks === 0 && loadBenchmarks(to)[0].name === "PPF",
+    "TC-BENCH-04: store v1 → v2 migration, and benchmarks travel in export/import");
+}
+
 // ─── formatINR Tests ──────────────────────────────────────────────────────────
 section("Utility — formatINR");
 assert(formatINR(100000) === "Rs. 1,00,000",  "TC-FMT-01: 1,00,000 Indian format");
 assert(formatINR(1000000) === "Rs. 10,00,000", "TC-FMT-02: 10,00,000 Indian format");
 assert(formatINR(1161695.38) === "Rs. 11,61,695", "TC-FMT-03: 11,61,695 rounds and formats");
 assert(formatINR(0) === "Rs. 0", "TC-FMT-04: zero formats correctly");
+assert(formatPercent(12) === "12%", "TC-FMT-05: formatPercent appends %");
 
 // ─── Summary ──────────────────────────────────────────────────────────────────
 console.log("\n─────────────────────────────────────────");